@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+// Entry point for the `kmaps` command — see src/cli.js
+import { runCLI } from "../src/cli.js";
+
+process.exitCode = await runCLI(process.argv.slice(2));
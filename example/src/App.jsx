@@ -6,6 +6,7 @@
  *  - Tracks game state with chess.js
  *  - Computes K-MAPS metrics (via computeKMAPS)
  *  - Displays results as both a radar chart and a data table
+ *  - Lists the moves that improve the side to move most (via rankMovesByKMAPS)
  *
  * This example demonstrates how to use your KMAPS library in a simple web app.
  */
@@ -30,7 +31,7 @@ import {
   TableRow,
 } from "@mui/material"; // ✅ Material UI layout and components
 
-import { computeKMAPS } from "../../src/index.js"; // ✅ Import your KMAPS library
+import { computeKMAPS, rankMovesByKMAPS } from "../../src/index.js"; // ✅ Import your KMAPS library
 
 const KMAPS_ORDER = [
   "King Safety",
@@ -45,6 +46,7 @@ export default function App() {
   const [game, setGame] = useState(new Chess()); // `chess.js` game instance
   const [fen, setFen] = useState(game.fen()); // Current board FEN string
   const [kmaps, setKmaps] = useState([]); // Current computed KMAPS metrics
+  const [topMoves, setTopMoves] = useState([]); // Best moves by K-MAPS change
 
   // --- 2️⃣ Handle piece moves ---
   function onPieceDrop({ sourceSquare, targetSquare }) {
@@ -74,11 +76,16 @@ export default function App() {
   // --- 4️⃣ Recalculate KMAPS whenever FEN changes ---
   useEffect(() => {
     try {
-      const results = computeKMAPS(fen); // Compute K-MAPS metrics for this position
+      // Compute K-MAPS metrics for this position, scaled so the
+      // starting position reads 0.5 on every axis
+      const results = computeKMAPS(fen, { normalize: "start" });
       setKmaps(results);
+      // Top 5 moves by the change in the combined K-MAPS advantage
+      setTopMoves(rankMovesByKMAPS(fen, { limit: 5 }));
     } catch (err) {
       console.error("Error computing KMAPS:", err);
       setKmaps([]); // Clear output on error
+      setTopMoves([]);
     }
   }, [fen]); // Depend on FEN — recompute only after legal moves or undo
 
@@ -163,27 +170,16 @@ export default function App() {
                             KMAPS_ORDER.indexOf(b.metric)
                         )
                         .map((d) => {
-                          // Normalize the data for the radar
+                          // Scores are already normalized (0.5 = start)
                           const shortLabel = d.metric
                             .trim()
                             .charAt(0)
                             .toUpperCase();
-                          const total = ["Space", "Material"].includes(d.metric)
-                            ? d.White + d.Black
-                            : 1;
 
                           return {
                             metric: shortLabel,
-                            White:
-                              ["Space", "Material"].includes(d.metric) &&
-                              total > 0
-                                ? (d.White / total) * 100
-                                : d.White * 100,
-                            Black:
-                              ["Space", "Material"].includes(d.metric) &&
-                              total > 0
-                                ? (d.Black / total) * 100
-                                : d.Black * 100,
+                            White: d.White * 100,
+                            Black: d.Black * 100,
                           };
                         })}
                       keys={["White", "Black"]}
@@ -231,17 +227,8 @@ export default function App() {
                               KMAPS_ORDER.indexOf(b.metric)
                           )
                           .map((r) => {
-                            let white = r.White ?? 0.5;
-                            let black = r.Black ?? 0.5;
-
-                            // Normalize space/material as proportions
-                            if (["Space", "Material"].includes(r.metric)) {
-                              const total = white + black;
-                              if (total > 0) {
-                                white = white / total;
-                                black = black / total;
-                              }
-                            }
+                            const white = r.White ?? 0.5;
+                            const black = r.Black ?? 0.5;
 
                             // Dynamic color based on value
                             const colorValue = (v) =>
@@ -280,6 +267,30 @@ export default function App() {
                       </TableBody>
                     </Table>
                   </TableContainer>
+
+                  {/* --- Top Moves by K-MAPS Change --- */}
+                  {topMoves.length > 0 && (
+                    <Box sx={{ mt: 2 }}>
+                      <Typography variant="subtitle2" gutterBottom>
+                        Top moves for {game.turn() === "w" ? "White" : "Black"}
+                      </Typography>
+                      <Table size="small">
+                        <TableBody>
+                          {topMoves.map((m) => (
+                            <TableRow key={m.lan}>
+                              <TableCell sx={{ fontWeight: 500 }}>
+                                {m.san}
+                              </TableCell>
+                              <TableCell align="right">
+                                {m.delta >= 0 ? "+" : ""}
+                                {m.delta.toFixed(2)} pawns
+                              </TableCell>
+                            </TableRow>
+                          ))}
+                        </TableBody>
+                      </Table>
+                    </Box>
+                  )}
                 </Box>
               ) : (
                 // No data yet
@@ -6,7 +6,7 @@ export default {
   input: "src/index.js",
   output: [
     {
-      file: "dist/index.cjs.js",
+      file: "dist/index.cjs",
       format: "cjs",
       exports: "named", // ✅ add this
     },
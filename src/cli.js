@@ -0,0 +1,402 @@
+// -------------------------------------------------------------
+// kmaps Command-Line Interface
+// -------------------------------------------------------------
+// Evaluates a FEN, an EPD/FEN file or a PGN file (or stdin) and
+// prints the K-MAPS metrics as a table, JSON, CSV or NDJSON.
+//
+// The bin script (bin/kmaps.js) only forwards process.argv and
+// the standard streams to runCLI(), so the whole tool can be run
+// in-process, e.g. from tests.
+// -------------------------------------------------------------
+
+import { readFile } from "node:fs/promises";
+import { existsSync } from "node:fs";
+import { parseArgs } from "node:util";
+
+import { DEFAULT_METRIC_NAMES, METRIC_NAMES } from "./computeKMAPS.js";
+import { computeKMAPSStream } from "./computeKMAPSBatch.js";
+import { computeKMAPSForGame } from "./computeKMAPSForGame.js";
+import { resolveConfig } from "./config.js";
+import { splitPgnGames } from "./utils/pgnUtils.js";
+
+const USAGE = `Usage: kmaps [options] [FEN | file]
+
+Evaluates a chess position, an EPD/FEN file or a PGN file with the
+K-MAPS model. Reads stdin when no FEN or file is given (or with "-").
+
+Options:
+  -f, --format <fmt>    table (default), json, csv or ndjson
+  -m, --metrics <list>  comma-separated metrics to compute, e.g.
+                        "material,king-safety" (default: the five
+                        K-MAPS metrics; add "threats" for Threats)
+  -p, --plies           for PGN input, output every ply instead of
+                        only the final position of each game
+  -d, --detail          include each metric's sub-components
+                        (json and ndjson only)
+  -c, --config <file>   JSON file with configuration overrides
+      --pgn             treat the input as PGN
+      --epd             treat the input as EPD/FEN lines
+  -h, --help            show this help
+
+Exit status: 0 on success, 1 if any position could not be
+evaluated, 2 on a usage error.
+`;
+
+const FORMATS = ["table", "json", "csv", "ndjson"];
+
+// Fields printed before the metrics, per input kind
+const SOURCE_FIELDS = {
+  epd: ["line", "id", "fen", "stage", "phase"],
+  pgn: ["game", "ply", "moveNumber", "san", "fen", "stage", "phase"],
+};
+
+// CSV cells for fields that are not plain record properties
+const FIELD_VALUES = {
+  stage: (record) => record.phase?.stage,
+  phase: (record) => record.phase?.value.toFixed(3),
+};
+
+/**
+ * runCLI(argv, io)
+ * -----------------------------------------
+ * Runs the `kmaps` command.
+ *
+ * @param {string[]} argv - Command-line arguments (without node and
+ *   the script path).
+ * @param {Object} [io] - Streams to use instead of the process ones.
+ * @param {AsyncIterable<Buffer|string>} [io.stdin]
+ * @param {{ write: (s: string) => void }} [io.stdout]
+ * @param {{ write: (s: string) => void }} [io.stderr]
+ * @returns {Promise<number>} The exit status (0, 1 or 2).
+ */
+export async function runCLI(argv, io = {}) {
+  const {
+    stdin = process.stdin,
+    stdout = process.stdout,
+    stderr = process.stderr,
+  } = io;
+
+  // --- Arguments, options and input: any failure is a usage error ---
+  let args, options, input;
+  try {
+    args = parseCLIArgs(argv);
+    if (args.help) {
+      stdout.write(USAGE);
+      return 0;
+    }
+    options = {
+      detail: args.detail,
+      metrics: args.metrics,
+      config: resolveConfig(
+        args.config ? JSON.parse(await readFile(args.config, "utf8")) : undefined
+      ),
+    };
+    input = await readInput(args, stdin);
+  } catch (err) {
+    stderr.write(`kmaps: ${err.message}\n\nRun "kmaps --help" for usage.\n`);
+    return 2;
+  }
+
+  // --- Evaluate and print each record as it is produced ---
+  const writer = createWriter(args.format, stdout, {
+    fields: SOURCE_FIELDS[input.kind],
+    metrics: args.metrics ?? DEFAULT_METRIC_NAMES,
+  });
+  let failed = false;
+
+  const records =
+    input.kind === "pgn"
+      ? pgnRecords(input.text, args.plies, options)
+      : computeKMAPSStream(input.text.split("\n"), options);
+
+  for await (const record of records) {
+    if (record.error) failed = true;
+    writer.write(record);
+  }
+  writer.end();
+
+  return failed ? 1 : 0;
+}
+
+/**
+ * parseCLIArgs(argv)
+ * -----------------------------------------
+ * Parses and validates the command-line arguments.
+ *
+ * @throws {Error} On an unknown option, format or metric.
+ */
+function parseCLIArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      format: { type: "string", short: "f", default: "table" },
+      metrics: { type: "string", short: "m" },
+      plies: { type: "boolean", short: "p", default: false },
+      detail: { type: "boolean", short: "d", default: false },
+      config: { type: "string", short: "c" },
+      pgn: { type: "boolean", default: false },
+      epd: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (!FORMATS.includes(values.format)) {
+    throw new Error(
+      `Unknown format "${values.format}" (expected ${FORMATS.join(", ")})`
+    );
+  }
+  if (values.pgn && values.epd) {
+    throw new Error("--pgn and --epd cannot be used together");
+  }
+
+  return {
+    ...values,
+    metrics: values.metrics && parseMetricList(values.metrics),
+    positionals,
+  };
+}
+
+/**
+ * parseMetricList(list)
+ * -----------------------------------------
+ * Maps a comma-separated list such as "material,king-safety" to
+ * metric names. Case, spaces, hyphens and underscores are ignored.
+ */
+function parseMetricList(list) {
+  const key = (s) => s.toLowerCase().replace(/[\s_-]/g, "");
+  return list
+    .split(",")
+    .filter((s) => s.trim())
+    .map((s) => {
+      const name = METRIC_NAMES.find((m) => key(m) === key(s));
+      if (!name) {
+        throw new Error(
+          `Unknown metric "${s.trim()}" (expected ${METRIC_NAMES.join(", ")})`
+        );
+      }
+      return name;
+    });
+}
+
+/**
+ * readInput(args, stdin)
+ * -----------------------------------------
+ * Resolves the input to { kind: "pgn"|"epd", text }.
+ *
+ * Positional arguments name a file if one exists at that path;
+ * otherwise they are joined into a FEN (so an unquoted FEN works).
+ * The kind comes from --pgn / --epd, then the file extension, then
+ * the content itself.
+ */
+async function readInput(args, stdin) {
+  const arg = args.positionals.join(" ");
+  let text;
+  let ext = "";
+
+  if (!arg || arg === "-") {
+    if (stdin.isTTY) throw new Error("No FEN, file or stdin input given");
+    text = await readStream(stdin);
+  } else if (args.positionals.length === 1 && existsSync(arg)) {
+    text = await readFile(arg, "utf8");
+    ext = arg.slice(arg.lastIndexOf(".") + 1).toLowerCase();
+  } else if (arg.includes("/")) {
+    text = arg; // a FEN given on the command line
+  } else {
+    throw new Error(`No such file: ${arg}`);
+  }
+
+  let kind;
+  if (args.pgn) kind = "pgn";
+  else if (args.epd) kind = "epd";
+  else if (ext === "pgn") kind = "pgn";
+  else if (["epd", "fen"].includes(ext)) kind = "epd";
+  else kind = looksLikePgn(text) ? "pgn" : "epd";
+
+  return { kind, text };
+}
+
+/**
+ * looksLikePgn(text)
+ * -----------------------------------------
+ * True if the text starts with a header tag or a numbered move.
+ */
+function looksLikePgn(text) {
+  const first = text.trimStart();
+  return /^\[[A-Za-z0-9_]+\s+"/.test(first) || /^1\.\s*\S/.test(first);
+}
+
+/**
+ * readStream(stream)
+ * -----------------------------------------
+ * Reads a whole stream (e.g. stdin) into a UTF-8 string.
+ */
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(typeof chunk === "string" ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+/**
+ * pgnRecords(text, allPlies, options)
+ * -----------------------------------------
+ * Evaluates every game in a PGN file, yielding either every ply or
+ * only the final position of each game. A game that stops on a bad
+ * move also yields a record carrying the error.
+ */
+function* pgnRecords(text, allPlies, options) {
+  const games = splitPgnGames(text);
+
+  for (let i = 0; i < games.length; i++) {
+    const { plies, error } = computeKMAPSForGame(games[i], options);
+    const game = i + 1;
+
+    const shown = allPlies ? plies : plies.slice(-1);
+    for (const { ply, moveNumber, san, color, fen, phase, metrics } of shown) {
+      yield {
+        game,
+        ply,
+        moveNumber,
+        san,
+        color,
+        fen,
+        phase,
+        metrics,
+        error: null,
+      };
+    }
+
+    if (error) {
+      yield {
+        game,
+        ply: error.ply,
+        moveNumber: error.moveNumber,
+        san: error.san,
+        color: null,
+        fen: null,
+        phase: null,
+        metrics: [],
+        error: error.message,
+      };
+    }
+  }
+}
+
+/**
+ * createWriter(format, out, columns)
+ * -----------------------------------------
+ * Returns a { write(record), end() } printer for one output format.
+ * Records are written as they arrive, so large inputs are not held
+ * in memory (except by the caller's stream).
+ *
+ * @param {"table"|"json"|"csv"|"ndjson"} format
+ * @param {{ write: (s: string) => void }} out
+ * @param {{ fields: string[], metrics: string[] }} columns - Source
+ *   fields and metric names used for the CSV header.
+ */
+function createWriter(format, out, { fields, metrics }) {
+  switch (format) {
+    case "json": {
+      let count = 0;
+      return {
+        write(record) {
+          out.write(`${count++ ? ",\n" : "[\n"}${JSON.stringify(record)}`);
+        },
+        end() {
+          out.write(count ? "\n]\n" : "[]\n");
+        },
+      };
+    }
+
+    case "ndjson":
+      return {
+        write(record) {
+          out.write(`${JSON.stringify(record)}\n`);
+        },
+        end() {},
+      };
+
+    case "csv": {
+      const header = [
+        ...fields,
+        ...metrics.flatMap((m) => [`${m} White`, `${m} Black`]),
+        "error",
+      ];
+      out.write(`${header.map(csvField).join(",")}\n`);
+      return {
+        write(record) {
+          const scores = metrics.flatMap((m) => {
+            const row = record.metrics.find((r) => r.metric === m);
+            return row ? [row.White.toFixed(3), row.Black.toFixed(3)] : ["", ""];
+          });
+          const cells = [
+            ...fields.map((f) =>
+              FIELD_VALUES[f] ? FIELD_VALUES[f](record) : record[f]
+            ),
+            ...scores,
+            record.error,
+          ];
+          out.write(`${cells.map(csvField).join(",")}\n`);
+        },
+        end() {},
+      };
+    }
+
+    default:
+      return {
+        write(record) {
+          out.write(`${tableHeading(record)}\n`);
+          if (record.error) out.write(`error: ${record.error}\n`);
+          // Same layout as printResults() in test/util.js
+          for (const r of record.metrics) {
+            out.write(
+              `${r.metric.padEnd(15)} | White: ${r.White.toFixed(
+                3
+              )} | Black: ${r.Black.toFixed(3)}\n`
+            );
+          }
+          out.write("\n");
+        },
+        end() {},
+      };
+  }
+}
+
+/**
+ * tableHeading(record)
+ * -----------------------------------------
+ * One-line label for a record in table output, e.g.
+ * "Game 1, ply 3 (2. Nf3) — opening (phase 0.00)" or
+ * "Line 4 [BK.01] <fen> — endgame (phase 0.83)".
+ */
+function tableHeading(record) {
+  const { phase } = record;
+  const stage = phase
+    ? ` — ${phase.stage} (phase ${phase.value.toFixed(2)})`
+    : "";
+
+  if (record.game !== undefined) {
+    const move =
+      record.san === null
+        ? "start"
+        : `${record.moveNumber}${record.color === "b" ? "..." : "."} ${
+            record.san
+          }`;
+    return `Game ${record.game}, ply ${record.ply} (${move})${stage}`;
+  }
+  const id = record.id ? ` [${record.id}]` : "";
+  return `Line ${record.line}${id}${record.fen ? ` ${record.fen}` : ""}${stage}`;
+}
+
+/**
+ * csvField(value)
+ * -----------------------------------------
+ * Formats one CSV cell, quoting it when needed (RFC 4180).
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  const s = String(value);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
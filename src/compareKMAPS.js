@@ -0,0 +1,217 @@
+// -------------------------------------------------------------
+// Position Comparison
+// -------------------------------------------------------------
+// Shows what changed between two positions, e.g. before and after
+// a move or a plan: the change in every metric for both sides, the
+// pawn-structure features that appeared or disappeared and the King
+// Safety components that moved.
+//
+// Both positions go through evaluatePosition() and
+// getPawnStructureReport(), so every number is exactly what
+// computeKMAPS() reports for the same FEN and config.
+// -------------------------------------------------------------
+
+import { loadGame } from "./utils/fenUtils.js";
+
+import { evaluatePosition } from "./computeKMAPS.js";
+import { resolveConfig } from "./config.js";
+import { getPawnStructureReport } from "./metrics/pawnStructure.js";
+
+const SIDES = [
+  ["White", "w"],
+  ["Black", "b"],
+];
+
+// Report entries that are not features
+const REPORT_META = new Set(["color", "pawns"]);
+
+// Flank flags in the report → feature name (as in the detailed output)
+const FLANK_FEATURES = [
+  ["majorities", "queenside", "queensideMajority"],
+  ["majorities", "kingside", "kingsideMajority"],
+  ["minorities", "queenside", "queensideMinority"],
+  ["minorities", "kingside", "kingsideMinority"],
+];
+
+/**
+ * -----------------------------------------
+ * Function: compareKMAPS(fenA, fenB, options)
+ * -----------------------------------------
+ * Compares two positions metric by metric.
+ *
+ * @param {string} fenA - The position before (e.g. before a move).
+ * @param {string} fenB - The position after.
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Partial or resolved configuration,
+ *   used for both positions.
+ * @returns {{
+ *   metrics: Array<{ metric: string,
+ *                    White: { before: number, after: number, delta: number },
+ *                    Black: { before: number, after: number, delta: number } }>,
+ *   pawnStructure: {
+ *     White: { appeared: Array<Object>, disappeared: Array<Object> },
+ *     Black: { appeared: Array<Object>, disappeared: Array<Object> }
+ *   },
+ *   kingSafety: { White: Array<Object>, Black: Array<Object> }
+ * }|null}
+ *   - `metrics` follows the computeKMAPS() row order; delta = after − before.
+ *   - Pawn-structure features are { feature, squares }, using the
+ *     feature names of getPawnStructureReport() and the detailed
+ *     breakdown, e.g. { feature: "isolated", squares: ["d4"] }.
+ *     Grouped features (chains, doubled pawns, …) appear or
+ *     disappear as a whole group.
+ *   - King Safety lists the components whose sub-score or
+ *     contribution changed, as { model, name, label, before, after,
+ *     delta }: `model` is "opening" (the shelter components) or
+ *     "endgame", `before` / `after` are the full components and
+ *     `delta` is the change in contribution.
+ *   Returns null if either FEN is invalid.
+ * @throws {TypeError|RangeError} If `options.config` is invalid.
+ *
+ * Example:
+ *   compareKMAPS(before, after).pawnStructure.White.appeared
+ *   → [{ feature: "isolated", squares: ["d4"] }]
+ */
+export function compareKMAPS(fenA, fenB, options = {}) {
+  const config = resolveConfig(options.config);
+
+  const before = loadPosition(fenA, config);
+  const after = loadPosition(fenB, config);
+  if (!before || !after) return null;
+
+  // --- Metric deltas, row by row ---
+  const metrics = before.rows.map((row, i) => {
+    const next = after.rows[i];
+    const out = { metric: row.metric };
+    for (const [side] of SIDES) {
+      out[side] = {
+        before: row[side],
+        after: next[side],
+        delta: next[side] - row[side],
+      };
+    }
+    return out;
+  });
+
+  // --- Pawn-structure features and King Safety components ---
+  const pawnStructure = {};
+  const kingSafety = {};
+  for (const [side, color] of SIDES) {
+    const was = listFeatures(before.reports[color]);
+    const now = listFeatures(after.reports[color]);
+    const wasKeys = new Set(was.map(featureKey));
+    const nowKeys = new Set(now.map(featureKey));
+    pawnStructure[side] = {
+      appeared: now.filter((f) => !wasKeys.has(featureKey(f))),
+      disappeared: was.filter((f) => !nowKeys.has(featureKey(f))),
+    };
+
+    // Empty when King Safety has been unregistered (see registerMetric)
+    const king = (pos) =>
+      pos.rows.find((r) => r.metric === "King Safety")?.detail[side];
+    kingSafety[side] =
+      king(before) && king(after)
+        ? diffKingComponents(king(before), king(after))
+        : [];
+  }
+
+  return { metrics, pawnStructure, kingSafety };
+}
+
+/**
+ * loadPosition(fen, config)
+ * -----------------------------------------
+ * Parses a FEN and evaluates it with detail, plus the pawn report
+ * for both sides. Returns null if the FEN is invalid.
+ */
+function loadPosition(fen, config) {
+  if (!fen || typeof fen !== "string") return null;
+
+  let game;
+  try {
+    game = loadGame(fen);
+  } catch {
+    return null;
+  }
+
+  return {
+    rows: evaluatePosition(game, { detail: true, config }),
+    reports: {
+      w: getPawnStructureReport(game, "w"),
+      b: getPawnStructureReport(game, "b"),
+    },
+  };
+}
+
+/**
+ * listFeatures(report)
+ * -----------------------------------------
+ * Flattens a pawn report into { feature, squares } entries: one per
+ * square for single-square features, one per group for grouped
+ * features and one (with no squares) per flank majority/minority.
+ */
+function listFeatures(report) {
+  const features = [];
+
+  for (const [feature, value] of Object.entries(report)) {
+    if (REPORT_META.has(feature) || !Array.isArray(value)) continue;
+    for (const item of value) {
+      features.push({
+        feature,
+        squares: Array.isArray(item) ? item : [item],
+      });
+    }
+  }
+
+  for (const [group, flank, feature] of FLANK_FEATURES) {
+    if (report[group][flank]) features.push({ feature, squares: [] });
+  }
+  return features;
+}
+
+/**
+ * featureKey(feature)
+ * -----------------------------------------
+ * Identity of a feature entry: its name and the set of squares,
+ * so a group listed in a different order is still the same group.
+ */
+function featureKey({ feature, squares }) {
+  return `${feature}:${[...squares].sort().join(",")}`;
+}
+
+/**
+ * diffKingComponents(before, after)
+ * -----------------------------------------
+ * Lists the King Safety components (shelter and endgame models)
+ * whose sub-score or contribution differs between two details.
+ */
+function diffKingComponents(before, after) {
+  const moved = [];
+  const models = [
+    ["opening", "components"],
+    ["endgame", "endgameComponents"],
+  ];
+
+  for (const [model, key] of models) {
+    // A replacement King Safety metric may list neither model
+    for (const next of after[key] ?? []) {
+      const prev = (before[key] ?? []).find((c) => c.name === next.name);
+      if (!prev) continue;
+      if (
+        prev.score === next.score &&
+        prev.contribution === next.contribution
+      ) {
+        continue;
+      }
+      moved.push({
+        model,
+        name: next.name,
+        label: next.label,
+        before: prev,
+        after: next,
+        delta: next.contribution - prev.contribution,
+      });
+    }
+  }
+  return moved;
+}
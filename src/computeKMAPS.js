@@ -1,16 +1,20 @@
-// Import chess.js for FEN parsing and position validation
-import { Chess } from "chess.js";
+// Load FENs (standard or Chess960) through chess.js
+import { loadGame } from "./utils/fenUtils.js";
 
-// Import each K-MAPS submetric module
-import { getMaterialBoth } from "./metrics/material.js";
-import { getKingSafety } from "./metrics/kingSafety.js";
-import { getPieceActivity } from "./metrics/activity.js";
-import { getPawnStructureForColor } from "./metrics/pawnStructure.js";
-import { getSpaceForColor } from "./metrics/space.js";
+// The K-MAPS submetrics (built-in and registered) come from the registry
+import { selectMetrics } from "./metricRegistry.js";
+import { resolveConfig } from "./config.js";
+import { validateKMAPSInput } from "./validateKMAPSInput.js";
+import {
+  getPositionContext,
+  createDiagramContext,
+} from "./positionContext.js";
+import { computePhase } from "./metrics/gamePhase.js";
+import { checkNormalize, normalizeRows } from "./normalizeKMAPS.js";
 
 /**
  * -----------------------------------------
- * Function: computeKMAPS(fen)
+ * Function: computeKMAPS(fen, options)
  * -----------------------------------------
  * Computes the five K-MAPS metrics — Material, King Safety, Activity,
  * Pawn Structure, and Space — for both White and Black based on a given FEN.
@@ -19,15 +23,66 @@ import { getSpaceForColor } from "./metrics/space.js";
  * allowing easy comparison across different positions.
  *
  * @param {string} fen - A valid FEN string representing a chess position.
+ * @param {Object} [options]
+ * @param {boolean} [options.detail=false] - When true, each row also carries
+ *   a `detail` object with the sub-components behind both scores:
+ *   { White: { score, components }, Black: { score, components } }, where
+ *   each component is { name, label, raw, score, weight, contribution }.
+ * @param {Object} [options.config] - Partial or resolved configuration
+ *   overriding the default weights and caps (see config.js).
+ * @param {string[]} [options.metrics] - Names of the metrics to compute
+ *   (e.g. ["Material", "Space"]). Rows keep the standard order; the
+ *   five K-MAPS metrics (and any non-optional registered metric) are
+ *   computed by default. The optional "Threats" metric is only
+ *   computed when listed here. See registerMetric().
+ * @param {boolean} [options.phase=false] - When true, a last row
+ *   { metric: "Game Phase", White: v, Black: v, stage } gives the game
+ *   phase (0 = full material … 1 = kings and pawns) and its stage
+ *   ("opening", "middlegame" or "endgame"). Every metric is tapered
+ *   by this phase whether or not the row is requested.
+ * @param {boolean} [options.strict=false] - When true, an input that
+ *   cannot be evaluated throws the typed error of validateKMAPSInput()
+ *   (with `code`, `field` and `message`) instead of returning [].
+ * @param {boolean} [options.diagram=false] - When true, a position
+ *   chess.js refuses (no kings, extra kings, pawns on the back rank,
+ *   a bare piece-placement field…) is read from its piece placement
+ *   instead of returning []. Metrics that need legal moves or a
+ *   single king per side report null scores (see README).
+ * @param {"start"|{ start: string }|Object} [options.normalize] -
+ *   Report each metric relative to a reference instead of on its raw
+ *   scale, so 0.5 means "typical" on every axis: "start" (the
+ *   starting position scores 0.5), { start } with the FEN or
+ *   back-rank array of another starting position (e.g. Chess960)
+ *   or a reference from createKMAPSReference() (percentiles of your
+ *   own sample). Rows then also carry the raw scores as
+ *   `raw: { White, Black }`; `detail` stays raw.
  * @returns {Array<Object>} A list of metric objects in the form:
  *   [
  *     { metric: "Material", White: 0.5, Black: 0.5 },
  *     { metric: "King Safety", White: 0.7, Black: 0.6 },
  *     ...
  *   ]
- *   Returns an empty array [] if the FEN is invalid.
+ *   Returns an empty array [] if the FEN is invalid (unless strict).
+ * @throws {TypeError|RangeError} If `options.config` is invalid.
+ * @throws {Error} A KMAPSInputError for an invalid FEN in strict mode.
+ * @throws {TypeError} If `options.metrics` names an unknown metric.
+ * @throws {TypeError} If `options.normalize` is invalid.
  */
-export function computeKMAPS(fen) {
+export function computeKMAPS(fen, options = {}) {
+  // Validate the configuration and metric list first — these are caller
+  // errors, not a bad position, so they throw instead of returning []
+  const config = resolveConfig(options.config);
+  selectMetrics(options.metrics);
+  checkNormalize(options.normalize);
+
+  // Strict mode: explain the problem instead of returning []
+  if (options.strict) {
+    const { ok, error } = validateKMAPSInput(fen, {
+      diagram: options.diagram,
+    });
+    if (!ok) throw error;
+  }
+
   // Validate input type
   if (!fen || typeof fen !== "string") return [];
 
@@ -35,43 +90,70 @@ export function computeKMAPS(fen) {
   try {
     // Attempt to load the position using chess.js
     // This ensures FEN validity and initializes piece data
-    game = new Chess(fen);
+    game = loadGame(fen);
   } catch {
+    // Diagram mode: evaluate what the piece placement alone allows
+    const diagram = options.diagram ? createDiagramContext(fen) : null;
+    if (diagram) return evaluatePosition(diagram, { ...options, config });
+
     // If the FEN is invalid or unparsable, return an empty result set
     return [];
   }
 
-  // --- Compute individual submetrics for both sides ---
+  return evaluatePosition(game, { ...options, config });
+}
 
-  // Material balance
-  const { whiteMaterialScore, blackMaterialScore } = getMaterialBoth(game);
+/**
+ * -----------------------------------------
+ * Function: evaluatePosition(game, options)
+ * -----------------------------------------
+ * Computes the K-MAPS metrics for an already-loaded chess.js
+ * instance. Used by computeKMAPS() and by callers that replay moves
+ * on a single Chess instance (e.g. computeKMAPSForGame), so the
+ * position does not have to be re-parsed from a FEN string.
+ *
+ * @param {Chess|Object} game - A chess.js instance or position context.
+ * @param {Object} [options] - Same options as computeKMAPS().
+ * @returns {Array<Object>} The K-MAPS metric rows.
+ */
+export function evaluatePosition(
+  game,
+  { detail = false, config, metrics, phase = false, normalize } = {}
+) {
+  config = resolveConfig(config);
+  checkNormalize(normalize);
 
-  // King safety evaluation
-  const kingW = getKingSafety(game, "w");
-  const kingB = getKingSafety(game, "b");
+  // Parse the position once; every metric reads the same context
+  const ctx = getPositionContext(game);
 
-  // Piece activity / mobility
-  const actW = getPieceActivity(game, "w");
-  const actB = getPieceActivity(game, "b");
+  // --- Compute the requested submetrics for both sides ---
+  const rows = selectMetrics(metrics).map(([metric, evaluate]) => {
+    const white = evaluate(ctx, "w", config);
+    const black = evaluate(ctx, "b", config);
+    const row = { metric, White: white.score, Black: black.score };
+    if (detail) row.detail = { White: white, Black: black };
+    return row;
+  });
 
-  // Pawn structure quality
-  const pawnW = getPawnStructureForColor(game, "w");
-  const pawnB = getPawnStructureForColor(game, "b");
+  // --- Optional baseline-relative scale ---
+  const result = normalize
+    ? normalizeRows(rows, normalize, config, metrics)
+    : rows;
 
-  // Spatial control (territory)
-  const spaceW = getSpaceForColor(game, "w");
-  const spaceB = getSpaceForColor(game, "b");
+  // --- Optional game-phase row (same value for both sides) ---
+  if (phase) {
+    const { value, stage } = computePhase(ctx, config);
+    result.push({ metric: "Game Phase", White: value, Black: value, stage });
+  }
 
   // --- Aggregate and return normalized K-MAPS results ---
-  return [
-    {
-      metric: "Material",
-      White: whiteMaterialScore,
-      Black: blackMaterialScore,
-    },
-    { metric: "King Safety", White: kingW, Black: kingB },
-    { metric: "Activity", White: actW, Black: actB },
-    { metric: "Pawn Structure", White: pawnW, Black: pawnB },
-    { metric: "Space", White: spaceW, Black: spaceB },
-  ];
+  return result;
 }
+
+// The metric table lives in the registry; re-exported here for the
+// modules that select metrics alongside evaluatePosition()
+export {
+  METRIC_NAMES,
+  DEFAULT_METRIC_NAMES,
+  selectMetrics,
+} from "./metricRegistry.js";
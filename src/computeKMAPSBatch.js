@@ -0,0 +1,140 @@
+// Load FENs (standard or Chess960) through chess.js
+import { loadGame } from "./utils/fenUtils.js";
+
+// Shared position evaluator (avoids re-parsing each FEN)
+import { evaluatePosition, selectMetrics } from "./computeKMAPS.js";
+import { resolveConfig } from "./config.js";
+import { checkNormalize } from "./normalizeKMAPS.js";
+import { parseEpd } from "./utils/epdUtils.js";
+import { createPositionContext } from "./positionContext.js";
+import { computePhase } from "./metrics/gamePhase.js";
+
+/**
+ * -----------------------------------------
+ * Function: computeKMAPSBatch(lines, options)
+ * -----------------------------------------
+ * Evaluates a collection of positions given as FEN or EPD lines,
+ * e.g. an EPD test suite or a FEN dump.
+ *
+ * Every non-blank line produces one result, in input order. A line
+ * that cannot be parsed or loaded is reported with its line number
+ * and an error message instead of being dropped. Blank lines are
+ * skipped but still counted, so `line` matches the source file.
+ *
+ * @param {Iterable<string>|string} lines - FEN/EPD lines, or a single
+ *   string holding one record per line.
+ * @param {Object} [options] - Evaluation options passed on to every
+ *   position (same as computeKMAPS(), e.g. { detail: true }).
+ * @throws {TypeError|RangeError} If `options.config`,
+ *   `options.metrics` or `options.normalize` is invalid.
+ * @returns {Array<{
+ *   line: number,
+ *   id: string|null,
+ *   fen: string|null,
+ *   operations: Object<string, string|string[]>,
+ *   phase: { value: number, stage: string }|null,
+ *   metrics: Array<Object>,
+ *   error: string|null
+ * }>}
+ *   `line` is 1-based, `id` is the EPD `id` operation, `operations`
+ *   holds every EPD operation (`bm` and `am` as SAN arrays, the rest
+ *   as strings), `phase` the game phase (see getGamePhase()) and
+ *   `metrics` the computeKMAPS() rows. On a bad line `phase` is null,
+ *   `metrics` is empty and `error` says why; `fen` is null only when
+ *   the line could not be parsed at all.
+ *
+ * Example:
+ *   computeKMAPSBatch(['… w KQkq - bm Nf3; id "t1";', "not a fen"])
+ *   → [{ line: 1, id: "t1", …, error: null },
+ *      { line: 2, id: null, fen: null, metrics: [], error: "…" }]
+ */
+export function computeKMAPSBatch(lines, options = {}) {
+  // Resolve the configuration once for the whole batch
+  options = { ...options, config: resolveConfig(options.config) };
+  selectMetrics(options.metrics);
+  checkNormalize(options.normalize);
+
+  const source = typeof lines === "string" ? lines.split("\n") : lines;
+  const results = [];
+  let lineNumber = 0;
+
+  for (const line of source) {
+    lineNumber++;
+    const result = evaluateLine(line, lineNumber, options);
+    if (result) results.push(result);
+  }
+  return results;
+}
+
+/**
+ * -----------------------------------------
+ * Function: computeKMAPSStream(lines, options)
+ * -----------------------------------------
+ * Streaming variant of computeKMAPSBatch(): reads lines from an async
+ * (or sync) iterable, such as a `readline` interface over a large
+ * file, and yields each result as soon as it is computed. Only one
+ * line is held in memory at a time.
+ *
+ * @param {AsyncIterable<string>|Iterable<string>} lines - FEN/EPD lines.
+ * @param {Object} [options] - Same options as computeKMAPSBatch().
+ * @throws {TypeError|RangeError} If `options.config`,
+ *   `options.metrics` or `options.normalize` is invalid (raised
+ *   when iteration starts).
+ * @returns {AsyncGenerator<Object>} Results in the computeKMAPSBatch() form.
+ *
+ * Example:
+ *   const rl = readline.createInterface({ input: fs.createReadStream(path) });
+ *   for await (const r of computeKMAPSStream(rl)) console.log(r.id, r.error);
+ */
+export async function* computeKMAPSStream(lines, options = {}) {
+  options = { ...options, config: resolveConfig(options.config) };
+  selectMetrics(options.metrics);
+  checkNormalize(options.normalize);
+
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber++;
+    const result = evaluateLine(line, lineNumber, options);
+    if (result) yield result;
+  }
+}
+
+/**
+ * evaluateLine(line, lineNumber, options)
+ * -----------------------------------------
+ * Parses and evaluates a single FEN/EPD line. Returns null for a
+ * blank line, otherwise a batch result (with `error` set if the
+ * line could not be evaluated).
+ */
+function evaluateLine(line, lineNumber, options) {
+  const result = {
+    line: lineNumber,
+    id: null,
+    fen: null,
+    operations: {},
+    phase: null,
+    metrics: [],
+    error: null,
+  };
+
+  if (typeof line !== "string") {
+    result.error = "Line must be a string";
+    return result;
+  }
+  if (!line.trim()) return null;
+
+  try {
+    const { fen, operations } = parseEpd(line);
+    result.operations = operations;
+    result.id = operations.id ?? null;
+    result.fen = fen;
+
+    // chess.js rejects illegal or malformed positions with a message
+    const ctx = createPositionContext(loadGame(fen));
+    result.phase = computePhase(ctx, options.config);
+    result.metrics = evaluatePosition(ctx, options);
+  } catch (err) {
+    result.error = err.message;
+  }
+  return result;
+}
@@ -0,0 +1,168 @@
+// Import chess.js for move replay and position validation
+import { Chess } from "chess.js";
+import {
+  loadGame,
+  toStandardFen,
+  getChess960Castles,
+  carryCastling,
+} from "./utils/fenUtils.js";
+
+// Shared position evaluator (avoids re-parsing each FEN)
+import { evaluatePosition } from "./computeKMAPS.js";
+import { resolveConfig } from "./config.js";
+import { parsePgn } from "./utils/pgnUtils.js";
+import { createPositionContext } from "./positionContext.js";
+import { computePhase } from "./metrics/gamePhase.js";
+
+/**
+ * -----------------------------------------
+ * Function: computeKMAPSForGame(pgn, options)
+ * -----------------------------------------
+ * Replays the main line of a PGN game and computes the five K-MAPS
+ * metrics after every ply, producing a timeline of the whole game.
+ *
+ * Comments, variations and annotation glyphs are ignored; only the
+ * main line is evaluated. A [FEN "…"] header is honoured as the
+ * starting position; with Chess960 castling rights, O-O and O-O-O
+ * are played by the Chess960 rules and each ply's FEN keeps the
+ * rights.
+ *
+ * If a move cannot be played (illegal or unreadable SAN), replay
+ * stops and `error` reports the ply where it happened. The plies
+ * evaluated before the error are still returned.
+ *
+ * @param {string} pgn - A PGN string containing one game.
+ * @param {Object} [options] - Evaluation options passed on to each ply
+ *   (same as computeKMAPS(), e.g. { detail: true }).
+ * @throws {TypeError|RangeError} If `options.config` is invalid.
+ * @returns {{
+ *   headers: Object<string,string>,
+ *   plies: Array<{
+ *     ply: number,
+ *     moveNumber: number,
+ *     san: string|null,
+ *     color: "w"|"b"|null,
+ *     turn: "w"|"b",
+ *     fen: string,
+ *     phase: { value: number, stage: string },
+ *     metrics: Array<Object>
+ *   }>,
+ *   error: { ply: number, moveNumber: number|null, san: string|null, message: string } | null
+ * }}
+ *   Ply 0 is the starting position (san and color are null).
+ *   `color` is the side that played the move, `turn` the side to move
+ *   in the resulting position, `phase` the game phase (see
+ *   getGamePhase()) and `metrics` the computeKMAPS() rows.
+ */
+export function computeKMAPSForGame(pgn, options = {}) {
+  // Resolve the configuration once for the whole game
+  options = { ...options, config: resolveConfig(options.config) };
+
+  // Validate input type
+  if (typeof pgn !== "string") {
+    return {
+      headers: {},
+      plies: [],
+      error: {
+        ply: 0,
+        moveNumber: null,
+        san: null,
+        message: "PGN must be a string",
+      },
+    };
+  }
+
+  const { headers, moves } = parsePgn(pgn);
+  const plies = [];
+
+  let game;
+  try {
+    // Start from the FEN header when present, otherwise the initial position
+    game = headers.FEN ? loadGame(headers.FEN) : new Chess();
+  } catch (err) {
+    return {
+      headers,
+      plies,
+      error: { ply: 0, moveNumber: null, san: null, message: err.message },
+    };
+  }
+
+  // chess.js drops Chess960 castling rights, so keep the FEN with them
+  let fen =
+    headers.FEN && toStandardFen(headers.FEN) !== headers.FEN
+      ? headers.FEN
+      : null;
+
+  // Ply 0 — the starting position
+  plies.push(snapshot(game, 0, null, null, options, fen));
+
+  // --- Replay the main line, evaluating after each move ---
+  for (let i = 0; i < moves.length; i++) {
+    const ply = i + 1;
+    const moveNumber = game.moveNumber();
+    const color = game.turn();
+
+    let move;
+    try {
+      if (fen) {
+        ({ game, fen, move } = playWithRights(game, fen, moves[i]));
+      } else {
+        move = game.move(moves[i]);
+      }
+    } catch (err) {
+      return {
+        headers,
+        plies,
+        error: { ply, moveNumber, san: moves[i], message: err.message },
+      };
+    }
+
+    plies.push({
+      ...snapshot(game, ply, move.san, color, options, fen),
+      moveNumber,
+    });
+  }
+
+  return { headers, plies, error: null };
+}
+
+/**
+ * playWithRights(game, fen, san)
+ * -----------------------------------------
+ * Plays `san` in a game whose full castling rights are kept in
+ * `fen`. Castles chess.js cannot play come from getChess960Castles()
+ * and reload the game. Returns the new { game, fen, move }.
+ */
+function playWithRights(game, fen, san) {
+  const key = (text) => text.replace(/0/g, "O").replace(/[+#]$/, "");
+  const castle = getChess960Castles(fen).find(
+    (move) => key(move.san) === key(san)
+  );
+  if (castle) {
+    return { game: loadGame(castle.after), fen: castle.after, move: castle };
+  }
+
+  const move = game.move(san);
+  return { game, fen: carryCastling(fen, move, game.fen()), move };
+}
+
+/**
+ * snapshot(game, ply, san, color, options, fen)
+ * -----------------------------------------
+ * Builds one timeline entry for the current position of `game`.
+ * `fen`, when given, is reported instead of chess.js' FEN (it keeps
+ * Chess960 castling rights).
+ */
+function snapshot(game, ply, san, color, options, fen) {
+  const ctx = createPositionContext(game);
+  return {
+    ply,
+    moveNumber: game.moveNumber(),
+    san,
+    color,
+    turn: game.turn(),
+    fen: fen ?? ctx.fen,
+    phase: computePhase(ctx, options.config),
+    metrics: evaluatePosition(ctx, options),
+  };
+}
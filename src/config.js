@@ -0,0 +1,402 @@
+// -------------------------------------------------------------
+// K-MAPS Configuration
+// -------------------------------------------------------------
+// Every weight, cap and normalization constant used by the metric
+// modules, the game-phase estimate and the combined score lives
+// here. A section with an `endgame` object describes two models:
+// its top-level values apply at phase 0, the `endgame` values at
+// phase 1, and positions in between get a linear blend of the two
+// (see taper() in metrics/gamePhase.js). Callers can override any
+// subset of them through resolveConfig() /
+// computeKMAPS(fen, { config }).
+// -------------------------------------------------------------
+
+// Opening pawn-structure weights (the endgame set starts from these)
+const PAWN_WEIGHTS = {
+  isolated: -0.4,
+  doubled: -0.55,
+  backward: -0.25,
+  overAdvanced: -0.2,
+  centralDoubled: -0.2,
+  islands: -0.1,
+  chainBases: -0.05,
+  weakPawns: -0.1,
+  weakSquares: -0.1,
+  hanging: -0.05,
+  rams: -0.1,
+  passed: 0.4,
+  candidatePassed: 0.15,
+  chains: 0.1,
+  levers: 0.05,
+  queensideMajority: 0.02,
+  kingsideMajority: 0.02,
+  queensideMinority: -0.02,
+  kingsideMinority: -0.02,
+};
+
+/**
+ * DEFAULT_CONFIG
+ * -----------------------------------------
+ * The default K-MAPS model parameters (deeply frozen).
+ *
+ * Sections marked "tapered" have an `endgame` object holding the
+ * values used at phase 1 (bare kings and pawns); they are blended
+ * with the opening values by the game phase (see gamePhase.js).
+ *
+ * phase
+ *   pieceWeights      – phase material of each non-pawn piece type
+ *   openingMoves      – last move number that can still be "opening"
+ *   openingThreshold  – highest phase value labelled "opening"
+ *   endgameThreshold  – lowest phase value labelled "endgame"
+ *
+ * material (tapered: pieceValues, bishopPair, extraMinorBonus)
+ *   pieceValues      – value of each piece type in pawn units
+ *   range            – material difference mapped onto [0,1]
+ *                      (score = (diff + range / 2) / range)
+ *   bishopPair       – bonus for bishops on both square colours
+ *   knightPawnBonus  – knight value gained per own pawn above five
+ *   rookPawnPenalty  – rook value lost per own pawn above five
+ *   rookPairPenalty  – redundancy cost of a second rook
+ *   extraMinorBonus  – bonus per minor piece more than the opponent
+ *                      (e.g. a minor piece against three pawns)
+ *   tradeDownScale   – how much the difference grows as material
+ *                      comes off (× 1 + tradeDownScale on a bare board)
+ *
+ * kingSafety
+ *   shieldWeight      – weight of the pawn shield (0–3 pawns in front)
+ *   placementWeight   – weight of rank safety (king depth in own camp)
+ *   castledBonus      – flat placement value for a castled king
+ *   castledShieldMin  – shield ratio required for the castled bonus
+ *   mobilityWeight    – weight of empty squares around the king
+ *   attackValues      – attack units per king-zone square hit, by
+ *                       enemy attacker type (the zone is the ring
+ *                       around the king plus the 3 squares two ranks
+ *                       in front)
+ *   attackScale       – scaled attack units that count as a full attack
+ *   attackWeight      – safety lost to a full king-zone attack
+ *   fileWeight        – safety lost with the king's file and both
+ *                       neighbours open (half-open files count half)
+ *   checkValues       – units per safe checking square, by piece type
+ *   checkScale        – check units that count as fully exposed
+ *   checkWeight       – safety lost at full check exposure
+ *   smoothing         – share of the quadratic term in the final blend
+ *   endgame           – weights of the endgame king model, which
+ *                       replaces the shelter model as the phase grows:
+ *                       centralization (closeness to d4/d5/e4/e5) and
+ *                       mobility (empty adjacent squares)
+ *
+ * activity (tapered: mobilityCap, centralMinorBonus, outpostBonus,
+ *           supportedOutpostBonus, rookSeventhBonus)
+ *   mobilityCap            – weighted safe-move count that maps to 1
+ *   mobilityValues         – weight of one safe move (a move to a
+ *                            square no enemy pawn attacks), by piece
+ *   centralMinorBonus      – bonus per knight/bishop on d4, d5, e4 or e5
+ *   outpostBonus           – bonus per knight on an outpost (4th–6th
+ *                            rank, out of reach of enemy pawns)
+ *   supportedOutpostBonus  – extra bonus when a pawn defends it
+ *   rookOpenFileBonus      – bonus per rook on a file without pawns
+ *   rookHalfOpenFileBonus  – bonus per rook on a file with enemy pawns only
+ *   rookSeventhBonus       – bonus per rook on the 7th rank (with enemy
+ *                            pawns there or the enemy king on the 8th)
+ *   badBishopPenalty       – penalty for a bishop with all its own
+ *                            pawns on its colour (none at half or less)
+ *
+ * pawnStructure (tapered: weights)
+ *   weights – one coefficient per detector (negative = weakness),
+ *             keyed by the component names of the detailed output
+ *
+ * space (tapered: reachCap and the four component weights)
+ *   reachCap         – reachable enemy-half squares that map to 1
+ *   reachWeight      – weight of the reach component
+ *   presenceWeight   – weight of the presence component
+ *   footholdWeight   – weight of the foothold component
+ *   safeSpaceCap     – safe squares (behind-the-pawn squares counting
+ *                      twice, with a full army) that map to 1
+ *   safeSpaceWeight  – weight of the safe-space component; set the
+ *                      other three to 0 to use it on its own
+ *   presenceValues   – presence weight of each piece type
+ *
+ * threats (optional Threats metric; not tapered)
+ *   weights   – weight of each kind of threat (hanging, underDefended,
+ *               attackedByLower, pins, doubleAttacks)
+ *   valueCap  – material at stake (in pawns) that maps a kind to 1
+ *
+ * score (see summarizeKMAPS.js)
+ *   weights      – pawns of advantage for a full 0→1 gap in each
+ *                  metric (Material's 39 makes its term exact pawns)
+ *   slope        – steepness of the expected-score curve per pawn
+ *   equalMargin  – advantage (in pawns) below which neither side
+ *                  is called better
+ */
+export const DEFAULT_CONFIG = deepFreeze({
+  phase: {
+    pieceWeights: { n: 1, b: 1, r: 2, q: 4 },
+    openingMoves: 12,
+    openingThreshold: 0.1,
+    endgameThreshold: 0.6,
+  },
+  material: {
+    pieceValues: { p: 1, n: 3, b: 3, r: 5, q: 9, k: 0 },
+    range: 78,
+    bishopPair: 0.5,
+    knightPawnBonus: 0.0625,
+    rookPawnPenalty: 0.125,
+    rookPairPenalty: 0.25,
+    extraMinorBonus: 0.4,
+    tradeDownScale: 0.3,
+    endgame: {
+      pieceValues: { p: 1.25, n: 2.75, b: 3.25, r: 5, q: 9, k: 0 },
+      bishopPair: 0.6,
+      extraMinorBonus: 0,
+    },
+  },
+  kingSafety: {
+    shieldWeight: 0.45,
+    placementWeight: 0.3,
+    castledBonus: 0.35,
+    castledShieldMin: 0.66,
+    mobilityWeight: 0.05,
+    attackValues: { p: 1, n: 2, b: 2, r: 3, q: 5 },
+    attackScale: 20,
+    attackWeight: 0.3,
+    fileWeight: 0.15,
+    checkValues: { n: 1, b: 1, r: 1.5, q: 2 },
+    checkScale: 4,
+    checkWeight: 0.2,
+    smoothing: 0.3,
+    endgame: {
+      centralization: 0.7,
+      mobility: 0.3,
+    },
+  },
+  activity: {
+    mobilityCap: 30,
+    mobilityValues: { n: 1, b: 1, r: 0.6, q: 0.35 },
+    centralMinorBonus: 0.1,
+    outpostBonus: 0.06,
+    supportedOutpostBonus: 0.04,
+    rookOpenFileBonus: 0.05,
+    rookHalfOpenFileBonus: 0.025,
+    rookSeventhBonus: 0.05,
+    badBishopPenalty: 0.08,
+    endgame: {
+      mobilityCap: 22,
+      centralMinorBonus: 0.05,
+      outpostBonus: 0.04,
+      supportedOutpostBonus: 0.02,
+      rookSeventhBonus: 0.08,
+    },
+  },
+  pawnStructure: {
+    weights: PAWN_WEIGHTS,
+    endgame: {
+      // Passers and flank majorities decide endgames; advanced
+      // pawns are assets rather than targets
+      weights: {
+        ...PAWN_WEIGHTS,
+        isolated: -0.45,
+        overAdvanced: -0.05,
+        passed: 0.8,
+        candidatePassed: 0.3,
+        chains: 0.05,
+        queensideMajority: 0.08,
+        kingsideMajority: 0.04,
+        queensideMinority: -0.08,
+        kingsideMinority: -0.04,
+      },
+    },
+  },
+  space: {
+    reachCap: 28,
+    reachWeight: 0.45,
+    presenceWeight: 0.25,
+    footholdWeight: 0.1,
+    safeSpaceCap: 20,
+    safeSpaceWeight: 0.2,
+    presenceValues: { p: 1, n: 0.8, b: 0.8, r: 0.6, q: 0.5, k: 0.2 },
+    endgame: {
+      reachCap: 20,
+      reachWeight: 0.7,
+      presenceWeight: 0.15,
+      footholdWeight: 0.15,
+      safeSpaceWeight: 0,
+    },
+  },
+  threats: {
+    weights: {
+      hanging: 0.35,
+      underDefended: 0.1,
+      attackedByLower: 0.25,
+      pins: 0.15,
+      doubleAttacks: 0.15,
+    },
+    valueCap: 9,
+  },
+  score: {
+    weights: {
+      material: 39,
+      kingSafety: 4,
+      activity: 2,
+      pawnStructure: 2,
+      space: 3,
+    },
+    slope: 0.368,
+    equalMargin: 0.3,
+  },
+});
+
+// Keys whose values must be strictly positive (used as divisors or caps).
+// Endgame values follow the rule of their opening counterpart.
+const POSITIVE_KEYS = new Set([
+  "material.range",
+  "kingSafety.attackScale",
+  "kingSafety.checkScale",
+  "activity.mobilityCap",
+  "space.reachCap",
+  "space.safeSpaceCap",
+  "threats.valueCap",
+  "score.slope",
+]);
+
+// Keys whose values must be whole numbers
+const INTEGER_KEYS = new Set(["phase.openingMoves"]);
+
+// Keys whose values must lie within [0, 1]
+const UNIT_KEYS = new Set([
+  "kingSafety.castledShieldMin",
+  "kingSafety.smoothing",
+  "phase.openingThreshold",
+  "phase.endgameThreshold",
+]);
+
+// Keys whose values must not be negative
+const NON_NEGATIVE_PREFIXES = [
+  "phase.pieceWeights.",
+  "material.pieceValues.",
+  "material.bishopPair",
+  "material.knightPawnBonus",
+  "material.rookPawnPenalty",
+  "material.rookPairPenalty",
+  "material.extraMinorBonus",
+  "material.tradeDownScale",
+  "kingSafety.attackValues.",
+  "kingSafety.checkValues.",
+  "activity.",
+  "threats.weights.",
+  "score.weights.",
+  "score.equalMargin",
+];
+
+// Configs produced by resolveConfig(), so they are not re-validated
+const resolved = new WeakSet();
+
+/**
+ * resolveConfig(overrides)
+ * -----------------------------------------
+ * Merges a partial configuration onto DEFAULT_CONFIG and validates
+ * the result. Only keys that exist in DEFAULT_CONFIG are accepted,
+ * and every value must be a finite number.
+ *
+ * @param {Object} [overrides] - Partial config, e.g.
+ *   { kingSafety: { shieldWeight: 0.5 }, activity: { mobilityCap: 35 } }
+ * @returns {Object} A complete, deeply frozen configuration.
+ * @throws {TypeError} On unknown keys or non-numeric values.
+ * @throws {RangeError} On values outside their allowed range.
+ *
+ * Example:
+ *   resolveConfig({ space: { reachCap: 24 } }).space.reachCap → 24
+ */
+export function resolveConfig(overrides) {
+  if (overrides === undefined || overrides === null) return DEFAULT_CONFIG;
+  if (resolved.has(overrides)) return overrides;
+
+  const config = mergeSection(DEFAULT_CONFIG, overrides, "config");
+
+  // The opening must end before the endgame starts, or some phase
+  // values would never read as a middlegame
+  const { openingThreshold, endgameThreshold } = config.phase;
+  if (openingThreshold > endgameThreshold) {
+    throw new RangeError(
+      "phase.openingThreshold must not be greater than " +
+        "phase.endgameThreshold"
+    );
+  }
+
+  deepFreeze(config);
+  resolved.add(config);
+  return config;
+}
+
+resolved.add(DEFAULT_CONFIG);
+
+/**
+ * mergeSection(defaults, overrides, path)
+ * -----------------------------------------
+ * Recursively copies `defaults`, replacing values found in
+ * `overrides` after validating them against the default's shape.
+ */
+function mergeSection(defaults, overrides, path) {
+  if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) {
+    throw new TypeError(`${path} must be an object`);
+  }
+
+  for (const key of Object.keys(overrides)) {
+    if (!(key in defaults)) {
+      throw new TypeError(`Unknown configuration key: ${path}.${key}`);
+    }
+  }
+
+  const out = {};
+  for (const [key, def] of Object.entries(defaults)) {
+    const keyPath = `${path}.${key}`;
+    const value = overrides[key];
+
+    if (value === undefined) {
+      out[key] = def;
+    } else if (typeof def === "object") {
+      out[key] = mergeSection(def, value, keyPath);
+    } else {
+      out[key] = validateNumber(value, keyPath.replace(/^config\./, ""));
+    }
+  }
+  return out;
+}
+
+/**
+ * validateNumber(value, key)
+ * -----------------------------------------
+ * Checks a single numeric setting against its constraints.
+ */
+function validateNumber(value, key) {
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    throw new TypeError(`${key} must be a finite number`);
+  }
+
+  // Range rules are shared by a setting and its endgame value
+  const rule = key.replace(".endgame.", ".");
+  if (NON_NEGATIVE_PREFIXES.some((p) => rule.startsWith(p)) && value < 0) {
+    throw new RangeError(`${key} must not be negative`);
+  }
+  if (POSITIVE_KEYS.has(rule) && value <= 0) {
+    throw new RangeError(`${key} must be greater than 0`);
+  }
+  if (INTEGER_KEYS.has(rule) && (!Number.isInteger(value) || value < 1)) {
+    throw new RangeError(`${key} must be a positive integer`);
+  }
+  if (UNIT_KEYS.has(rule) && (value < 0 || value > 1)) {
+    throw new RangeError(`${key} must be between 0 and 1`);
+  }
+  return value;
+}
+
+/**
+ * deepFreeze(obj)
+ * -----------------------------------------
+ * Freezes an object and all nested objects in place.
+ */
+function deepFreeze(obj) {
+  for (const value of Object.values(obj)) {
+    if (value && typeof value === "object") deepFreeze(value);
+  }
+  return Object.freeze(obj);
+}
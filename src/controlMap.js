@@ -0,0 +1,74 @@
+// Load FENs (standard or Chess960) through chess.js
+import { loadGame } from "./utils/fenUtils.js";
+
+import { getPositionContext } from "./positionContext.js";
+
+/**
+ * -----------------------------------------
+ * Function: getControlMap(fen)
+ * -----------------------------------------
+ * Computes a per-square control / influence map for both sides.
+ *
+ * For every square the map gives the number of White and Black
+ * pieces attacking it, the lowest-value attacker of each side and
+ * the net control (White attackers − Black attackers). Attacks are
+ * pseudo-legal: a piece defending its own man counts as control,
+ * and pinned pieces still attack.
+ *
+ * The Space metric's reach and the King Safety attack components are
+ * computed from this same map, so a heatmap drawn from it matches
+ * the reported scores.
+ *
+ * @param {string|Chess} fen - A FEN string (or a chess.js instance).
+ * @returns {Array<Array<Object>>|null} An 8×8 grid (row 0 = rank 8,
+ *   column 0 = a-file) of cells in the form:
+ *   {
+ *     square: "e4",
+ *     white: 2, black: 1, net: 1,
+ *     lowestWhite: "p", lowestBlack: "n",
+ *     attackers: { w: [{ square: "d3", type: "p" }, …], b: […] }
+ *   }
+ *   Returns null if the FEN is invalid.
+ */
+export function getControlMap(fen) {
+  let game = fen;
+  if (typeof fen === "string") {
+    try {
+      game = loadGame(fen);
+    } catch {
+      return null;
+    }
+  } else if (!fen || typeof fen.board !== "function") {
+    return null;
+  }
+
+  return buildControlMap(game);
+}
+
+/**
+ * buildControlMap(game)
+ * -----------------------------------------
+ * Returns the control map for an already-loaded chess.js instance
+ * or a position context. Used by getControlMap() and by the metric
+ * modules; with a context the map is built once and shared.
+ *
+ * @param {Chess|Object} game - A chess.js instance or position context.
+ * @returns {Array<Array<Object>>} The 8×8 control grid.
+ */
+export function buildControlMap(game) {
+  return getPositionContext(game).controlMap();
+}
+
+/**
+ * controlCell(map, fileIdx, rank)
+ * -----------------------------------------
+ * Looks up the control map cell for (fileIdx, rank).
+ *
+ * @param {Array<Array<Object>>} map - Control map from buildControlMap().
+ * @param {number} fileIdx - Zero-based file index (0–7).
+ * @param {number} rank - Rank number (1–8).
+ * @returns {Object} The cell for that square.
+ */
+export function controlCell(map, fileIdx, rank) {
+  return map[8 - rank][fileIdx];
+}
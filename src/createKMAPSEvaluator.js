@@ -0,0 +1,62 @@
+import { computeKMAPS } from "./computeKMAPS.js";
+import { computeKMAPSForGame } from "./computeKMAPSForGame.js";
+import { computeKMAPSBatch, computeKMAPSStream } from "./computeKMAPSBatch.js";
+import { summarizeKMAPS, computeKMAPSScore } from "./summarizeKMAPS.js";
+import { compareKMAPS } from "./compareKMAPS.js";
+import { rankMovesByKMAPS } from "./rankMovesByKMAPS.js";
+import { findTurningPoints } from "./findTurningPoints.js";
+import { resolveConfig } from "./config.js";
+
+/**
+ * -----------------------------------------
+ * Function: createKMAPSEvaluator(config)
+ * -----------------------------------------
+ * Builds an evaluator bound to a custom K-MAPS configuration.
+ * The configuration is validated once, up front, and then reused
+ * for every call.
+ *
+ * @param {Object} [config] - Partial configuration overriding the
+ *   defaults in DEFAULT_CONFIG, e.g. { activity: { mobilityCap: 35 } }.
+ * @returns {{
+ *   config: Object,
+ *   computeKMAPS: (fen: string, options?: Object) => Array<Object>,
+ *   computeKMAPSForGame: (pgn: string, options?: Object) => Object,
+ *   computeKMAPSBatch: (lines: Iterable<string>, options?: Object) => Array<Object>,
+ *   computeKMAPSStream: (lines: AsyncIterable<string>, options?: Object) => AsyncGenerator<Object>,
+ *   summarizeKMAPS: (rows: Array<Object>, options?: Object) => Object|null,
+ *   computeKMAPSScore: (fen: string, options?: Object) => Object|null,
+ *   compareKMAPS: (fenA: string, fenB: string, options?: Object) => Object|null,
+ *   rankMovesByKMAPS: (fen: string, options?: Object) => Array<Object>,
+ *   findTurningPoints: (input: string|string[]|Object, options?: Object) => Object
+ * }} The resolved config and configured versions of the entry points.
+ * @throws {TypeError|RangeError} If the configuration is invalid.
+ *
+ * Example:
+ *   const kmaps = createKMAPSEvaluator({ space: { reachCap: 24 } });
+ *   kmaps.computeKMAPS(fen, { detail: true });
+ */
+export function createKMAPSEvaluator(config) {
+  const resolved = resolveConfig(config);
+
+  return {
+    config: resolved,
+    computeKMAPS: (fen, options = {}) =>
+      computeKMAPS(fen, { ...options, config: resolved }),
+    computeKMAPSForGame: (pgn, options = {}) =>
+      computeKMAPSForGame(pgn, { ...options, config: resolved }),
+    computeKMAPSBatch: (lines, options = {}) =>
+      computeKMAPSBatch(lines, { ...options, config: resolved }),
+    computeKMAPSStream: (lines, options = {}) =>
+      computeKMAPSStream(lines, { ...options, config: resolved }),
+    summarizeKMAPS: (rows, options = {}) =>
+      summarizeKMAPS(rows, { ...options, config: resolved }),
+    computeKMAPSScore: (fen, options = {}) =>
+      computeKMAPSScore(fen, { ...options, config: resolved }),
+    compareKMAPS: (fenA, fenB, options = {}) =>
+      compareKMAPS(fenA, fenB, { ...options, config: resolved }),
+    rankMovesByKMAPS: (fen, options = {}) =>
+      rankMovesByKMAPS(fen, { ...options, config: resolved }),
+    findTurningPoints: (input, options = {}) =>
+      findTurningPoints(input, { ...options, config: resolved }),
+  };
+}
@@ -0,0 +1,232 @@
+// -------------------------------------------------------------
+// Turning-Point Detection
+// -------------------------------------------------------------
+// Walks a game timeline — a PGN, a list of FENs or the result of
+// computeKMAPSForGame() — and reports the plies where the strategic
+// balance swung: a metric's margin (White − Black) moved by more
+// than a threshold, or the side leading on a metric changed.
+//
+// Every position is scored with the ordinary computeKMAPS() rows,
+// so each event can be checked against a plain evaluation.
+// -------------------------------------------------------------
+
+import {
+  loadGame,
+  toStandardFen,
+  getChess960Castles,
+} from "./utils/fenUtils.js";
+
+import { evaluatePosition, selectMetrics } from "./computeKMAPS.js";
+import { computeKMAPSForGame } from "./computeKMAPSForGame.js";
+import { resolveConfig } from "./config.js";
+
+// Margin change that counts as a swing when no threshold is given
+const DEFAULT_THRESHOLD = 0.15;
+
+/**
+ * -----------------------------------------
+ * Function: findTurningPoints(input, options)
+ * -----------------------------------------
+ * Finds the moves after which a metric swung or changed hands.
+ *
+ * @param {string|string[]|Object} input - A PGN string, an array of
+ *   FENs in game order, or a computeKMAPSForGame() result (its rows
+ *   are used as they are).
+ * @param {Object} [options]
+ * @param {number|Object<string,number>} [options.threshold=0.15] -
+ *   Smallest change in a metric's margin (White − Black) reported as
+ *   a swing; either one value for every metric or values keyed by
+ *   metric name, e.g. { Material: 0.05 } (others keep 0.15).
+ * @param {string[]} [options.metrics] - Metrics to watch (default:
+ *   the default metrics of computeKMAPS()).
+ * @param {Object} [options.config] - Partial or resolved configuration.
+ * @returns {{
+ *   events: Array<{
+ *     ply: number, moveNumber: number|null, san: string|null,
+ *     color: "w"|"b"|null, fen: string, metric: string,
+ *     before: { White: number, Black: number },
+ *     after: { White: number, Black: number },
+ *     swing: number,
+ *     leader: { before: string|null, after: string|null },
+ *     reasons: Array<"swing"|"leadChange">
+ *   }>,
+ *   error: { ply: number, moveNumber: number|null, san: string|null, message: string }|null
+ * }}
+ *   Events are in ply order, then metric order. `san`, `color` and
+ *   `moveNumber` describe the move into the position at `ply`; for a
+ *   FEN list they are found by matching the legal moves of the
+ *   previous position, and are null if no single move connects the
+ *   two. `swing` is the change in White − Black (positive = towards
+ *   White) and `leader` is "White", "Black" or null when level.
+ *   `error` reports where a PGN or FEN list stopped being readable;
+ *   the events before it are still returned.
+ * @throws {TypeError} On an unsupported input or unknown metric.
+ * @throws {RangeError} On a negative or non-numeric threshold, or an
+ *   out-of-range config.
+ *
+ * Example:
+ *   findTurningPoints(pgn, { threshold: { Material: 0.05 } }).events
+ *   → [{ ply: 23, san: "Nxe5", metric: "Material", swing: 0.08, … }]
+ */
+export function findTurningPoints(input, options = {}) {
+  const config = resolveConfig(options.config);
+  const watched = selectMetrics(options.metrics).map(([name]) => name);
+  const thresholdOf = resolveThresholds(options.threshold);
+
+  const { plies, error } = buildTimeline(input, {
+    config,
+    metrics: options.metrics,
+  });
+
+  // --- Compare each position with the one before it ---
+  const events = [];
+  for (let i = 1; i < plies.length; i++) {
+    const prev = plies[i - 1];
+    const cur = plies[i];
+
+    for (const metric of watched) {
+      const was = prev.metrics.find((r) => r.metric === metric);
+      const now = cur.metrics.find((r) => r.metric === metric);
+      if (!was || !now) continue;
+
+      const swing = now.White - now.Black - (was.White - was.Black);
+      const leader = { before: leaderOf(was), after: leaderOf(now) };
+
+      const reasons = [];
+      if (Math.abs(swing) > thresholdOf(metric)) reasons.push("swing");
+      if (leader.before && leader.after && leader.before !== leader.after) {
+        reasons.push("leadChange");
+      }
+      if (!reasons.length) continue;
+
+      events.push({
+        ply: cur.ply,
+        moveNumber: cur.moveNumber,
+        san: cur.san,
+        color: cur.color,
+        fen: cur.fen,
+        metric,
+        before: { White: was.White, Black: was.Black },
+        after: { White: now.White, Black: now.Black },
+        swing,
+        leader,
+        reasons,
+      });
+    }
+  }
+
+  return { events, error };
+}
+
+/**
+ * resolveThresholds(threshold)
+ * -----------------------------------------
+ * Validates the threshold option and returns a metric → threshold
+ * lookup.
+ */
+function resolveThresholds(threshold = DEFAULT_THRESHOLD) {
+  const check = (value, name) => {
+    if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+      throw new RangeError(`${name} must be a non-negative number`);
+    }
+    return value;
+  };
+
+  if (typeof threshold !== "object" || threshold === null) {
+    const value = check(threshold, "threshold");
+    return () => value;
+  }
+
+  selectMetrics(Object.keys(threshold));
+  for (const [metric, value] of Object.entries(threshold)) {
+    check(value, `threshold["${metric}"]`);
+  }
+  return (metric) =>
+    metric in threshold ? threshold[metric] : DEFAULT_THRESHOLD;
+}
+
+/**
+ * buildTimeline(input, options)
+ * -----------------------------------------
+ * Turns the accepted input forms into { plies, error }, with plies
+ * shaped like computeKMAPSForGame() entries.
+ */
+function buildTimeline(input, options) {
+  if (typeof input === "string") return computeKMAPSForGame(input, options);
+  if (Array.isArray(input)) return timelineFromFens(input, options);
+  if (input && Array.isArray(input.plies)) {
+    return { plies: input.plies, error: input.error ?? null };
+  }
+  throw new TypeError(
+    "input must be a PGN string, an array of FENs or a " +
+      "computeKMAPSForGame() result"
+  );
+}
+
+/**
+ * timelineFromFens(fens, options)
+ * -----------------------------------------
+ * Evaluates a list of FENs in order. Stops at the first FEN that
+ * cannot be read and reports it as the error.
+ */
+function timelineFromFens(fens, options) {
+  const plies = [];
+  let previous = null;
+
+  for (let ply = 0; ply < fens.length; ply++) {
+    let game;
+    try {
+      if (typeof fens[ply] !== "string") {
+        throw new Error("FEN must be a string");
+      }
+      game = loadGame(fens[ply]);
+    } catch (err) {
+      return {
+        plies,
+        error: { ply, moveNumber: null, san: null, message: err.message },
+      };
+    }
+
+    const move = previous && findMove(previous, fens[ply - 1], game.fen());
+    plies.push({
+      ply,
+      moveNumber: move ? previous.moveNumber() : null,
+      san: move ? move.san : null,
+      color: move ? move.color : null,
+      turn: game.turn(),
+      fen: fens[ply],
+      metrics: evaluatePosition(game, options),
+    });
+    previous = game;
+  }
+
+  return { plies, error: null };
+}
+
+/**
+ * findMove(game, from, fen)
+ * -----------------------------------------
+ * The legal move of `game` (loaded from the FEN `from`) that leads
+ * to `fen` (comparing piece placement, side to move and castling
+ * rights), or null. Chess960 castles are included.
+ */
+function findMove(game, from, fen) {
+  const key = (f) => toStandardFen(f).split(" ").slice(0, 3).join(" ");
+  const target = key(fen);
+  return (
+    [...game.moves({ verbose: true }), ...getChess960Castles(from)].find(
+      (m) => key(m.after) === target
+    ) ?? null
+  );
+}
+
+/**
+ * leaderOf(row)
+ * -----------------------------------------
+ * The side ahead on a metric row, or null when level.
+ */
+function leaderOf({ White, Black }) {
+  if (White > Black) return "White";
+  if (Black > White) return "Black";
+  return null;
+}
@@ -1 +1,26 @@
 export { computeKMAPS } from "./computeKMAPS.js";
+export { computeKMAPSForGame } from "./computeKMAPSForGame.js";
+export { computeKMAPSBatch, computeKMAPSStream } from "./computeKMAPSBatch.js";
+export { summarizeKMAPS, computeKMAPSScore } from "./summarizeKMAPS.js";
+export { compareKMAPS } from "./compareKMAPS.js";
+export { rankMovesByKMAPS } from "./rankMovesByKMAPS.js";
+export { findTurningPoints } from "./findTurningPoints.js";
+export { validateKMAPSInput } from "./validateKMAPSInput.js";
+export { toStandardFen, getChess960Castles } from "./utils/fenUtils.js";
+export { createKMAPSEvaluator } from "./createKMAPSEvaluator.js";
+export { createKMAPSReference } from "./normalizeKMAPS.js";
+export {
+  registerMetric,
+  unregisterMetric,
+  resetMetrics,
+  listMetrics,
+} from "./metricRegistry.js";
+export { DEFAULT_CONFIG, resolveConfig } from "./config.js";
+export { getPawnStructureReport } from "./metrics/pawnStructure.js";
+export { getControlMap } from "./controlMap.js";
+export { getGamePhase } from "./metrics/gamePhase.js";
+export {
+  getPawnCacheStats,
+  clearPawnCache,
+  configurePawnCache,
+} from "./utils/pawnCache.js";
@@ -0,0 +1,308 @@
+// -------------------------------------------------------------
+// Metric Registry
+// -------------------------------------------------------------
+// Holds the metrics computeKMAPS() evaluates: the five built-in
+// K-MAPS metrics, the optional Threats metric and any metric
+// registered with registerMetric(). Rows are produced in `order`,
+// so a custom metric can sit anywhere between the built-ins.
+//
+// The registry is module state: registrations apply to every
+// evaluation in the same thread (worker pools only know the
+// built-in metrics, see parallel.js).
+// -------------------------------------------------------------
+
+import { clamp } from "./utils/mathUtils.js";
+import { computePhase } from "./metrics/gamePhase.js";
+import { getMaterialDetail } from "./metrics/material.js";
+import { getKingSafetyDetail } from "./metrics/kingSafety.js";
+import { getPieceActivityDetail } from "./metrics/activity.js";
+import { getPawnStructureDetail } from "./metrics/pawnStructure.js";
+import { getSpaceDetail } from "./metrics/space.js";
+import { getThreatsDetail } from "./metrics/threats.js";
+
+// Row name used by the `phase` option, not available to metrics
+const RESERVED_NAMES = new Set(["Game Phase"]);
+
+// Gap between the built-in orders, and after the last metric for a
+// registration without an order
+const ORDER_STEP = 10;
+
+// -------------------------------------------------------------
+// Built-in metrics — display name, detail evaluator and whether the
+// metric is only computed when asked for by name
+// -------------------------------------------------------------
+const BUILT_INS = [
+  // Material balance
+  ["Material", getMaterialDetail, false],
+  // King safety evaluation
+  ["King Safety", getKingSafetyDetail, false],
+  // Piece activity / mobility
+  ["Activity", getPieceActivityDetail, false],
+  // Pawn structure quality
+  ["Pawn Structure", getPawnStructureDetail, false],
+  // Spatial control (territory)
+  ["Space", getSpaceDetail, false],
+  // Tactical tension (optional, off by default)
+  ["Threats", getThreatsDetail, true],
+].map(([name, evaluate, optional], i) => ({
+  name,
+  evaluate,
+  order: (i + 1) * ORDER_STEP,
+  optional,
+  builtIn: true,
+}));
+
+// Registered metrics, kept sorted by order
+let registry = [...BUILT_INS];
+
+/**
+ * METRIC_NAMES
+ * -----------------------------------------
+ * The metric names accepted by the `metrics` option, in row order.
+ * A live binding: it follows registrations.
+ */
+export let METRIC_NAMES = [];
+
+/**
+ * DEFAULT_METRIC_NAMES
+ * -----------------------------------------
+ * The metrics computed when no `metrics` option is given: every
+ * registered metric except the optional ones. A live binding.
+ */
+export let DEFAULT_METRIC_NAMES = [];
+
+refreshNames();
+
+/**
+ * -----------------------------------------
+ * Function: registerMetric(definition)
+ * -----------------------------------------
+ * Adds a metric to every K-MAPS evaluation, or replaces an existing
+ * one (built-ins included).
+ *
+ * `compute` is called once per side with the chess.js instance, the
+ * color and { config, context, phase } (the shared position context
+ * and game phase, so expensive data such as legal moves or the
+ * control map is built only once). It returns a number, or an object
+ * with a `score` and optionally `components` and other fields for
+ * the detailed output. The score must be a finite number and is
+ * clamped to [0, 1]; in detail mode the object is completed with
+ * `phase` and `components` ([] if absent), as for the built-ins.
+ * In diagram mode (no chess.js game) `compute` is not called and the
+ * metric's scores are null.
+ *
+ * @param {Object} definition
+ * @param {string} definition.name - Row name, e.g. "Coordination".
+ * @param {Function} definition.compute - (game, color, extras) =>
+ *   number | { score, components?, … }.
+ * @param {number} [definition.order] - Position among the rows; the
+ *   built-ins use 10, 20, … 60 (Material … Threats). Default: after
+ *   the last metric, or the replaced metric's order.
+ * @param {boolean} [definition.optional] - When true, the metric is
+ *   only computed if named in the `metrics` option. Default: false,
+ *   or the replaced metric's setting.
+ * @param {boolean} [definition.replace=false] - Allow replacing a
+ *   metric that is already registered.
+ * @returns {void}
+ * @throws {TypeError} On a missing or reserved name, a non-function
+ *   `compute`, a non-numeric order, or a name already registered
+ *   without `replace: true`.
+ *
+ * Example:
+ *   registerMetric({
+ *     name: "Coordination",
+ *     compute: (game, color) => countDefendedPieces(game, color) / 16,
+ *     order: 35, // between Activity and Pawn Structure
+ *   });
+ */
+export function registerMetric(definition) {
+  const { name, compute, order, optional, replace = false } =
+    definition ?? {};
+
+  if (typeof name !== "string" || !name.trim()) {
+    throw new TypeError("Metric name must be a non-empty string");
+  }
+  if (RESERVED_NAMES.has(name)) {
+    throw new TypeError(`"${name}" is a reserved row name`);
+  }
+  if (typeof compute !== "function") {
+    throw new TypeError(`Metric "${name}" needs a compute function`);
+  }
+  if (
+    order !== undefined &&
+    (typeof order !== "number" || !Number.isFinite(order))
+  ) {
+    throw new TypeError(`Metric "${name}": order must be a finite number`);
+  }
+  if (
+    (optional !== undefined && typeof optional !== "boolean") ||
+    typeof replace !== "boolean"
+  ) {
+    throw new TypeError(`Metric "${name}": optional and replace are booleans`);
+  }
+
+  const existing = registry.find((m) => m.name === name);
+  if (existing && !replace) {
+    throw new TypeError(
+      `Metric "${name}" is already registered ` +
+        "(pass replace: true to replace it)"
+    );
+  }
+
+  const last = registry.length ? registry[registry.length - 1].order : 0;
+  const entry = {
+    name,
+    evaluate: wrapCompute(name, compute),
+    order: order ?? existing?.order ?? last + ORDER_STEP,
+    optional: optional ?? existing?.optional ?? false,
+    builtIn: false,
+  };
+
+  registry = registry.filter((m) => m !== existing);
+  registry.push(entry);
+  // Array.prototype.sort is stable: equal orders keep registration order
+  registry.sort((a, b) => a.order - b.order);
+  refreshNames();
+}
+
+/**
+ * -----------------------------------------
+ * Function: unregisterMetric(name)
+ * -----------------------------------------
+ * Removes a metric (built-ins included) from every evaluation.
+ *
+ * @param {string} name - The metric's row name.
+ * @returns {boolean} True if a metric was removed.
+ */
+export function unregisterMetric(name) {
+  const before = registry.length;
+  registry = registry.filter((m) => m.name !== name);
+  refreshNames();
+  return registry.length !== before;
+}
+
+/**
+ * -----------------------------------------
+ * Function: resetMetrics()
+ * -----------------------------------------
+ * Restores the built-in metrics and removes every registration.
+ *
+ * @returns {void}
+ */
+export function resetMetrics() {
+  registry = [...BUILT_INS];
+  refreshNames();
+}
+
+/**
+ * -----------------------------------------
+ * Function: listMetrics()
+ * -----------------------------------------
+ * Describes the registered metrics in row order.
+ *
+ * @returns {Array<{ name: string, order: number, optional: boolean,
+ *                   builtIn: boolean }>}
+ *   `builtIn` is false for registered metrics, including those that
+ *   replace a built-in.
+ */
+export function listMetrics() {
+  return registry.map(({ name, order, optional, builtIn }) => ({
+    name,
+    order,
+    optional,
+    builtIn,
+  }));
+}
+
+/**
+ * selectMetrics(names)
+ * -----------------------------------------
+ * Returns [name, evaluate] pairs for the requested names, in row
+ * order. The default metrics (all but the optional ones) are
+ * returned when `names` is undefined. `evaluate(ctx, color, config)`
+ * returns the metric's detail object.
+ *
+ * @param {string[]} [names] - Metric names, e.g. ["Material", "Space"].
+ * @returns {Array<[string, Function]>}
+ * @throws {TypeError} If `names` is not an array or names an unknown metric.
+ */
+export function selectMetrics(names) {
+  if (names === undefined) {
+    return registry.filter((m) => !m.optional).map(toPair);
+  }
+  if (!Array.isArray(names)) {
+    throw new TypeError("metrics must be an array of metric names");
+  }
+  for (const name of names) {
+    if (!METRIC_NAMES.includes(name)) {
+      throw new TypeError(
+        `Unknown metric "${name}" (expected one of: ${METRIC_NAMES.join(", ")})`
+      );
+    }
+  }
+  return registry.filter((m) => names.includes(m.name)).map(toPair);
+}
+
+function toPair({ name, evaluate }) {
+  return [name, evaluate];
+}
+
+/**
+ * refreshNames()
+ * -----------------------------------------
+ * Recomputes the exported name lists after a registry change.
+ */
+function refreshNames() {
+  METRIC_NAMES = registry.map((m) => m.name);
+  DEFAULT_METRIC_NAMES = registry
+    .filter((m) => !m.optional)
+    .map((m) => m.name);
+}
+
+/**
+ * wrapCompute(name, compute)
+ * -----------------------------------------
+ * Adapts a registered compute function to the built-in evaluator
+ * signature and output shape, validating and clamping its score.
+ */
+function wrapCompute(name, compute) {
+  return (ctx, color, config) => {
+    const phase = computePhase(ctx, config).value;
+
+    // compute() is written against a chess.js game, which a diagram
+    // does not have
+    if (ctx.diagram) {
+      return {
+        score: null,
+        unavailable: "Registered metrics need a position chess.js can load",
+        phase,
+        components: [],
+      };
+    }
+
+    const result = compute(ctx.game, color, { config, context: ctx, phase });
+
+    const detail =
+      typeof result === "number"
+        ? { score: result }
+        : result && typeof result === "object"
+          ? { ...result }
+          : null;
+    if (
+      !detail ||
+      typeof detail.score !== "number" ||
+      !Number.isFinite(detail.score)
+    ) {
+      throw new TypeError(
+        `Metric "${name}" must return a finite number or { score: number }`
+      );
+    }
+
+    return {
+      ...detail,
+      score: clamp(detail.score),
+      phase: detail.phase ?? phase,
+      components: detail.components ?? [],
+    };
+  };
+}
@@ -1,70 +1,328 @@
-import { Chess } from "chess.js";
 import { clamp } from "../utils/mathUtils.js";
+import { DEFAULT_CONFIG } from "../config.js";
+import { controlCell } from "../controlMap.js";
+import { getPositionContext } from "../positionContext.js";
+import { computePhase, taper } from "./gamePhase.js";
+
+// Piece types that take part in the activity model (pawns and the
+// king are judged by Pawn Structure and King Safety)
+const ACTIVE_TYPES = ["n", "b", "r", "q"];
+
+// Reason reported for the parts that need legal moves
+const NO_MOVES = "Legal moves are not available for a diagram";
+
+// Side-level components, in output order
+const COMPONENTS = [
+  ["mobility", "Safe Mobility"],
+  ["centralMinors", "Central Minor Pieces"],
+  ["outposts", "Knight Outposts"],
+  ["supportedOutposts", "Pawn-Supported Outposts"],
+  ["rookOpenFiles", "Rooks on Open Files"],
+  ["rookHalfOpenFiles", "Rooks on Half-Open Files"],
+  ["rookSeventh", "Rooks on the 7th Rank"],
+  ["badBishops", "Bad Bishops"],
+];
 
 /**
  * -------------------------------------------------------------
- * getPieceActivity(game, color)
+ * getPieceActivity(game, color, config)
  * -------------------------------------------------------------
  * Evaluates the "Activity" metric for a given color — a measure
- * of how freely that side’s pieces can move and how active
- * they are, particularly in central areas.
+ * of how freely that side’s pieces can move and how well they
+ * are placed.
  *
- * Activity is based on:
- *   1. Number of available non-pawn moves.
- *   2. Small bonus for knights and bishops occupying central squares.
+ * Activity is built piece by piece (knights, bishops, rooks and
+ * queens):
+ *   1. Safe mobility: legal moves to squares no enemy pawn attacks,
+ *      weighted by piece type.
+ *   2. Small bonus for knights and bishops on d4, d5, e4 or e5.
+ *   3. Knight outposts: squares in the enemy half that no enemy pawn
+ *      can ever attack, worth more when a pawn defends the knight.
+ *   4. Rooks on open or half-open files and on the 7th rank.
+ *   5. Penalty for bishops hemmed in by their own pawns.
  *
  * The score is normalized to the [0,1] range using clamp().
  *
- * @param {Chess} game - A chess.js instance representing the position.
+ * @param {Chess|Object} game - A chess.js instance or position context.
  * @param {"w"|"b"} color - The side to evaluate ("w" for White, "b" for Black).
+ * @param {Object} [config] - Resolved K-MAPS config (see config.js).
  * @returns {number} Normalized activity score in [0,1].
  */
-export function getPieceActivity(game, color) {
-  // Clone the position and set the side to move to the target color
-  // so that generated moves reflect that color’s mobility.
-  const fenParts = game.fen().split(" ");
-  fenParts[1] = color;
-  fenParts[3] = "-"; // clear EP square when changing side-to-move
-  const temp = new Chess(fenParts.join(" "));
+export function getPieceActivity(game, color, config = DEFAULT_CONFIG) {
+  return getPieceActivityDetail(game, color, config).score;
+}
 
-  // Generate all legal moves for this side
-  const moves = temp.moves({ verbose: true });
+/**
+ * -------------------------------------------------------------
+ * getPieceActivityDetail(game, color, config)
+ * -------------------------------------------------------------
+ * Same evaluation as getPieceActivity(), but also returns the
+ * side-level components behind the score and a per-piece breakdown.
+ *
+ * @param {Chess|Object} game - A chess.js instance or position context.
+ * @param {"w"|"b"} color - The side to evaluate ("w" for White, "b" for Black).
+ * @param {Object} [config] - Resolved K-MAPS config (see config.js).
+ * @returns {{ score: number|null, phase: number,
+ *             components: Array<Object>, pieces: Array<Object>,
+ *             unavailable?: string }}
+ *   `components` holds { name, label, raw, score, weight, contribution }.
+ *   `pieces` holds one entry per knight, bishop, rook and queen:
+ *   { square, type, moves, safeMoves, contributions, total }, where
+ *   `contributions` maps component names to that piece's share (only
+ *   the components that apply to it) and `total` is their sum. The
+ *   shares add up to the component contributions.
+ *   For a diagram (no legal moves) the score, the mobility component
+ *   and the per-piece move counts are null, and `unavailable` says
+ *   why; the other components are still computed.
+ */
+export function getPieceActivityDetail(game, color, config = DEFAULT_CONFIG) {
+  const ctx = getPositionContext(game);
+  const enemy = color === "w" ? "b" : "w";
 
-  // Count only non-pawn moves (pawns are excluded from activity metric)
-  const nonPawn = moves.filter((m) => m.piece !== "p").length;
+  // Caps, values and bonuses, tapered by game phase
+  const phase = computePhase(ctx, config).value;
+  const cfg = taper(config.activity, phase);
 
-  // Normalize raw mobility — 40 is a practical cap for open positions
-  let score = Math.min(nonPawn / 40, 1);
+  // Legal moves for this side, generated as if it were its turn
+  // (shared with any other metric that needs them), and the control
+  // map for enemy pawn attacks. A diagram has no legal moves, so its
+  // mobility is unavailable.
+  const moves = ctx.diagram ? null : ctx.moves(color);
+  const controlMap = ctx.controlMap();
+  const pawnAttacked = (square) =>
+    controlCell(controlMap, square.charCodeAt(0) - 97, +square[1]).attackers[
+      enemy
+    ].some((a) => a.type === "p");
 
   // -------------------------------------------------------------
-  // Positional Bonus: Add small increments for knights and bishops
-  // occupying central squares (d4, d5, e4, e5). This favors
-  // active, well-placed minor pieces.
+  // Per-piece terms. Each piece records its raw mobility and the
+  // bonuses (or penalty) that apply to it; the side-level components
+  // are the sums of these.
   // -------------------------------------------------------------
-  game.board().forEach((row, r) =>
-    row.forEach((sq, f) => {
-      if (!sq || sq.color !== color || sq.type === "p") return;
-      const square = `${String.fromCharCode(97 + f)}${8 - r}`;
-      if (isCentralSquare(square) && ["n", "b"].includes(sq.type)) score += 0.1;
-    })
-  );
+  const pieces = ctx.pieces[color]
+    .filter((p) => ACTIVE_TYPES.includes(p.type))
+    .map((piece) => {
+      const own = moves?.filter((m) => m.from === piece.square) ?? null;
+      const safeMoves = own?.filter((m) => !pawnAttacked(m.to)).length;
+      const counts = {};
+
+      if (["n", "b"].includes(piece.type) && isCentralSquare(piece.square)) {
+        counts.centralMinors = 1;
+      }
+      if (piece.type === "n" && isOutpost(ctx, piece, color)) {
+        counts.outposts = 1;
+        if (isPawnSupported(ctx, piece, color)) counts.supportedOutposts = 1;
+      }
+      if (piece.type === "r") {
+        const file = fileStatus(ctx, piece.file, color);
+        if (file === "open") counts.rookOpenFiles = 1;
+        if (file === "halfOpen") counts.rookHalfOpenFiles = 1;
+        if (isOnSeventh(ctx, piece, color)) counts.rookSeventh = 1;
+      }
+      if (piece.type === "b") {
+        const badness = bishopBadness(ctx, piece, color);
+        if (badness > 0) counts.badBishops = badness;
+      }
+
+      return {
+        square: piece.square,
+        type: piece.type,
+        moves: own ? own.length : null,
+        safeMoves: own ? safeMoves : null,
+        weighted: own ? safeMoves * cfg.mobilityValues[piece.type] : 0,
+        counts,
+      };
+    });
+
+  // -------------------------------------------------------------
+  // Safe mobility, normalized by the cap — 30 weighted moves is a
+  // practical ceiling for open positions; fewer pieces remain in
+  // endgames, so the cap tapers down
+  // -------------------------------------------------------------
+  const weighted = pieces.reduce((sum, p) => sum + p.weighted, 0);
+  const mobilityScore = Math.min(weighted / cfg.mobilityCap, 1);
+
+  const weights = {
+    mobility: 1,
+    centralMinors: cfg.centralMinorBonus,
+    outposts: cfg.outpostBonus,
+    supportedOutposts: cfg.supportedOutpostBonus,
+    rookOpenFiles: cfg.rookOpenFileBonus,
+    rookHalfOpenFiles: cfg.rookHalfOpenFileBonus,
+    rookSeventh: cfg.rookSeventhBonus,
+    badBishops: -cfg.badBishopPenalty,
+  };
+
+  const components = COMPONENTS.map(([name, label]) => {
+    if (name === "mobility" && !moves) {
+      return {
+        name,
+        label,
+        raw: null,
+        score: null,
+        weight: weights[name],
+        contribution: 0,
+        unavailable: NO_MOVES,
+      };
+    }
+    const score =
+      name === "mobility"
+        ? mobilityScore
+        : pieces.reduce((sum, p) => sum + (p.counts[name] ?? 0), 0);
+    return {
+      name,
+      label,
+      raw: name === "mobility" ? weighted : score,
+      score,
+      weight: weights[name],
+      contribution: weights[name] * score,
+    };
+  });
+
+  // Each piece's share; mobility is split in proportion to the
+  // weighted moves, so the shares still add up once the cap is hit
+  const breakdown = pieces.map((p) => {
+    const contributions = {};
+    if (moves) {
+      contributions.mobility = weighted
+        ? (p.weighted / weighted) * mobilityScore
+        : 0;
+    }
+    for (const [name, count] of Object.entries(p.counts)) {
+      contributions[name] = weights[name] * count;
+    }
+    const total = Object.values(contributions).reduce((a, b) => a + b, 0);
+    return {
+      square: p.square,
+      type: p.type,
+      moves: p.moves,
+      safeMoves: p.safeMoves,
+      contributions,
+      total,
+    };
+  });
+
+  const total = components.reduce((sum, c) => sum + c.contribution, 0);
+
+  // Without mobility the other terms alone would understate the
+  // score, so a diagram reports its components but no score
+  if (!moves) {
+    return {
+      score: null,
+      unavailable: NO_MOVES,
+      phase,
+      components,
+      pieces: breakdown,
+    };
+  }
 
   // Clamp ensures final score stays within valid [0,1] range
-  return clamp(score);
+  return {
+    score: clamp(total),
+    phase,
+    components,
+    pieces: breakdown,
+  };
 }
 
 /**
  * -------------------------------------------------------------
  * isCentralSquare(sq)
  * -------------------------------------------------------------
- * Determines whether a given square (e.g., "d4") lies within the
- * central 4x4 region of the chessboard (c4–f5 area).
+ * Determines whether a given square (e.g., "d4") is one of the
+ * four centre squares: d4, d5, e4 or e5.
  *
  * @param {string} sq - Square in algebraic format (e.g., "e4").
- * @returns {boolean} True if square is one of the 16 central squares.
+ * @returns {boolean} True if square is one of the 4 central squares.
  */
 function isCentralSquare(sq) {
   const f = sq.charCodeAt(0) - 97; // convert file letter to 0–7 index
   const r = parseInt(sq[1], 10) - 1; // convert rank to 0–7 index
   return f >= 3 && f <= 4 && r >= 3 && r <= 4;
 }
+
+/**
+ * relativeRank(rank, color)
+ * -----------------------------------------
+ * Rank seen from `color`'s side of the board (own back rank = 1).
+ */
+function relativeRank(rank, color) {
+  return color === "w" ? rank : 9 - rank;
+}
+
+/**
+ * isOutpost(ctx, piece, color)
+ * -----------------------------------------
+ * True if the piece stands on the 4th–6th rank (from its own side)
+ * and no enemy pawn on a neighbouring file is still in front of it,
+ * so no enemy pawn can ever attack the square.
+ */
+function isOutpost(ctx, piece, color) {
+  const rel = relativeRank(piece.rank, color);
+  if (rel < 4 || rel > 6) return false;
+
+  const enemy = color === "w" ? "b" : "w";
+  return !ctx.pawns[enemy].some(
+    (p) =>
+      Math.abs(p.file - piece.file) === 1 &&
+      relativeRank(p.rank, color) > rel
+  );
+}
+
+/**
+ * isPawnSupported(ctx, piece, color)
+ * -----------------------------------------
+ * True if one of the side's own pawns defends the piece.
+ */
+function isPawnSupported(ctx, piece, color) {
+  const behind = color === "w" ? piece.rank - 1 : piece.rank + 1;
+  return ctx.pawns[color].some(
+    (p) => p.rank === behind && Math.abs(p.file - piece.file) === 1
+  );
+}
+
+/**
+ * fileStatus(ctx, file, color)
+ * -----------------------------------------
+ * "open" (no pawns), "halfOpen" (enemy pawns only) or "closed"
+ * (an own pawn) for `color` on the given file.
+ */
+function fileStatus(ctx, file, color) {
+  const enemy = color === "w" ? "b" : "w";
+  if (ctx.pawnFiles[color].includes(file)) return "closed";
+  return ctx.pawnFiles[enemy].includes(file) ? "halfOpen" : "open";
+}
+
+/**
+ * isOnSeventh(ctx, piece, color)
+ * -----------------------------------------
+ * True for a piece on the 7th rank (from its own side) while it
+ * matters there: enemy pawns remain on that rank or the enemy king
+ * is confined to the back rank.
+ */
+function isOnSeventh(ctx, piece, color) {
+  if (relativeRank(piece.rank, color) !== 7) return false;
+
+  const enemy = color === "w" ? "b" : "w";
+  const king = ctx.kings[enemy];
+  return (
+    ctx.pawns[enemy].some((p) => p.rank === piece.rank) ||
+    (king !== null && relativeRank(king.rank, color) === 8)
+  );
+}
+
+/**
+ * bishopBadness(ctx, piece, color)
+ * -----------------------------------------
+ * How badly the side's own pawns block a bishop, in [0,1]: 0 while
+ * at most half of them stand on the bishop's square colour, rising
+ * to 1 when all of them do.
+ */
+function bishopBadness(ctx, piece, color) {
+  const pawns = ctx.pawns[color];
+  if (!pawns.length) return 0;
+
+  const shade = (piece.file + piece.rank) % 2;
+  const same = pawns.filter((p) => (p.file + p.rank) % 2 === shade).length;
+  return Math.max(0, same / pawns.length - 0.5) * 2;
+}
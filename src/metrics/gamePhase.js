@@ -0,0 +1,122 @@
+// -------------------------------------------------------------
+// Game Phase
+// -------------------------------------------------------------
+// Estimates how far a position has moved from the opening towards
+// the endgame, from the non-pawn material left on the board:
+//
+//   value = 1 − (phase material / starting phase material)
+//
+// so 0 is full material and 1 is bare kings and pawns. Each metric
+// uses this value to blend its opening and endgame behaviour
+// ("tapered" evaluation): with all pieces on the board the scores
+// are exactly the untapered ones.
+// -------------------------------------------------------------
+
+import { loadGame } from "../utils/fenUtils.js";
+
+import { DEFAULT_CONFIG } from "../config.js";
+import { getPositionContext } from "../positionContext.js";
+
+/**
+ * getGamePhase(fen, config)
+ * -----------------------------------------
+ * Public entry point: the game phase of a position.
+ *
+ * @param {string|Chess} fen - A FEN string (or a chess.js instance).
+ * @param {Object} [config] - Resolved K-MAPS config (see config.js).
+ * @returns {{ value: number, stage: "opening"|"middlegame"|"endgame" }|null}
+ *   `value` runs from 0 (all pieces on the board) to 1 (only kings
+ *   and pawns left). Returns null if the FEN is invalid.
+ *
+ * Example:
+ *   getGamePhase("8/5k2/8/3p4/3P4/8/5K2/8 w - - 0 1")
+ *   → { value: 1, stage: "endgame" }
+ */
+export function getGamePhase(fen, config = DEFAULT_CONFIG) {
+  let game = fen;
+  if (typeof fen === "string") {
+    try {
+      game = loadGame(fen);
+    } catch {
+      return null;
+    }
+  } else if (!fen || typeof fen.board !== "function") {
+    return null;
+  }
+
+  return computePhase(game, config);
+}
+
+/**
+ * computePhase(game, config)
+ * -----------------------------------------
+ * Computes the phase value and stage label for a loaded position.
+ * Used by getGamePhase() and by every metric module.
+ *
+ * The stage is "endgame" once the value reaches
+ * `phase.endgameThreshold`, "opening" while the value is at most
+ * `phase.openingThreshold` within the first `phase.openingMoves`
+ * moves, and "middlegame" otherwise.
+ *
+ * @param {Chess|Object} game - A chess.js instance or position context.
+ * @param {Object} [config] - Resolved K-MAPS config (see config.js).
+ * @returns {{ value: number, stage: "opening"|"middlegame"|"endgame" }}
+ */
+export function computePhase(game, config = DEFAULT_CONFIG) {
+  const ctx = getPositionContext(game);
+  const cfg = config.phase;
+  const w = cfg.pieceWeights;
+
+  // Phase material of the starting position (both sides)
+  const total = 2 * (2 * w.n + 2 * w.b + 2 * w.r + w.q);
+
+  let material = 0;
+  for (const p of [...ctx.pieces.w, ...ctx.pieces.b]) {
+    material += w[p.type] ?? 0;
+  }
+
+  // Extra material from promotions is capped at the starting amount
+  const value = total > 0 ? 1 - Math.min(material, total) / total : 0;
+
+  const moveNumber = parseInt(ctx.fen.split(" ")[5], 10) || 1;
+  let stage = "middlegame";
+  if (value >= cfg.endgameThreshold) stage = "endgame";
+  else if (moveNumber <= cfg.openingMoves && value <= cfg.openingThreshold)
+    stage = "opening";
+
+  return { value, stage };
+}
+
+/**
+ * taper(section, phase)
+ * -----------------------------------------
+ * Blends a config section with its `endgame` values: every number
+ * listed under `section.endgame` is interpolated linearly between
+ * its opening value (phase 0) and its endgame value (phase 1).
+ * Settings without an endgame value are returned unchanged.
+ *
+ * @param {Object} section - A config section with an `endgame` object,
+ *   e.g. config.activity.
+ * @param {number} phase - Phase value from computePhase() (0–1).
+ * @returns {Object} The section with tapered values.
+ *
+ * Example:
+ *   taper({ mobilityCap: 40, endgame: { mobilityCap: 30 } }, 0.5)
+ *   → { mobilityCap: 35, endgame: { … } }
+ */
+export function taper(section, phase) {
+  // Phase 0 is exactly the opening model
+  if (!phase) return section;
+  return blend(section, section.endgame, phase);
+}
+
+function blend(opening, endgame, t) {
+  const out = { ...opening };
+  for (const [key, value] of Object.entries(endgame)) {
+    out[key] =
+      typeof value === "object"
+        ? blend(opening[key], value, t)
+        : opening[key] + (value - opening[key]) * t;
+  }
+  return out;
+}
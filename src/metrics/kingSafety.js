@@ -1,8 +1,14 @@
 import { clamp } from "../utils/mathUtils.js";
+import { DEFAULT_CONFIG } from "../config.js";
+import { controlCell } from "../controlMap.js";
+import { getPositionContext } from "../positionContext.js";
+import { attackedSquares } from "../utils/attackUtils.js";
+import { isOnBoard, squareFromRF } from "../utils/boardUtils.js";
+import { computePhase } from "./gamePhase.js";
 
 /**
  * -------------------------------------------------------------
- * getKingSafety(game, color)
+ * getKingSafety(game, color, config)
  * -------------------------------------------------------------
  * Evaluates King Safety for a given side by combining several
  * strategic subfactors into a normalized [0,1] score.
@@ -11,32 +17,91 @@ import { clamp } from "../utils/mathUtils.js";
  *   1. Pawn Shield      – protection from pawns directly in front
  *   2. Castling/Placement – rank safety and castled positioning
  *   3. Mobility         – number of safe adjacent squares
- *   4. Enemy Pressure   – nearby opposing pieces and their threat potential
+ *   4. King-Zone Attacks – enemy pieces actually attacking the squares
+ *                         around the king, by number and type
+ *   5. Open Files       – open and half-open files next to the king
+ *   6. Safe Checks      – squares from which an enemy piece can give
+ *                         check without being captured
+ *   7. Endgame Model    – centralization and freedom of the king,
+ *                         blended in as material comes off
  *
  * The final score is lightly smoothed toward higher values for stability,
  * and clamped to ensure it stays in [0,1].
  *
- * @param {Chess} game - A chess.js instance representing the position.
+ * Components 1–6 form the shelter model, which suits the opening and
+ * middlegame. As material comes off, the score is blended by game
+ * phase towards the endgame model (7), which rewards a centralized,
+ * mobile king instead.
+ *
+ * @param {Chess|Object} game - A chess.js instance or position context.
  * @param {"w"|"b"} color - The color whose king safety to evaluate.
+ * @param {Object} [config] - Resolved K-MAPS config (see config.js).
  * @returns {number} Normalized safety score between 0 and 1.
  */
-export function getKingSafety(game, color) {
-  const board = game.board();
-  let king = null;
+export function getKingSafety(game, color, config = DEFAULT_CONFIG) {
+  return getKingSafetyDetail(game, color, config).score;
+}
 
-  // -------------------------------------------------------------
-  // Locate the king’s coordinates (file 0–7, rank 1–8)
-  // -------------------------------------------------------------
-  for (let r = 0; r < 8; r++) {
-    for (let f = 0; f < 8; f++) {
-      const sq = board[r][f];
-      if (sq?.type === "k" && sq.color === color)
-        king = { file: f, rank: 8 - r };
-    }
+/**
+ * -------------------------------------------------------------
+ * getKingSafetyDetail(game, color, config)
+ * -------------------------------------------------------------
+ * Same evaluation as getKingSafety(), but also returns each
+ * component's raw input, its normalized sub-score, its weight and
+ * its weighted contribution to the pre-smoothing total (`base`).
+ *
+ * `components` describe the opening (shelter) model, whose smoothed
+ * score is `opening`; `endgameComponents` add up to `endgame`. The
+ * final score blends the two by `phase`.
+ *
+ * @param {Chess|Object} game - A chess.js instance or position context.
+ * @param {"w"|"b"} color - The color whose king safety to evaluate.
+ * @param {Object} [config] - Resolved K-MAPS config (see config.js).
+ * @returns {{
+ *   score: number, base: number, phase: number,
+ *   opening: number, endgame: number,
+ *   components: Array<Object>, endgameComponents: Array<Object>
+ * }}
+ *   Components are { name, label, raw, score, weight, contribution }.
+ *   For a diagram where `color` has no king or several, the scores
+ *   are null and `unavailable` says why.
+ */
+export function getKingSafetyDetail(game, color, config = DEFAULT_CONFIG) {
+  const cfg = config.kingSafety;
+  const ctx = getPositionContext(game);
+
+  // King coordinates (file 0–7, rank 1–8), located once by the context
+  const king = ctx.kings[color];
+
+  const phase = computePhase(ctx, config).value;
+
+  // A diagram without a single king of this color has no king to
+  // shelter: the score is unavailable
+  if (!king && ctx.diagram) {
+    return {
+      score: null,
+      unavailable: "King Safety needs exactly one king per side",
+      base: null,
+      phase,
+      opening: null,
+      endgame: null,
+      components: [],
+      endgameComponents: [],
+    };
   }
 
   // If the king cannot be found (invalid FEN), return a neutral score
-  if (!king) return 0.5;
+  if (!king) {
+    return {
+      score: 0.5,
+      base: 0.5,
+      phase,
+      opening: 0.5,
+      endgame: 0.5,
+      components: [],
+      endgameComponents: [],
+    };
+  }
 
   let score = 0;
 
@@ -48,30 +113,35 @@ export function getKingSafety(game, color) {
   for (let df = -1; df <= 1; df++) {
     const file = Math.max(0, Math.min(7, king.file + df));
     const sq = `${String.fromCharCode(97 + file)}${frontRank}`;
-    const p = game.get(sq);
+    const p = ctx.get(sq);
     if (p?.type === "p" && p.color === color) shield++;
   }
 
   // Normalize shield (0–3 pawns) and weight contribution
   const shieldScore = shield / 3;
-  score += shieldScore * 0.45;
+  score += shieldScore * cfg.shieldWeight;
 
   // -------------------------------------------------------------
   // 2. Castling / Placement — evaluates how exposed the king is
   // -------------------------------------------------------------
   const kingSquare = `${String.fromCharCode(97 + king.file)}${king.rank}`;
-  const castledSquares = color === "w" ? ["g1", "c1"] : ["g8", "c8"];
-  const isCastled = castledSquares.includes(kingSquare);
+  const isCastled = isCastledKing(ctx, color, king);
 
   // Rank safety: kings deeper in own territory score higher
   const rankSafety =
     color === "w" ? 1 - (king.rank - 1) / 7 : 1 - (8 - king.rank) / 7;
 
   // Default placement weight
-  let placement = rankSafety * 0.3;
+  let placement = rankSafety * cfg.placementWeight;
+  let placementScore = rankSafety;
+  let placementWeight = cfg.placementWeight;
 
   // Bonus for being castled with an intact pawn shield
-  if (isCastled && shieldScore >= 0.66) placement = 0.35;
+  if (isCastled && shieldScore >= cfg.castledShieldMin) {
+    placement = cfg.castledBonus;
+    placementScore = 1;
+    placementWeight = cfg.castledBonus;
+  }
 
   score += placement;
 
@@ -86,40 +156,30 @@ export function getKingSafety(game, color) {
       const nf = king.file + df;
       if (nr < 1 || nr > 8 || nf < 0 || nf > 7) continue;
       const sq = `${String.fromCharCode(97 + nf)}${nr}`;
-      if (!game.get(sq)) mobility++;
+      if (!ctx.get(sq)) mobility++;
     }
   }
 
   // Weight mobility modestly (at most +0.05)
-  score += (mobility / 8) * 0.05;
+  const mobilityContribution = (mobility / 8) * cfg.mobilityWeight;
+  score += mobilityContribution;
 
   // -------------------------------------------------------------
-  // 4. Enemy Pressure — detect nearby enemy pieces and estimate threat
+  // 4–6. Attacks — read from the same control map that
+  // getControlMap() exposes, so only real (unblocked) attacks count:
+  // a queen behind a wall of pawns adds nothing, a rook bearing
+  // down an open file on the king does
   // -------------------------------------------------------------
-  const enemy = color === "w" ? "b" : "w";
-  let pressure = 0;
+  const controlMap = ctx.controlMap();
 
-  // Look in a 7×7 zone around the king (3 squares in each direction)
-  for (let dr = -3; dr <= 3; dr++) {
-    for (let df = -3; df <= 3; df++) {
-      if (dr === 0 && df === 0) continue;
-      const nr = king.rank + dr;
-      const nf = king.file + df;
-      if (nr < 1 || nr > 8 || nf < 0 || nf > 7) continue;
-      const sq = `${String.fromCharCode(97 + nf)}${nr}`;
-      const p = game.get(sq);
+  const attacks = zoneAttacks(controlMap, king, color, cfg);
+  score -= attacks.score * cfg.attackWeight;
 
-      if (p?.color === enemy) {
-        // Each piece contributes pressure inversely proportional to distance
-        const val = { q: 3, r: 2, b: 1.5, n: 1.2, p: 0.8 }[p.type] || 1;
-        pressure += val / (Math.abs(dr) + Math.abs(df));
-      }
-    }
-  }
+  const files = fileExposure(ctx, king, color);
+  score -= files.score * cfg.fileWeight;
 
-  // Reduce safety based on total nearby enemy activity
-  // Cap reduction to a max of -0.25
-  score -= Math.min(pressure / 10, 0.25);
+  const checks = safeChecks(ctx, controlMap, king, color, cfg);
+  score -= checks.score * cfg.checkWeight;
 
   // -------------------------------------------------------------
   // Final normalization and smoothing
@@ -128,5 +188,288 @@ export function getKingSafety(game, color) {
 
   // Blend linear and quadratic terms for smoother gradient
   // (slightly rewards strong safety, dampens extremes)
-  return clamp(0.7 * finalScore + 0.3 * finalScore * finalScore);
+  const openingScore = clamp(
+    (1 - cfg.smoothing) * finalScore + cfg.smoothing * finalScore * finalScore
+  );
+
+  // -------------------------------------------------------------
+  // 7. Endgame model — with few pieces left the king is no longer a
+  // target and belongs in the centre, so shelter gives way to
+  // centralization and freedom of movement as the phase grows
+  // -------------------------------------------------------------
+  const eg = cfg.endgame;
+
+  // Chebyshev distance to the nearest of d4, d5, e4, e5 (0–3)
+  const centerDistance = Math.max(
+    Math.abs(king.file - 3.5) - 0.5,
+    Math.abs(king.rank - 4.5) - 0.5
+  );
+  const centralization = 1 - centerDistance / 3;
+  const endgameScore = clamp(
+    eg.centralization * centralization + eg.mobility * (mobility / 8)
+  );
+
+  // Phase 0 is exactly the opening model
+  const tapered = phase
+    ? openingScore + (endgameScore - openingScore) * phase
+    : openingScore;
+
+  return {
+    score: tapered,
+    base: finalScore,
+    phase,
+    opening: openingScore,
+    endgame: endgameScore,
+    components: [
+      {
+        name: "pawnShield",
+        label: "Pawn Shield",
+        raw: shield,
+        score: shieldScore,
+        weight: cfg.shieldWeight,
+        contribution: shieldScore * cfg.shieldWeight,
+      },
+      {
+        name: "placement",
+        label: "Castling / Placement",
+        raw: { square: kingSquare, castled: isCastled, rankSafety },
+        score: placementScore,
+        weight: placementWeight,
+        contribution: placement,
+      },
+      {
+        name: "mobility",
+        label: "King Mobility",
+        raw: mobility,
+        score: mobility / 8,
+        weight: cfg.mobilityWeight,
+        contribution: mobilityContribution,
+      },
+      {
+        name: "kingZoneAttacks",
+        label: "King-Zone Attacks",
+        raw: attacks.raw,
+        score: attacks.score,
+        weight: -cfg.attackWeight,
+        contribution: -attacks.score * cfg.attackWeight,
+      },
+      {
+        name: "openFiles",
+        label: "Open Files",
+        raw: files.raw,
+        score: files.score,
+        weight: -cfg.fileWeight,
+        contribution: -files.score * cfg.fileWeight,
+      },
+      {
+        name: "safeChecks",
+        label: "Safe Checks",
+        raw: checks.raw,
+        score: checks.score,
+        weight: -cfg.checkWeight,
+        contribution: -checks.score * cfg.checkWeight,
+      },
+    ],
+    endgameComponents: [
+      {
+        name: "centralization",
+        label: "King Centralization",
+        raw: centerDistance,
+        score: centralization,
+        weight: eg.centralization,
+        contribution: eg.centralization * centralization,
+      },
+      {
+        name: "mobility",
+        label: "King Mobility",
+        raw: mobility,
+        score: mobility / 8,
+        weight: eg.mobility,
+        contribution: eg.mobility * (mobility / 8),
+      },
+    ],
+  };
+}
+
+// Lines along which each piece type gives check, as probed from
+// the king's square (the queen combines the bishop and rook lines)
+const CHECKING_TYPES = ["n", "b", "r"];
+
+/**
+ * kingZone(king, color)
+ * -----------------------------------------
+ * The squares an attack is aimed at: the ring of squares around
+ * the king plus the three squares two ranks in front of it.
+ *
+ * @returns {Array<{ file: number, rank: number }>}
+ */
+function kingZone(king, color) {
+  const forward = color === "w" ? 1 : -1;
+  const zone = [];
+  const add = (file, rank) => {
+    if (isOnBoard(file, rank)) zone.push({ file, rank });
+  };
+
+  for (let df = -1; df <= 1; df++) {
+    for (let dr = -1; dr <= 1; dr++) {
+      if (df || dr) add(king.file + df, king.rank + dr);
+    }
+    add(king.file + df, king.rank + 2 * forward);
+  }
+  return zone;
+}
+
+/**
+ * zoneAttacks(controlMap, king, color, cfg)
+ * -----------------------------------------
+ * Scores the enemy pieces attacking the king zone.
+ *
+ * Each attacker adds its `attackValues` weight once per zone square
+ * it hits. A lone attacker is rarely dangerous, so the total is
+ * scaled by 1 − 2^−n for n attackers (½, ¾, ⅞, …) and then divided
+ * by `attackScale`, capped at 1.
+ *
+ * @returns {{ score: number, raw: { attackers: number,
+ *   squares: number, units: number } }}
+ */
+function zoneAttacks(controlMap, king, color, cfg) {
+  const enemy = color === "w" ? "b" : "w";
+  const hits = new Map(); // attacker square → { type, count }
+  let squares = 0;
+
+  for (const { file, rank } of kingZone(king, color)) {
+    const { attackers } = controlCell(controlMap, file, rank);
+    if (attackers[enemy].some((a) => a.type !== "k")) squares++;
+    for (const { square, type } of attackers[enemy]) {
+      if (type === "k") continue; // kings cannot join an attack
+      const entry = hits.get(square) ?? { type, count: 0 };
+      entry.count++;
+      hits.set(square, entry);
+    }
+  }
+
+  let units = 0;
+  for (const { type, count } of hits.values()) {
+    units += (cfg.attackValues[type] ?? 0) * count;
+  }
+  const scale = 1 - 2 ** -hits.size;
+
+  return {
+    score: Math.min((units * scale) / cfg.attackScale, 1),
+    raw: { attackers: hits.size, squares, units },
+  };
+}
+
+/**
+ * fileExposure(ctx, king, color)
+ * -----------------------------------------
+ * Counts the king's file and its neighbours that have no friendly
+ * pawn: "open" with no pawns at all, "half-open" with only an enemy
+ * pawn. Files only matter while the enemy has a rook or queen to
+ * use them.
+ *
+ * Score: (open + half-open / 2) / 3, or 0 without enemy majors.
+ *
+ * @returns {{ score: number, raw: { open: number, halfOpen: number,
+ *   enemyMajors: boolean } }}
+ */
+function fileExposure(ctx, king, color) {
+  const enemy = color === "w" ? "b" : "w";
+  let open = 0;
+  let halfOpen = 0;
+
+  for (let file = king.file - 1; file <= king.file + 1; file++) {
+    if (file < 0 || file > 7 || ctx.pawnFiles[color].includes(file)) continue;
+    if (ctx.pawnFiles[enemy].includes(file)) halfOpen++;
+    else open++;
+  }
+
+  const enemyMajors = ctx.pieces[enemy].some(
+    (p) => p.type === "r" || p.type === "q"
+  );
+
+  return {
+    score: enemyMajors ? (open + halfOpen / 2) / 3 : 0,
+    raw: { open, halfOpen, enemyMajors },
+  };
+}
+
+/**
+ * safeChecks(ctx, controlMap, king, color, cfg)
+ * -----------------------------------------
+ * Counts the squares from which an enemy knight, bishop, rook or
+ * queen could give check next move without being taken.
+ *
+ * A checking square is found by probing from the king's square
+ * along that piece's lines; it must be reachable by an enemy piece
+ * of that type (per the control map), not occupied by an enemy
+ * piece, and not covered by any defender other than the king. A
+ * square covered only by the king is still safe when two enemy
+ * pieces attack it.
+ *
+ * Each safe check adds its `checkValues` weight; the total is
+ * divided by `checkScale` and capped at 1.
+ *
+ * @returns {{ score: number, raw: { n: number, b: number, r: number,
+ *   q: number } }}
+ */
+function safeChecks(ctx, controlMap, king, color, cfg) {
+  const enemy = color === "w" ? "b" : "w";
+
+  // Checking lines of each piece type through the king's square
+  const lines = {};
+  for (const type of CHECKING_TYPES) {
+    const probe = ctx.board.map((row) => row.slice());
+    probe[8 - king.rank][king.file] = { type, color };
+    lines[type] = attackedSquares(probe, king.file, king.rank);
+  }
+  lines.q = [...lines.b, ...lines.r];
+
+  const raw = { n: 0, b: 0, r: 0, q: 0 };
+  for (const [type, squares] of Object.entries(lines)) {
+    for (const { file, rank } of squares) {
+      if (ctx.get(squareFromRF(file, rank))?.color === enemy) continue;
+
+      const { attackers } = controlCell(controlMap, file, rank);
+      if (!attackers[enemy].some((a) => a.type === type)) continue;
+
+      const defenders = attackers[color].filter((a) => a.type !== "k");
+      const kingOnly = defenders.length < attackers[color].length;
+      if (defenders.length) continue;
+      if (kingOnly && attackers[enemy].length < 2) continue;
+
+      raw[type]++;
+    }
+  }
+
+  let units = 0;
+  for (const type of Object.keys(raw)) {
+    units += raw[type] * (cfg.checkValues[type] ?? 0);
+  }
+
+  return { score: Math.min(units / cfg.checkScale, 1), raw };
+}
+
+/**
+ * isCastledKing(ctx, color, king)
+ * -----------------------------------------
+ * True when the king stands where castling puts it: on the g- (c-)
+ * file of its back rank with no own rook left towards the corner.
+ * The castled rook may have moved on, e.g. to e1 after Rfe1.
+ *
+ * Every Chess960 array has a rook on the corner side of the king,
+ * so a king that starts on g1 or c1 is not castled.
+ */
+function isCastledKing(ctx, color, king) {
+  const backRank = color === "w" ? 1 : 8;
+  if (king.rank !== backRank || (king.file !== 6 && king.file !== 2)) {
+    return false;
+  }
+
+  const isOwnRook = (file) => {
+    const piece = ctx.get(squareFromRF(file, backRank));
+    return piece?.type === "r" && piece.color === color;
+  };
+  const corner = king.file === 6 ? [7] : [0, 1];
+  return !corner.some(isOwnRook);
 }
@@ -1,50 +1,209 @@
 import { clamp } from "../utils/mathUtils.js";
+import { DEFAULT_CONFIG } from "../config.js";
+import { getPositionContext } from "../positionContext.js";
+import { computePhase, taper } from "./gamePhase.js";
+
+// Piece types counted in the breakdown (the king is always there)
+const COUNTED_TYPES = ["p", "n", "b", "r", "q"];
+
+// Starting army, used to measure how much material is left
+const START_COUNTS = { p: 8, n: 2, b: 2, r: 2, q: 1 };
 
 /**
  * -------------------------------------------------------------
- * getMaterialBoth(game)
+ * getMaterialBoth(game, config)
  * -------------------------------------------------------------
  * Calculates the normalized Material metric for both sides.
  *
- * Material is based on the summed standard piece values:
+ * Material starts from the summed piece values:
  *   Pawn = 1, Knight = 3, Bishop = 3, Rook = 5, Queen = 9, King = 0
  *
- * The resulting scores are normalized to the [0,1] range
- * relative to a total material scale of 78 points:
+ * and corrects them for the way pieces combine (all in pawns):
+ *   - a bonus for the bishop pair;
+ *   - knights gain and rooks lose a little for every own pawn above
+ *     five (knights like closed positions, rooks open ones);
+ *   - a second rook is slightly redundant, so two rooks are worth a
+ *     little less than twice one rook (and about a queen);
+ *   - each minor piece more than the opponent earns a bonus, so a
+ *     minor outweighs three pawns in the middlegame (the bonus fades
+ *     towards the endgame, where the pawns catch up).
+ *
+ * The difference is then scaled up as material comes off the board
+ * (the same lead matters more with fewer pieces left) and normalized
+ * to the [0,1] range relative to a total material scale of 78 points:
  *   - 39 points maximum per side (all pieces on board)
  *   - 78 total across both sides
  *
- * @param {Chess} game - A chess.js instance representing the position.
+ * Piece values, the correction terms and the 78-point range can be
+ * changed through the `material` section of the config. Values are
+ * tapered by game phase: in endgames pawns and bishops gain a little
+ * value and knights lose some.
+ *
+ * @param {Chess|Object} game - A chess.js instance or position context.
+ * @param {Object} [config] - Resolved K-MAPS config (see config.js).
  * @returns {{ whiteMaterialScore: number, blackMaterialScore: number }}
  *          Normalized scores for both White and Black.
  */
-export function getMaterialBoth(game) {
-  // Base piece values
-  const pieceValues = { p: 1, n: 3, b: 3, r: 5, q: 9, k: 0 };
-
-  // Accumulators for total material of each side
-  let w = 0,
-    b = 0;
-
-  // Traverse all board squares and sum piece values
-  game
-    .board()
-    .flat()
-    .forEach((sq) => {
-      if (!sq) return;
-      const v = pieceValues[sq.type] || 0;
-      sq.color === "w" ? (w += v) : (b += v);
-    });
-
-  // Difference: positive if White leads, negative if Black leads
-  const diff = w - b;
+export function getMaterialBoth(game, config = DEFAULT_CONFIG) {
+  const { diff } = evaluateMaterial(game, config);
+  const { range } = config.material;
 
   // Normalize to [0,1] range:
-  //   - Add 39 to center the difference on zero
-  //   - Divide by total (78) to map full material range
+  //   - Add half the range (39) to center the difference on zero
+  //   - Divide by the range (78) to map full material range
   //   - Clamp ensures scores stay bounded
   return {
-    whiteMaterialScore: clamp((diff + 39) / 78),
-    blackMaterialScore: clamp((-diff + 39) / 78),
+    whiteMaterialScore: clamp((diff + range / 2) / range),
+    blackMaterialScore: clamp((-diff + range / 2) / range),
+  };
+}
+
+/**
+ * -------------------------------------------------------------
+ * getMaterialDetail(game, color, config)
+ * -------------------------------------------------------------
+ * Returns the Material score for one side together with the
+ * piece counts and material totals it was derived from.
+ *
+ * @param {Chess|Object} game - A chess.js instance or position context.
+ * @param {"w"|"b"} color - The side to evaluate.
+ * @param {Object} [config] - Resolved K-MAPS config (see config.js).
+ * @returns {{ score: number, phase: number, components: Array<Object>,
+ *             counts: Object, pawnUnits: number }}
+ *   `components` holds { name, label, raw, score, weight, contribution }.
+ *   `counts` gives { own, opponent } piece counts ({ p, n, b, r, q })
+ *   and `pawnUnits` the scaled material difference in pawns
+ *   (positive = this side is ahead).
+ */
+export function getMaterialDetail(game, color, config = DEFAULT_CONFIG) {
+  const material = evaluateMaterial(game, config);
+  const { range } = config.material;
+  const enemy = color === "w" ? "b" : "w";
+  const own = material[color];
+  const opponent = material[enemy];
+  const diff = color === "w" ? material.diff : -material.diff;
+  const score = clamp((diff + range / 2) / range);
+
+  // Per-side totals and the terms they are made of
+  const terms = (side) => ({
+    pieces: side.pieces,
+    bishopPair: side.bishopPair,
+    imbalance: side.imbalance,
+    total: side.total,
+  });
+
+  return {
+    score,
+    phase: material.phase,
+    counts: { own: own.counts, opponent: opponent.counts },
+    pawnUnits: diff,
+    components: [
+      {
+        name: "balance",
+        label: "Material Balance",
+        raw: {
+          own: own.total,
+          opponent: opponent.total,
+          diff,
+          scale: material.scale,
+          terms: { own: terms(own), opponent: terms(opponent) },
+        },
+        score,
+        weight: 1,
+        contribution: score,
+      },
+    ],
   };
 }
+
+/**
+ * evaluateMaterial(game, config)
+ * -----------------------------------------
+ * Counts each side's pieces and totals their material, corrections
+ * included, then scales the difference by the material left.
+ *
+ * @param {Chess|Object} game - A chess.js instance or position context.
+ * @param {Object} config - Resolved K-MAPS config.
+ * @returns {{ w: Object, b: Object, diff: number, scale: number,
+ *             phase: number }}
+ *   Per side: { counts, pieces, bishopPair, imbalance, total } in
+ *   pawns. `diff` is (White − Black) × scale.
+ */
+function evaluateMaterial(game, config) {
+  const ctx = getPositionContext(game);
+
+  // Values and correction terms tapered between opening and endgame
+  const phase = computePhase(ctx, config).value;
+  const cfg = taper(config.material, phase);
+  const { pieceValues } = cfg;
+
+  const counts = { w: countPieces(ctx.pieces.w), b: countPieces(ctx.pieces.b) };
+
+  const side = (color) => {
+    const mine = counts[color];
+    const theirs = counts[color === "w" ? "b" : "w"];
+
+    // Plain sum of piece values
+    const pieces = COUNTED_TYPES.reduce(
+      (sum, type) => sum + mine[type] * pieceValues[type],
+      0
+    );
+
+    // Bishop pair: two bishops on opposite square colours
+    const shades = new Set(
+      ctx.pieces[color]
+        .filter((p) => p.type === "b")
+        .map((p) => (p.file + p.rank) % 2)
+    );
+    const bishopPair = shades.size === 2 ? cfg.bishopPair : 0;
+
+    // Imbalance: pawn-count adjustments, rook redundancy and the
+    // surplus of minor pieces over the opponent
+    const pawnsAboveFive = mine.p - 5;
+    const minorSurplus = Math.max(0, mine.n + mine.b - (theirs.n + theirs.b));
+    const imbalance =
+      mine.n * cfg.knightPawnBonus * pawnsAboveFive -
+      mine.r * cfg.rookPawnPenalty * pawnsAboveFive -
+      (mine.r >= 2 ? cfg.rookPairPenalty : 0) +
+      minorSurplus * cfg.extraMinorBonus;
+
+    return {
+      counts: mine,
+      pieces,
+      bishopPair,
+      imbalance,
+      total: pieces + bishopPair + imbalance,
+    };
+  };
+
+  const w = side("w");
+  const b = side("b");
+
+  // -------------------------------------------------------------
+  // Scaling by remaining material: 1 with every piece on the board,
+  // growing to 1 + tradeDownScale as the board empties. With every
+  // piece valued at 0 there is nothing to trade down, so no scaling
+  // -------------------------------------------------------------
+  const full = COUNTED_TYPES.reduce(
+    (sum, type) => sum + START_COUNTS[type] * pieceValues[type],
+    0
+  );
+  const left =
+    full > 0 ? Math.min((w.pieces + b.pieces) / (2 * full), 1) : 1;
+  const scale = 1 + cfg.tradeDownScale * (1 - left);
+
+  return { w, b, diff: (w.total - b.total) * scale, scale, phase };
+}
+
+/**
+ * countPieces(list)
+ * -----------------------------------------
+ * Number of pawns, knights, bishops, rooks and queens in a piece list.
+ */
+function countPieces(list) {
+  const counts = Object.fromEntries(COUNTED_TYPES.map((t) => [t, 0]));
+  for (const { type } of list) {
+    if (type in counts) counts[type]++;
+  }
+  return counts;
+}
@@ -1,4 +1,9 @@
+import { loadGame } from "../utils/fenUtils.js";
 import { clamp } from "../utils/mathUtils.js";
+import { DEFAULT_CONFIG } from "../config.js";
+import { getPawnCached } from "../utils/pawnCache.js";
+import { getPositionContext } from "../positionContext.js";
+import { computePhase, taper } from "./gamePhase.js";
 
 /**
  * -------------------------------------------------------------
@@ -12,8 +17,9 @@ import { clamp } from "../utils/mathUtils.js";
  *   - Strengths: passed pawns, chains, levers, flank majorities
  *   - Board context: pawn islands, rams, weak squares, hanging pawns
  *
- * Each factor is weighted, aggregated, normalized to [0,1],
- * and cached for reuse to optimize performance.
+ * Each factor is weighted, aggregated and normalized to [0,1].
+ * Detector results that depend only on pawn placement are kept in
+ * the shared, size-bounded pawn cache (see utils/pawnCache.js).
  */
 
 // =============================================================
@@ -24,27 +30,21 @@ function squareFromRF(fileIdx, rank) {
   return `${String.fromCharCode(97 + fileIdx)}${rank}`;
 }
 
-function listPawns(game, color) {
-  const pawns = [];
-  game.board().forEach((row, rIdx) => {
-    const rank = 8 - rIdx;
-    row.forEach((sq, fIdx) => {
-      if (sq?.type === "p" && sq.color === color) {
-        pawns.push({ file: fIdx, rank, square: squareFromRF(fIdx, rank) });
-      }
-    });
-  });
-  return pawns;
+function listPawns(ctx, color) {
+  // Copy — some detectors sort the list in place
+  return ctx.pawns[color].map(({ file, rank, square }) => ({
+    file,
+    rank,
+    square,
+  }));
 }
 
-function listEnemyPawns(game, color) {
-  return listPawns(game, color === "w" ? "b" : "w");
+function listEnemyPawns(ctx, color) {
+  return listPawns(ctx, color === "w" ? "b" : "w");
 }
 
-function filesWithPawns(game, color) {
-  return Array.from(new Set(listPawns(game, color).map((p) => p.file))).sort(
-    (a, b) => a - b
-  );
+function filesWithPawns(ctx, color) {
+  return ctx.pawnFiles[color];
 }
 
 function forwardStep(color) {
@@ -65,15 +65,15 @@ function isOnBoard(file, rank) {
   return file >= 0 && file <= 7 && rank >= 1 && rank <= 8;
 }
 
-function squareHasPawn(game, color, file, rank) {
+function squareHasPawn(ctx, color, file, rank) {
   if (!isOnBoard(file, rank)) return false;
   const sq = squareFromRF(file, rank);
-  const p = game.get(sq);
+  const p = ctx.get(sq);
   return p?.type === "p" && p.color === color;
 }
 
-function countPawns(game, color) {
-  return listPawns(game, color).length;
+function countPawns(ctx, color) {
+  return listPawns(ctx, color).length;
 }
 
 // =============================================================
@@ -81,49 +81,59 @@ function countPawns(game, color) {
 // =============================================================
 
 // 1) Isolated Pawns
-function countIsolatedPawns(game, color) {
-  const pawns = listPawns(game, color);
-  const filesSet = new Set(filesWithPawns(game, color));
-  let isolated = 0;
+function findIsolatedPawns(ctx, color) {
+  const pawns = listPawns(ctx, color);
+  const filesSet = new Set(filesWithPawns(ctx, color));
+  const isolated = [];
   for (const p of pawns) {
     const left = p.file - 1;
     const right = p.file + 1;
     const hasLeft = filesSet.has(left);
     const hasRight = filesSet.has(right);
-    if (!hasLeft && !hasRight) isolated++;
+    if (!hasLeft && !hasRight) isolated.push(p.square);
   }
   return isolated;
 }
 
-// 2) Doubled Pawns
-function countDoubledPawns(game, color) {
-  const pawns = listPawns(game, color);
+// 2) Doubled Pawns — one group of squares per file with 2+ pawns
+function findDoubledPawns(ctx, color) {
+  return groupDoubled(listPawns(ctx, color));
+}
+
+function groupDoubled(pawns) {
   const byFile = new Map();
   for (const p of pawns) {
-    byFile.set(p.file, (byFile.get(p.file) || 0) + 1);
-  }
-  let doubled = 0;
-  for (const [, n] of byFile) {
-    if (n >= 2) doubled += n - 1;
+    if (!byFile.has(p.file)) byFile.set(p.file, []);
+    byFile.get(p.file).push(p.square);
   }
-  return doubled;
+  return [...byFile.values()].filter((squares) => squares.length >= 2);
+}
+
+// Each doubled group counts as (pawns on the file − 1)
+function countDoubled(groups) {
+  return groups.reduce((sum, squares) => sum + squares.length - 1, 0);
 }
 
-// 3) Pawn Islands
-function countPawnIslands(game, color) {
-  const files = filesWithPawns(game, color);
-  if (files.length === 0) return 0;
-  let islands = 1;
-  for (let i = 1; i < files.length; i++) {
-    if (files[i] !== files[i - 1] + 1) islands++;
+// 3) Pawn Islands — one group of squares per island
+function findPawnIslands(ctx, color) {
+  const pawns = listPawns(ctx, color);
+  const files = filesWithPawns(ctx, color);
+  const islands = [];
+  let current = null;
+  for (let i = 0; i < files.length; i++) {
+    if (i === 0 || files[i] !== files[i - 1] + 1) {
+      current = [];
+      islands.push(current);
+    }
+    for (const p of pawns) if (p.file === files[i]) current.push(p.square);
   }
   return islands;
 }
 
 // 4) Passed Pawns
-function countPassedPawns(game, color) {
-  const my = listPawns(game, color);
-  const opp = listEnemyPawns(game, color);
+function findPassedPawns(ctx, color) {
+  const my = listPawns(ctx, color);
+  const opp = listEnemyPawns(ctx, color);
   const oppByFile = new Map();
   for (const p of opp) {
     if (!oppByFile.has(p.file)) oppByFile.set(p.file, []);
@@ -152,7 +162,7 @@ function countPassedPawns(game, color) {
     return ranks.some((r) => r < fromRank);
   }
 
-  let passers = 0;
+  const passers = [];
   for (const p of my) {
     const filesToCheck = [p.file, p.file - 1, p.file + 1].filter(
       (f) => f >= 0 && f <= 7
@@ -162,21 +172,21 @@ function countPassedPawns(game, color) {
     );
     if (hasEnemyAhead) continue;
     if (friendAheadOnFile(p.file, p.rank)) continue;
-    passers++;
+    passers.push(p.square);
   }
   return passers;
 }
 
 // 5) Candidate Passed Pawns
-function countCandidatePassedPawns(game, color) {
-  const my = listPawns(game, color);
-  const filesHalfOpenForColor = classifyFiles(game).halfOpen[color];
+function findCandidatePassedPawns(ctx, color) {
+  const my = listPawns(ctx, color);
+  const filesHalfOpenForColor = classifyFiles(ctx).halfOpen[color];
 
   function isBlockedByEnemyAhead(file, rank) {
     const r1 = rank + forwardStep(color);
     if (!isOnBoard(file, r1)) return true;
     const sq = squareFromRF(file, r1);
-    const piece = game.get(sq);
+    const piece = ctx.get(sq);
     return !!piece;
   }
 
@@ -186,35 +196,35 @@ function countCandidatePassedPawns(game, color) {
       if (f2 < 0 || f2 > 7) continue;
       if (color === "w") {
         for (let r = rank - 1; r >= 2; r--) {
-          if (squareHasPawn(game, color, f2, r)) return true;
+          if (squareHasPawn(ctx, color, f2, r)) return true;
         }
       } else {
         for (let r = rank + 1; r <= 7; r++) {
-          if (squareHasPawn(game, color, f2, r)) return true;
+          if (squareHasPawn(ctx, color, f2, r)) return true;
         }
       }
     }
     return false;
   }
 
-  let count = 0;
+  const candidates = [];
   for (const p of my) {
     const isHalfOpen = filesHalfOpenForColor.has(p.file);
     if (!isHalfOpen) continue;
     if (isBlockedByEnemyAhead(p.file, p.rank)) continue;
     if (!hasFriendlyPotentialSupport(p.file, p.rank)) continue;
-    count++;
+    candidates.push(p.square);
   }
-  return count;
+  return candidates;
 }
 
 // 6) Backward Pawns
-function countBackwardPawns(game, color) {
-  const my = listPawns(game, color);
+function findBackwardPawns(ctx, color) {
+  const my = listPawns(ctx, color);
 
   function pawnControls(colorToMap) {
     const ctr = new Set();
-    for (const p of listPawns(game, colorToMap)) {
+    for (const p of listPawns(ctx, colorToMap)) {
       const deltas = pawnCaptureDeltas(colorToMap);
       for (const { df, dr } of deltas) {
         const f = p.file + df;
@@ -233,18 +243,18 @@ function countBackwardPawns(game, color) {
       if (f2 < 0 || f2 > 7) continue;
       if (color === "w") {
         for (let r = rank - 1; r >= 2; r--) {
-          if (squareHasPawn(game, color, f2, r)) return true;
+          if (squareHasPawn(ctx, color, f2, r)) return true;
         }
       } else {
         for (let r = rank + 1; r <= 7; r++) {
-          if (squareHasPawn(game, color, f2, r)) return true;
+          if (squareHasPawn(ctx, color, f2, r)) return true;
         }
       }
     }
     return false;
   }
 
-  let count = 0;
+  const backward = [];
   for (const p of my) {
     const stopSq = squareFromRF(p.file, p.rank + forwardStep(color));
     if (!isOnBoard(p.file, p.rank + forwardStep(color))) continue;
@@ -252,14 +262,14 @@ function countBackwardPawns(game, color) {
     const stopDefendedByOwnPawn = myPawnCtrl.has(stopSq);
     if (stopDefendedByOwnPawn) continue;
     const stopControlledByEnemyPawn = oppPawnCtrl.has(stopSq);
-    if (stopControlledByEnemyPawn) count++;
+    if (stopControlledByEnemyPawn) backward.push(p.square);
   }
-  return count;
+  return backward;
 }
 
-// 7) Hanging Pawns
-function countHangingPawns(game, color) {
-  const my = listPawns(game, color);
+// 7) Hanging Pawns — one group of squares per hanging pair of files
+function findHangingPawns(ctx, color) {
+  const my = listPawns(ctx, color);
   const myByFile = new Map();
   for (const p of my) {
     if (!myByFile.has(p.file)) myByFile.set(p.file, []);
@@ -267,10 +277,10 @@ function countHangingPawns(game, color) {
   }
   for (const arr of myByFile.values()) arr.sort((a, b) => a - b);
 
-  const { halfOpen } = classifyFiles(game);
+  const { halfOpen } = classifyFiles(ctx);
   const halfOpenForColor = halfOpen[color];
 
-  let count = 0;
+  const hanging = [];
   for (let f = 0; f < 7; f++) {
     const f2 = f + 1;
     const hasOnF = !!myByFile.get(f);
@@ -285,14 +295,21 @@ function countHangingPawns(game, color) {
     if (!advancedPair) continue;
     const leftOpen = f - 1 >= 0 ? halfOpenForColor.has(f - 1) : true;
     const rightOpen = f2 + 1 <= 7 ? halfOpenForColor.has(f2 + 1) : true;
-    if (leftOpen && rightOpen) count++;
+    if (leftOpen && rightOpen) {
+      hanging.push(
+        my.filter((p) => p.file === f || p.file === f2).map((p) => p.square)
+      );
+    }
   }
-  return count;
+  return hanging;
 }
 
-// 8) Pawn Chains
-function getPawnChains(game, color) {
-  const my = listPawns(game, color);
+// 8) Pawn Chains — each chain runs from its base to its head
+function getPawnChains(ctx, color) {
+  // Walk pawns from the rear forward so every chain starts at its base
+  const my = listPawns(ctx, color).sort((a, b) =>
+    color === "w" ? a.rank - b.rank : b.rank - a.rank
+  );
   const visited = new Set();
   function defends(p, q) {
     const df1 = q.file - p.file;
@@ -322,12 +339,8 @@ function getPawnChains(game, color) {
   return chains;
 }
 
-function countPawnChains(game, color) {
-  return getPawnChains(game, color).length;
-}
-
-function detectChainBases(game, color) {
-  const chains = getPawnChains(game, color);
+function detectChainBases(ctx, color) {
+  const chains = getPawnChains(ctx, color);
   const bases = [];
   for (const chain of chains) {
     bases.push(chain[0]);
@@ -335,44 +348,48 @@ function detectChainBases(game, color) {
   return bases;
 }
 
-// 9) Pawn Rams
-function countPawnRams(game) {
-  const white = listPawns(game, "w");
+// 9) Pawn Rams — [white square, black square] per blocked pair
+function findPawnRams(ctx) {
+  const white = listPawns(ctx, "w");
   const blackByFile = new Map();
-  for (const p of listPawns(game, "b")) {
+  for (const p of listPawns(ctx, "b")) {
     if (!blackByFile.has(p.file)) blackByFile.set(p.file, new Set());
     blackByFile.get(p.file).add(p.rank);
   }
-  let rams = 0;
+  const rams = [];
   for (const w of white) {
     const bRanks = blackByFile.get(w.file);
     if (!bRanks) continue;
-    if (bRanks.has(w.rank + 1)) rams++;
+    if (bRanks.has(w.rank + 1)) {
+      rams.push([w.square, squareFromRF(w.file, w.rank + 1)]);
+    }
   }
   return rams;
 }
 
-// 10) Pawn Levers
-function countPawnLevers(game, color) {
-  const my = listPawns(game, color);
-  let levers = 0;
+// 10) Pawn Levers — [own pawn, enemy pawn it can capture]
+function findPawnLevers(ctx, color) {
+  const my = listPawns(ctx, color);
+  const levers = [];
   for (const p of my) {
     for (const { df, dr } of pawnCaptureDeltas(color)) {
       const f2 = p.file + df;
       const r2 = p.rank + dr;
       if (!isOnBoard(f2, r2)) continue;
       const sq = squareFromRF(f2, r2);
-      const piece = game.get(sq);
-      if (piece?.type === "p" && piece.color === enemy(color)) levers++;
+      const piece = ctx.get(sq);
+      if (piece?.type === "p" && piece.color === enemy(color)) {
+        levers.push([p.square, sq]);
+      }
     }
   }
   return levers;
 }
 
 // 11) File Classification
-function classifyFiles(game) {
-  const whiteFiles = new Set(filesWithPawns(game, "w"));
-  const blackFiles = new Set(filesWithPawns(game, "b"));
+function classifyFiles(ctx) {
+  const whiteFiles = new Set(filesWithPawns(ctx, "w"));
+  const blackFiles = new Set(filesWithPawns(ctx, "b"));
   const open = new Set();
   const closed = new Set();
   const halfOpen = { w: new Set(), b: new Set() };
@@ -388,9 +405,9 @@ function classifyFiles(game) {
 }
 
 // 12) Pawn Majorities
-function detectPawnMajority(game, color) {
-  const my = listPawns(game, color);
-  const opp = listEnemyPawns(game, color);
+function detectPawnMajority(ctx, color) {
+  const my = listPawns(ctx, color);
+  const opp = listEnemyPawns(ctx, color);
   const myQ = my.filter((p) => p.file <= 2).length;
   const myK = my.filter((p) => p.file >= 5).length;
   const opQ = opp.filter((p) => p.file <= 2).length;
@@ -398,8 +415,8 @@ function detectPawnMajority(game, color) {
   return { queensideMajority: myQ > opQ, kingsideMajority: myK > opK };
 }
 
-function detectMinority(game, color) {
-  const m = detectPawnMajority(game, color);
+function detectMinority(ctx, color) {
+  const m = detectPawnMajority(ctx, color);
   return {
     queensideMinority: !m.queensideMajority,
     kingsideMinority: !m.kingsideMajority,
@@ -407,9 +424,9 @@ function detectMinority(game, color) {
 }
 
 // 13) Over-Advanced Pawns
-function countOverAdvancedPawns(game, color) {
-  const my = listPawns(game, color);
-  let count = 0;
+function findOverAdvancedPawns(ctx, color) {
+  const my = listPawns(ctx, color);
+  const overAdvanced = [];
   for (const p of my) {
     const advanced = color === "w" ? p.rank >= 6 : p.rank <= 3;
     if (!advanced) continue;
@@ -419,14 +436,14 @@ function countOverAdvancedPawns(game, color) {
       if (f2 < 0 || f2 > 7) continue;
       if (color === "w") {
         for (let r = p.rank - 1; r >= 2; r--) {
-          if (squareHasPawn(game, color, f2, r)) {
+          if (squareHasPawn(ctx, color, f2, r)) {
             support = true;
             break;
           }
         }
       } else {
         for (let r = p.rank + 1; r <= 7; r++) {
-          if (squareHasPawn(game, color, f2, r)) {
+          if (squareHasPawn(ctx, color, f2, r)) {
             support = true;
             break;
           }
@@ -434,35 +451,27 @@ function countOverAdvancedPawns(game, color) {
       }
       if (support) break;
     }
-    if (!support) count++;
+    if (!support) overAdvanced.push(p.square);
   }
-  return count;
+  return overAdvanced;
 }
 
 // 14) Weak Pawns (isolated + backward + over-advanced)
-function countWeakPawns(game, color) {
-  const isolated = countIsolatedPawns(game, color);
-  const backward = countBackwardPawns(game, color);
-  const overAdv = countOverAdvancedPawns(game, color);
-  return isolated + backward + overAdv;
+// A pawn with several of these flaws is listed once, but counted
+// once per flaw in the score.
+function findWeakPawns(isolated, backward, overAdvanced) {
+  return [...new Set([...isolated, ...backward, ...overAdvanced])];
 }
 
-// 15) Central Doubled Pawns
-function countCentralDoubledPawns(game, color) {
-  const pawns = listPawns(game, color).filter(
-    (p) => p.file === 3 || p.file === 4
+// 15) Central Doubled Pawns (d- and e-files)
+function findCentralDoubledPawns(ctx, color) {
+  return groupDoubled(
+    listPawns(ctx, color).filter((p) => p.file === 3 || p.file === 4)
   );
-  const byFile = new Map();
-  for (const p of pawns) byFile.set(p.file, (byFile.get(p.file) || 0) + 1);
-  let doubled = 0;
-  for (const [, n] of byFile) {
-    if (n >= 2) doubled += n - 1;
-  }
-  return doubled;
 }
 
 // 16) Weak Squares
-function detectWeakSquares(game, color) {
+function detectWeakSquares(ctx, color) {
   const weak = new Set();
   function friendlyPawnCanGuardSquare(file, rank) {
     const step = forwardStep(color);
@@ -472,11 +481,11 @@ function detectWeakSquares(game, color) {
       if (!isOnBoard(f2, r2)) continue;
       if (color === "w") {
         for (let r = r2; r >= 2; r--) {
-          if (squareHasPawn(game, color, f2, r)) return true;
+          if (squareHasPawn(ctx, color, f2, r)) return true;
         }
       } else {
         for (let r = r2; r <= 7; r++) {
-          if (squareHasPawn(game, color, f2, r)) return true;
+          if (squareHasPawn(ctx, color, f2, r)) return true;
         }
       }
     }
@@ -492,92 +501,239 @@ function detectWeakSquares(game, color) {
 }
 
 // =============================================================
-// Pawn Structure Cache
+// Aggregator
 // =============================================================
-const _pawnTT = new Map();
+function getPawnStructureForColor(game, color, config = DEFAULT_CONFIG) {
+  return getPawnStructureDetail(game, color, config).score;
+}
+
+// Detector metadata: [name, label, normalizer(raw, total)]
+const DETECTORS = [
+  ["isolated", "Isolated Pawns", (n, total) => n / total],
+  ["doubled", "Doubled Pawns", (n, total) => n / total],
+  ["backward", "Backward Pawns", (n, total) => n / total],
+  ["overAdvanced", "Over-Advanced Pawns", (n, total) => n / total],
+  ["centralDoubled", "Central Doubled Pawns", (n, total) => n / total],
+  ["islands", "Pawn Islands", (n) => Math.max(0, n - 1) / 4],
+  ["chainBases", "Chain Bases", (n, total) => n / total],
+  ["weakPawns", "Weak Pawns", (n, total) => n / total],
+  ["weakSquares", "Weak Squares", (n) => n / 8],
+  ["hanging", "Hanging Pawns", (n) => n / 4],
+  ["rams", "Pawn Rams", (n) => n / 8],
+  ["passed", "Passed Pawns", (n, total) => n / total],
+  ["candidatePassed", "Candidate Passers", (n, total) => n / total],
+  ["chains", "Pawn Chains", (n) => n / 4],
+  ["levers", "Pawn Levers", (n, total) => n / total],
+];
+
+// Flank majorities / minorities are flat bonuses and penalties
+const FLANK_DETECTORS = [
+  ["queensideMajority", "Queenside Majority"],
+  ["kingsideMajority", "Kingside Majority"],
+  ["queensideMinority", "Queenside Minority"],
+  ["kingsideMinority", "Kingside Minority"],
+];
 
-function computePawnKey(game) {
-  const wp = listPawns(game, "w")
-    .map((p) => p.square)
-    .sort()
-    .join(",");
-  const bp = listPawns(game, "b")
-    .map((p) => p.square)
-    .sort()
-    .join(",");
-  return `P:${wp}|${bp}`;
+/**
+ * buildPawnReport(ctx, color)
+ * -----------------------------------------
+ * Runs every detector for one side and records the squares each
+ * feature involves.
+ *
+ * Everything except candidate passers depends only on pawn
+ * placement and is served from the shared pawn cache. Candidate
+ * passers also look at pieces blocking the pawn, so they are
+ * detected on every call.
+ */
+function buildPawnReport(ctx, color) {
+  const report = getPawnCached(ctx, `pawnStructure:${color}`, () =>
+    buildPawnOnlyReport(ctx, color)
+  );
+  return {
+    ...report,
+    candidatePassed: findCandidatePassedPawns(ctx, color),
+  };
+}
+
+/**
+ * buildPawnOnlyReport(ctx, color)
+ * -----------------------------------------
+ * The part of the report that depends only on pawn placement.
+ */
+function buildPawnOnlyReport(ctx, color) {
+  const isolated = findIsolatedPawns(ctx, color);
+  const backward = findBackwardPawns(ctx, color);
+  const overAdvanced = findOverAdvancedPawns(ctx, color);
+  const chains = getPawnChains(ctx, color);
+  const majority = detectPawnMajority(ctx, color);
+  const minority = detectMinority(ctx, color);
+
+  return {
+    color,
+    pawns: listPawns(ctx, color).map((p) => p.square),
+    isolated,
+    doubled: findDoubledPawns(ctx, color),
+    backward,
+    overAdvanced,
+    centralDoubled: findCentralDoubledPawns(ctx, color),
+    weakPawns: findWeakPawns(isolated, backward, overAdvanced),
+    passed: findPassedPawns(ctx, color),
+    hanging: findHangingPawns(ctx, color),
+    // Listed from head (most advanced) to base
+    chains: chains.map((chain) => chain.map((p) => p.square).reverse()),
+    chainBases: chains.map((chain) => chain[0].square),
+    islands: findPawnIslands(ctx, color),
+    rams: findPawnRams(ctx),
+    levers: findPawnLevers(ctx, color),
+    weakSquares: [...detectWeakSquares(ctx, color)],
+    majorities: {
+      queenside: majority.queensideMajority,
+      kingside: majority.kingsideMajority,
+    },
+    minorities: {
+      queenside: minority.queensideMinority,
+      kingside: minority.kingsideMinority,
+    },
+  };
 }
 
-function getCachedPawnStructure(game) {
-  const k = computePawnKey(game);
-  return _pawnTT.get(k);
+/**
+ * getPawnFeatures(ctx, color)
+ * -----------------------------------------
+ * Reduces the pawn report for one side to the raw values the score
+ * is built from (counts and flank flags), plus the pawn total used
+ * to normalize them.
+ */
+function getPawnFeatures(ctx, color) {
+  const r = buildPawnReport(ctx, color);
+
+  return {
+    total: r.pawns.length || 1,
+    isolated: r.isolated.length,
+    doubled: countDoubled(r.doubled),
+    backward: r.backward.length,
+    overAdvanced: r.overAdvanced.length,
+    centralDoubled: countDoubled(r.centralDoubled),
+    islands: r.islands.length,
+    chainBases: r.chainBases.length,
+    // A pawn counts once per flaw (isolated, backward, over-advanced)
+    weakPawns: r.isolated.length + r.backward.length + r.overAdvanced.length,
+    weakSquares: r.weakSquares.length,
+    hanging: r.hanging.length,
+    rams: r.rams.length,
+    passed: r.passed.length,
+    candidatePassed: r.candidatePassed.length,
+    chains: r.chains.length,
+    levers: r.levers.length,
+    queensideMajority: r.majorities.queenside,
+    kingsideMajority: r.majorities.kingside,
+    queensideMinority: r.minorities.queenside,
+    kingsideMinority: r.minorities.kingside,
+  };
 }
 
-function storePawnStructure(game, data) {
-  const k = computePawnKey(game);
-  _pawnTT.set(k, data);
+/**
+ * getPawnStructureDetail(game, color, config)
+ * -----------------------------------------
+ * Runs every pawn-structure detector for one side and returns the
+ * blended score together with each detector's raw count, normalized
+ * sub-score, weight and weighted contribution.
+ *
+ * The score starts from 1 and each contribution is added to it
+ * (weaknesses have negative weights), then clamped to [0,1]. The
+ * weights are tapered by game phase, so passers and flank
+ * majorities count for more as the endgame approaches.
+ *
+ * @param {Chess|Object} game - A chess.js instance or position context.
+ * @param {"w"|"b"} color - The side to evaluate.
+ * @param {Object} [config] - Resolved K-MAPS config (see config.js).
+ * @returns {{ score: number, phase: number, components: Array<Object> }}
+ *   `components` holds { name, label, raw, score, weight, contribution }.
+ */
+function getPawnStructureDetail(game, color, config = DEFAULT_CONFIG) {
+  const ctx = getPositionContext(game);
+  const features = getPawnFeatures(ctx, color);
+
+  // Detector weights, tapered by game phase
+  const phase = computePhase(ctx, config).value;
+  const { weights } = taper(config.pawnStructure, phase);
+
+  const component = (name, label, raw, score) => ({
+    name,
+    label,
+    raw,
+    score,
+    weight: weights[name],
+    contribution: weights[name] * score,
+  });
+
+  const terms = DETECTORS.map(([name, label, normalize]) =>
+    component(
+      name,
+      label,
+      features[name],
+      normalize(features[name], features.total)
+    )
+  );
+  const flankTerms = FLANK_DETECTORS.map(([name, label]) =>
+    component(name, label, features[name], features[name] ? 1 : 0)
+  );
+
+  // Sum the weighted terms first, then the flank bonus, in the same
+  // order as the original single expression so scores are unchanged
+  let score = 1;
+  for (const c of terms) score += c.contribution;
+  score += flankTerms.reduce((sum, c) => sum + c.contribution, 0);
+
+  return {
+    score: clamp(score),
+    phase,
+    components: [...terms, ...flankTerms],
+  };
 }
 
-// =============================================================
-// Aggregator
-// =============================================================
-function getPawnStructureForColor(game, color) {
-  const cached = getCachedPawnStructure(game);
-  if (cached && typeof cached[color] === "number") {
-    return clamp(cached[color]);
+/**
+ * getPawnStructureReport(fen, color)
+ * -----------------------------------------
+ * Lists every pawn-structure feature for one side together with the
+ * squares involved, so they can be highlighted on a board.
+ *
+ * Single-square features (isolated, backward, passed, …) are arrays
+ * of squares. Grouped features are arrays of square arrays:
+ *   - doubled / centralDoubled – pawns sharing a file
+ *   - hanging  – pawns on the two hanging files
+ *   - chains   – from head (most advanced) to base
+ *   - islands  – pawns of each island
+ *   - rams     – [white pawn, black pawn] blocking each other
+ *   - levers   – [own pawn, enemy pawn it can capture]
+ *
+ * @param {string|Chess} fen - A FEN string (or a chess.js instance).
+ * @param {"w"|"b"} color - The side to report on.
+ * @returns {Object|null} The feature report, or null if the FEN is invalid.
+ *
+ * Example:
+ *   getPawnStructureReport(fen, "w").isolated → ["d4"]
+ */
+function getPawnStructureReport(fen, color) {
+  if (color !== "w" && color !== "b") return null;
+
+  let game = fen;
+  if (typeof fen === "string") {
+    try {
+      game = loadGame(fen);
+    } catch {
+      return null;
+    }
+  } else if (!fen || typeof fen.board !== "function") {
+    return null;
   }
 
-  const total = countPawns(game, color) || 1;
-  const isolated = countIsolatedPawns(game, color);
-  const doubled = countDoubledPawns(game, color);
-  const islands = countPawnIslands(game, color);
-  const backward = countBackwardPawns(game, color);
-  const overAdv = countOverAdvancedPawns(game, color);
-  const centralD = countCentralDoubledPawns(game, color);
-  const passed = countPassedPawns(game, color);
-  const candPassed = countCandidatePassedPawns(game, color);
-  const chains = countPawnChains(game, color);
-  const bases = detectChainBases(game, color).length;
-  const levers = countPawnLevers(game, color);
-  const rams = countPawnRams(game);
-  const hanging = countHangingPawns(game, color);
-  const weakSq = detectWeakSquares(game, color).size;
-  const { queensideMajority, kingsideMajority } = detectPawnMajority(
-    game,
-    color
-  );
-  const minorities = detectMinority(game, color);
-  const weak = countWeakPawns(game, color);
-
-  const flankBonus =
-    (queensideMajority ? 0.02 : 0) +
-    (kingsideMajority ? 0.02 : 0) -
-    (minorities.queensideMinority ? 0.02 : 0) -
-    (minorities.kingsideMinority ? 0.02 : 0);
-
-  let score =
-    1 -
-    0.4 * (isolated / total) -
-    0.55 * (doubled / total) -
-    0.25 * (backward / total) -
-    0.2 * (overAdv / total) -
-    0.2 * (centralD / total) -
-    0.1 * (Math.max(0, islands - 1) / 4) -
-    0.05 * (bases / total) -
-    0.1 * (weak / total) -
-    0.1 * (weakSq / 8) -
-    0.05 * (hanging / 4) -
-    0.1 * (rams / 8) +
-    0.4 * (passed / total) +
-    0.15 * (candPassed / total) +
-    0.1 * (chains / 4) +
-    0.05 * (levers / total) +
-    flankBonus;
-
-  const result = clamp(score);
-  const prev = getCachedPawnStructure(game) || {};
-  storePawnStructure(game, { ...prev, [color]: result });
-  return result;
-}
-
-export { getPawnStructureForColor };
+  // Copy so callers cannot modify the cached report
+  return structuredClone(buildPawnReport(getPositionContext(game), color));
+}
+
+export {
+  getPawnStructureForColor,
+  getPawnStructureDetail,
+  getPawnStructureReport,
+};
@@ -2,54 +2,82 @@
 // Space Metric
 // -------------------------------------------------------------
 // Evaluates how much "space" a given side controls on the board.
-// The metric combines three weighted components:
-//   1. Reach Score   – number of reachable squares in the opponent’s half
+// The metric combines four weighted components:
+//   1. Reach Score   – number of controlled squares in the opponent’s half
 //   2. Presence Score – how many of own pieces physically occupy that half
 //   3. Foothold Score – control and occupation of central files in enemy half
+//   4. Safe Space    – safe central squares behind the own pawn front,
+//                      weighted by the pieces left to use them
 //
 // The result is normalized to [0,1] using clamp().
 // -------------------------------------------------------------
 
-import { Chess } from "chess.js";
 import { clamp } from "../utils/mathUtils.js";
+import { squareFromRF } from "../utils/boardUtils.js";
+import { DEFAULT_CONFIG } from "../config.js";
+import { controlCell } from "../controlMap.js";
+import { getPositionContext } from "../positionContext.js";
+import { computePhase, taper } from "./gamePhase.js";
+
+// Knights, bishops, rooks and queen of a full army
+const FULL_ARMY = 7;
 
 /**
- * getSpaceForColor(game, color)
+ * getSpaceForColor(game, color, config)
  * -----------------------------------------
  * Computes the normalized space control score for a given color.
  *
- * @param {Chess} game - A chess.js instance representing the current position.
+ * @param {Chess|Object} game - A chess.js instance or position context.
  * @param {"w"|"b"} color - The color to evaluate.
+ * @param {Object} [config] - Resolved K-MAPS config (see config.js).
  * @returns {number} A value between 0 and 1, representing relative space control.
  */
-export function getSpaceForColor(game, color) {
-  // Clone the position but set the side to move to the target color
-  // so move generation is done from that perspective
-  const fenParts = game.fen().split(" ");
-  fenParts[1] = color;
-  fenParts[3] = "-"; // clear EP square when changing side-to-move
-  const temp = new Chess(fenParts.join(" "));
+export function getSpaceForColor(game, color, config = DEFAULT_CONFIG) {
+  return getSpaceDetail(game, color, config).score;
+}
+
+/**
+ * getSpaceDetail(game, color, config)
+ * -----------------------------------------
+ * Same evaluation as getSpaceForColor(), but also returns the reach,
+ * presence, foothold and safe-space components with their raw
+ * inputs, weights and weighted contributions.
+ *
+ * @param {Chess|Object} game - A chess.js instance or position context.
+ * @param {"w"|"b"} color - The color to evaluate.
+ * @param {Object} [config] - Resolved K-MAPS config (see config.js).
+ * @returns {{ score: number, phase: number, components: Array<Object> }}
+ *   `components` holds { name, label, raw, score, weight, contribution }.
+ */
+export function getSpaceDetail(game, color, config = DEFAULT_CONFIG) {
+  const ctx = getPositionContext(game);
+
+  // Caps and component weights, tapered by game phase
+  const phase = computePhase(ctx, config).value;
+  const cfg = taper(config.space, phase);
 
   // Define opponent’s half of the board depending on color
   const oppHalfRankMin = color === "w" ? 5 : 1;
   const oppHalfRankMax = color === "w" ? 8 : 4;
 
   // -------------------------------------------------------------
-  // 1. Reach Score — count how many unique squares this side’s
-  // non-king pieces can reach in the opponent’s half.
+  // 1. Reach Score — count how many squares in the opponent’s half
+  // are attacked by this side’s non-king pieces, read from the same
+  // control map that getControlMap() exposes.
   // -------------------------------------------------------------
-  const moves = temp.moves({ verbose: true });
-  const reachSquares = new Set(
-    moves
-      .filter((m) => m.piece !== "k") // ignore king moves
-      .filter((m) => {
-        const r = parseInt(m.to[1], 10);
-        return r >= oppHalfRankMin && r <= oppHalfRankMax;
-      })
-      .map((m) => m.to)
-  );
-  // Max possible coverage of 28 squares (approx half board)
-  const reachScore = Math.min(reachSquares.size / 28, 1);
+  const controlMap = ctx.controlMap();
+  const reachSquares = new Set();
+  for (const row of controlMap) {
+    for (const cell of row) {
+      const r = parseInt(cell.square[1], 10);
+      if (r < oppHalfRankMin || r > oppHalfRankMax) continue;
+      // King attacks are ignored — the king's reach is not space
+      if (cell.attackers[color].some((a) => a.type !== "k"))
+        reachSquares.add(cell.square);
+    }
+  }
+  // Max possible coverage of 28 squares by default (approx half board)
+  const reachScore = Math.min(reachSquares.size / cfg.reachCap, 1);
 
   // -------------------------------------------------------------
   // 2. Presence Score — proportion of own piece weight
@@ -57,17 +85,13 @@ export function getSpaceForColor(game, color) {
   // -------------------------------------------------------------
   let presence = 0,
     maxPresence = 0;
-  const weights = { p: 1, n: 0.8, b: 0.8, r: 0.6, q: 0.5, k: 0.2 };
-  game.board().forEach((row, rankIdx) =>
-    row.forEach((sq, fileIdx) => {
-      if (!sq || sq.color !== color) return;
-      const rank = 8 - rankIdx;
-      const inOppHalf = color === "w" ? rank >= 5 : rank <= 4;
-      const w = weights[sq.type] || 0.5;
-      maxPresence += w;
-      if (inOppHalf) presence += w;
-    })
-  );
+  const weights = cfg.presenceValues;
+  for (const { type, rank } of ctx.pieces[color]) {
+    const inOppHalf = color === "w" ? rank >= 5 : rank <= 4;
+    const w = weights[type] ?? 0.5;
+    maxPresence += w;
+    if (inOppHalf) presence += w;
+  }
   const presenceScore = maxPresence > 0 ? presence / maxPresence : 0;
 
   // -------------------------------------------------------------
@@ -77,21 +101,109 @@ export function getSpaceForColor(game, color) {
   const centralFiles = new Set(["c", "d", "e", "f"]);
   let foothold = 0,
     footholdDen = 0;
-  game.board().forEach((row, rankIdx) =>
-    row.forEach((sq, fileIdx) => {
-      if (!sq || sq.color !== color) return;
-      const rank = 8 - rankIdx;
-      const fileChar = String.fromCharCode(97 + fileIdx);
-      const inOppHalf = color === "w" ? rank >= 5 : rank <= 4;
-      if (inOppHalf && centralFiles.has(fileChar)) foothold++;
-      if (centralFiles.has(fileChar)) footholdDen++;
-    })
-  );
+  for (const { square, rank } of ctx.pieces[color]) {
+    const fileChar = square[0];
+    const inOppHalf = color === "w" ? rank >= 5 : rank <= 4;
+    if (inOppHalf && centralFiles.has(fileChar)) foothold++;
+    if (centralFiles.has(fileChar)) footholdDen++;
+  }
   const footholdScore = footholdDen > 0 ? foothold / footholdDen : 0;
 
   // -------------------------------------------------------------
-  // Combine all components with tuned weights:
-  //   55% reach + 30% presence + 15% foothold
+  // 4. Safe Space — central squares (files c–f) on the side's own
+  // 2nd–4th ranks that hold no own pawn and no enemy pawn attacks.
+  // Squares behind an own pawn are sheltered by the pawn front and
+  // count twice. The total is weighted by the share of knights,
+  // bishops, rooks and queens left to make use of the room.
   // -------------------------------------------------------------
-  return clamp(0.55 * reachScore + 0.3 * presenceScore + 0.15 * footholdScore);
+  const safe = safeSquares(ctx, controlMap, color);
+  const pieces = ctx.pieces[color].filter((p) =>
+    ["n", "b", "r", "q"].includes(p.type)
+  ).length;
+  const usage = Math.min(pieces / FULL_ARMY, 1);
+  const safeSpaceScore = Math.min(
+    ((safe.squares + safe.behind) * usage) / cfg.safeSpaceCap,
+    1
+  );
+
+  // -------------------------------------------------------------
+  // Combine all components with tuned weights (defaults):
+  //   opening  45% reach + 25% presence + 10% foothold + 20% safe space
+  //   endgame  70% reach + 15% presence + 15% foothold
+  // -------------------------------------------------------------
+  return {
+    score: clamp(
+      cfg.reachWeight * reachScore +
+        cfg.presenceWeight * presenceScore +
+        cfg.footholdWeight * footholdScore +
+        cfg.safeSpaceWeight * safeSpaceScore
+    ),
+    phase,
+    components: [
+      {
+        name: "reach",
+        label: "Reach",
+        raw: reachSquares.size,
+        score: reachScore,
+        weight: cfg.reachWeight,
+        contribution: cfg.reachWeight * reachScore,
+      },
+      {
+        name: "presence",
+        label: "Presence",
+        raw: { presence, max: maxPresence },
+        score: presenceScore,
+        weight: cfg.presenceWeight,
+        contribution: cfg.presenceWeight * presenceScore,
+      },
+      {
+        name: "foothold",
+        label: "Foothold",
+        raw: { foothold, central: footholdDen },
+        score: footholdScore,
+        weight: cfg.footholdWeight,
+        contribution: cfg.footholdWeight * footholdScore,
+      },
+      {
+        name: "safeSpace",
+        label: "Safe Space",
+        raw: { ...safe, pieces },
+        score: safeSpaceScore,
+        weight: cfg.safeSpaceWeight,
+        contribution: cfg.safeSpaceWeight * safeSpaceScore,
+      },
+    ],
+  };
+}
+
+/**
+ * safeSquares(ctx, controlMap, color)
+ * -----------------------------------------
+ * Counts the safe central squares of `color`: files c–f, own ranks
+ * 2–4, not occupied by an own pawn and not attacked by an enemy
+ * pawn. `behind` counts those with an own pawn further up the file.
+ *
+ * @returns {{ squares: number, behind: number }}
+ */
+function safeSquares(ctx, controlMap, color) {
+  const enemy = color === "w" ? "b" : "w";
+  const ranks = color === "w" ? [2, 3, 4] : [7, 6, 5];
+  const ahead = (a, b) => (color === "w" ? a > b : a < b);
+
+  let squares = 0;
+  let behind = 0;
+  for (let file = 2; file <= 5; file++) {
+    for (const rank of ranks) {
+      const piece = ctx.get(squareFromRF(file, rank));
+      if (piece && piece.type === "p" && piece.color === color) continue;
+
+      const { attackers } = controlCell(controlMap, file, rank);
+      if (attackers[enemy].some((a) => a.type === "p")) continue;
+
+      squares++;
+      if (ctx.pawns[color].some((p) => p.file === file && ahead(p.rank, rank)))
+        behind++;
+    }
+  }
+  return { squares, behind };
 }
@@ -0,0 +1,242 @@
+// -------------------------------------------------------------
+// Threats Metric (optional)
+// -------------------------------------------------------------
+// Measures the tactical pressure a side exerts on the enemy pieces,
+// which the five strategic metrics do not see. Five kinds of threat
+// are detected:
+//   1. Hanging          – enemy pieces attacked and not defended
+//   2. Under-defended   – attacked more often than defended
+//   3. Attacked by lower – attacked by a piece worth less
+//   4. Pins             – an enemy piece pinned to its king or queen
+//   5. Double attacks   – one piece hitting two worthwhile targets
+//
+// Attacks come from the shared control map (pseudo-legal, as in
+// getControlMap()), and piece values from the material section of
+// the config. Threats are counted whoever is to move.
+// -------------------------------------------------------------
+
+import { clamp } from "../utils/mathUtils.js";
+import { isOnBoard, squareFromRF } from "../utils/boardUtils.js";
+import { DEFAULT_CONFIG } from "../config.js";
+import { controlCell } from "../controlMap.js";
+import { getPositionContext } from "../positionContext.js";
+import { computePhase, taper } from "./gamePhase.js";
+
+// Components in output order; each threat's `type` is one of these
+const COMPONENTS = [
+  ["hanging", "Hanging Pieces"],
+  ["underDefended", "Under-Defended Pieces"],
+  ["attackedByLower", "Attacked by Lower-Value Pieces"],
+  ["pins", "Pins"],
+  ["doubleAttacks", "Double Attacks"],
+];
+
+// Line directions of each slider
+const DIAGONALS = [
+  [1, 1],
+  [1, -1],
+  [-1, 1],
+  [-1, -1],
+];
+const ORTHOGONALS = [
+  [1, 0],
+  [-1, 0],
+  [0, 1],
+  [0, -1],
+];
+const SLIDER_DIRECTIONS = {
+  b: DIAGONALS,
+  r: ORTHOGONALS,
+  q: [...DIAGONALS, ...ORTHOGONALS],
+};
+
+/**
+ * getThreats(game, color, config)
+ * -----------------------------------------
+ * Computes the normalized Threats score for a given color: how much
+ * tactical pressure it puts on the opponent's pieces.
+ *
+ * @param {Chess|Object} game - A chess.js instance or position context.
+ * @param {"w"|"b"} color - The side making the threats.
+ * @param {Object} [config] - Resolved K-MAPS config (see config.js).
+ * @returns {number} A value between 0 (no threats) and 1.
+ */
+export function getThreats(game, color, config = DEFAULT_CONFIG) {
+  return getThreatsDetail(game, color, config).score;
+}
+
+/**
+ * getThreatsDetail(game, color, config)
+ * -----------------------------------------
+ * Same evaluation as getThreats(), but also returns one component
+ * per kind of threat and the list of threats found.
+ *
+ * @param {Chess|Object} game - A chess.js instance or position context.
+ * @param {"w"|"b"} color - The side making the threats.
+ * @param {Object} [config] - Resolved K-MAPS config (see config.js).
+ * @returns {{ score: number, phase: number, components: Array<Object>,
+ *             threats: Array<{ type: string, squares: string[],
+ *                              value: number }> }}
+ *   `components` holds { name, label, raw, score, weight, contribution },
+ *   with `raw` the number of threats of that kind. In `threats`, the
+ *   first square is the target (for pins and double attacks: the
+ *   attacking piece), followed by the other pieces involved; `value`
+ *   is the material at stake in pawns.
+ */
+export function getThreatsDetail(game, color, config = DEFAULT_CONFIG) {
+  const ctx = getPositionContext(game);
+  const enemy = color === "w" ? "b" : "w";
+
+  // Piece values as Material uses them in this phase
+  const phase = computePhase(ctx, config).value;
+  const values = taper(config.material, phase).pieceValues;
+  const cfg = config.threats;
+
+  const controlMap = ctx.controlMap();
+  const cellOf = (p) => controlCell(controlMap, p.file, p.rank);
+
+  const threats = [];
+
+  // -------------------------------------------------------------
+  // 1–3. Attacked enemy pieces: hanging, attacked by a cheaper
+  // piece, or attacked more often than defended
+  // -------------------------------------------------------------
+  for (const target of ctx.pieces[enemy]) {
+    if (target.type === "k") continue;
+    const { attackers } = cellOf(target);
+    const attacking = attackers[color];
+    const defending = attackers[enemy];
+    if (!attacking.length) continue;
+
+    const worth = values[target.type];
+    const lower = attacking.filter(
+      (a) => a.type !== "k" && values[a.type] < worth
+    );
+
+    if (!defending.length) {
+      threats.push(threat("hanging", target, attacking, worth));
+    } else if (lower.length) {
+      const cheapest = Math.min(...lower.map((a) => values[a.type]));
+      threats.push(threat("attackedByLower", target, lower, worth - cheapest));
+    } else if (attacking.length > defending.length) {
+      threats.push(threat("underDefended", target, attacking, worth));
+    }
+  }
+
+  // -------------------------------------------------------------
+  // 4. Pins — a slider, an enemy piece, then the enemy king or a
+  // queen worth more than the pinned piece, on one line
+  // -------------------------------------------------------------
+  for (const slider of ctx.pieces[color]) {
+    for (const [df, dr] of SLIDER_DIRECTIONS[slider.type] ?? []) {
+      const [first, second] = piecesAlong(ctx, slider, df, dr);
+      if (!first || !second) continue;
+      if (first.color !== enemy || first.type === "k") continue;
+      if (second.color !== enemy) continue;
+
+      const pinnedToKing = second.type === "k";
+      const pinnedToQueen =
+        second.type === "q" && values[first.type] < values.q;
+      if (!pinnedToKing && !pinnedToQueen) continue;
+
+      threats.push({
+        type: "pins",
+        squares: [slider.square, first.square, second.square],
+        value: values[first.type],
+      });
+    }
+  }
+
+  // -------------------------------------------------------------
+  // 5. Double attacks — a piece attacking two or more targets that
+  // are each worth taking: the king (check), an undefended piece or
+  // a piece worth more than the attacker. A king cannot take a
+  // defended piece, so it only counts undefended targets. The
+  // opponent can save one, so the smaller target is what is at
+  // stake. A king is worth the cap (diagrams may fork two kings).
+  // -------------------------------------------------------------
+  const targetsBy = new Map();
+  for (const target of ctx.pieces[enemy]) {
+    const { attackers } = cellOf(target);
+    for (const a of attackers[color]) {
+      const defended = attackers[enemy].length > 0;
+      const worthwhile =
+        target.type === "k" ||
+        !defended ||
+        (a.type !== "k" && values[target.type] > values[a.type]);
+      if (!worthwhile) continue;
+      if (!targetsBy.has(a.square)) targetsBy.set(a.square, []);
+      targetsBy.get(a.square).push(target);
+    }
+  }
+  for (const [square, targets] of targetsBy) {
+    if (targets.length < 2) continue;
+    const stakes = targets
+      .map((t) => (t.type === "k" ? cfg.valueCap : values[t.type]))
+      .sort((a, b) => b - a);
+    threats.push({
+      type: "doubleAttacks",
+      squares: [square, ...targets.map((t) => t.square)],
+      value: stakes[1],
+    });
+  }
+
+  // -------------------------------------------------------------
+  // Each kind scores the material at stake, capped at valueCap (a
+  // queen by default), and the kinds are combined by weight
+  // -------------------------------------------------------------
+  const components = COMPONENTS.map(([name, label]) => {
+    const found = threats.filter((t) => t.type === name);
+    const stake = found.reduce((sum, t) => sum + t.value, 0);
+    const score = Math.min(stake / cfg.valueCap, 1);
+    const weight = cfg.weights[name];
+    return {
+      name,
+      label,
+      raw: found.length,
+      score,
+      weight,
+      contribution: weight * score,
+    };
+  });
+
+  return {
+    score: clamp(components.reduce((sum, c) => sum + c.contribution, 0)),
+    phase,
+    components,
+    threats,
+  };
+}
+
+/**
+ * threat(type, target, attackers, value)
+ * -----------------------------------------
+ * Builds a threat entry: the target square, then the attackers.
+ */
+function threat(type, target, attackers, value) {
+  return {
+    type,
+    squares: [target.square, ...attackers.map((a) => a.square)],
+    value,
+  };
+}
+
+/**
+ * piecesAlong(ctx, from, df, dr)
+ * -----------------------------------------
+ * The first two pieces met walking from a piece in one direction,
+ * as { type, color, square } (missing entries when the line ends).
+ */
+function piecesAlong(ctx, from, df, dr) {
+  const found = [];
+  let file = from.file + df;
+  let rank = from.rank + dr;
+  while (isOnBoard(file, rank) && found.length < 2) {
+    const square = squareFromRF(file, rank);
+    const piece = ctx.get(square);
+    if (piece) found.push({ ...piece, square });
+    file += df;
+    rank += dr;
+  }
+  return found;
+}
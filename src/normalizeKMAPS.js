@@ -0,0 +1,250 @@
+// -------------------------------------------------------------
+// Baseline-Relative Normalization
+// -------------------------------------------------------------
+// Each metric has its own raw scale: at the start Pawn Structure
+// is about 0.76 while Space is under 0.1. Normalized rows put every
+// metric on a common scale where 0.5 means "typical":
+//
+//   "start"   – relative to the starting position. A score equal to
+//               the start score maps to 0.5, and the ranges below
+//               and above it are stretched linearly onto [0, 0.5]
+//               and [0.5, 1]. { start } names another starting
+//               position, e.g. a Chess960 array.
+//   reference – the percentile of the score among the scores of a
+//               reference sample of positions (see
+//               createKMAPSReference()), with ties counted half,
+//               e.g. positions from your own master-game database.
+//
+// Normalization is applied per metric and per side; the Game Phase
+// row and unavailable (null) scores are left as they are.
+// -------------------------------------------------------------
+
+import { loadGame } from "./utils/fenUtils.js";
+import { resolveConfig } from "./config.js";
+import { selectMetrics } from "./metricRegistry.js";
+import { createPositionContext } from "./positionContext.js";
+
+// Start scores per resolved config, then per starting FEN and metric
+// evaluator (so a replaced or newly registered metric gets its own
+// baseline)
+const startScores = new WeakMap();
+
+const STANDARD_START =
+  "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+
+/**
+ * -----------------------------------------
+ * Function: createKMAPSReference(fens, options)
+ * -----------------------------------------
+ * Evaluates a sample of positions and keeps every metric's scores
+ * as a reference distribution for the `normalize` option.
+ *
+ * Scores of both sides are pooled, so a percentile compares a side
+ * with all sides in the sample. Invalid FENs are skipped. The
+ * result is plain JSON and can be saved and reused.
+ *
+ * @param {string[]} fens - The sample positions, e.g. from master games.
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Configuration used for the sample;
+ *   evaluate with the same one when normalizing against it.
+ * @param {string[]} [options.metrics] - Metrics to include (default:
+ *   the default metrics).
+ * @returns {{ size: number, scores: Object<string, number[]> }}
+ *   `size` is the number of positions used and `scores` maps each
+ *   metric to its sorted scores.
+ * @throws {TypeError} If `fens` is not an array, a metric name is
+ *   unknown or `options.config` is invalid.
+ *
+ * Example:
+ *   const reference = createKMAPSReference(fens);
+ *   computeKMAPS(fen, { normalize: reference });
+ */
+export function createKMAPSReference(fens, options = {}) {
+  if (!Array.isArray(fens)) {
+    throw new TypeError("fens must be an array of FEN strings");
+  }
+  const config = resolveConfig(options.config);
+  const metrics = selectMetrics(options.metrics);
+
+  const scores = Object.fromEntries(metrics.map(([name]) => [name, []]));
+  let size = 0;
+
+  for (const fen of fens) {
+    let game;
+    try {
+      game = loadGame(fen);
+    } catch {
+      continue;
+    }
+    const ctx = createPositionContext(game);
+    for (const [name, evaluate] of metrics) {
+      for (const color of ["w", "b"]) {
+        const { score } = evaluate(ctx, color, config);
+        if (score !== null) scores[name].push(score);
+      }
+    }
+    size++;
+  }
+
+  for (const list of Object.values(scores)) list.sort((a, b) => a - b);
+  return { size, scores };
+}
+
+/**
+ * checkNormalize(normalize)
+ * -----------------------------------------
+ * Validates the `normalize` option: "start", { start } with a
+ * starting FEN or back-rank array, a reference from
+ * createKMAPSReference(), or undefined / false for raw scores.
+ *
+ * @throws {TypeError} On any other value.
+ */
+export function checkNormalize(normalize) {
+  if (normalize === undefined || normalize === false) return;
+  if (normalize === "start") return;
+  if (normalize && typeof normalize === "object" && "start" in normalize) {
+    startFen(normalize.start);
+    return;
+  }
+  if (
+    normalize &&
+    typeof normalize === "object" &&
+    normalize.scores &&
+    typeof normalize.scores === "object"
+  ) {
+    return;
+  }
+  throw new TypeError(
+    'normalize must be "start", { start } or a reference from ' +
+      "createKMAPSReference()"
+  );
+}
+
+/**
+ * normalizeRows(rows, normalize, config, metrics)
+ * -----------------------------------------
+ * Replaces the scores of metric rows by their normalized values and
+ * keeps the originals in `row.raw` ({ White, Black }).
+ *
+ * @param {Array<Object>} rows - Rows from evaluatePosition().
+ * @param {"start"|{ start: string }|Object} normalize -
+ *   See checkNormalize().
+ * @param {Object} config - Resolved configuration.
+ * @param {string[]} [metrics] - The `metrics` option the rows used.
+ * @returns {Array<Object>} New rows.
+ * @throws {TypeError} If a reference has no scores for a metric.
+ */
+export function normalizeRows(rows, normalize, config, metrics) {
+  const evaluators = new Map(selectMetrics(metrics));
+  const fen =
+    normalize === "start" ||
+    (typeof normalize === "object" && "start" in normalize)
+      ? startFen(normalize.start)
+      : null;
+
+  return rows.map((row) => {
+    const evaluate = evaluators.get(row.metric);
+    if (!evaluate) return row; // e.g. the Game Phase row
+
+    let scale;
+    if (fen) {
+      const start = getStartScores(evaluate, config, fen);
+      scale = (score, side) => relativeToStart(score, start[side]);
+    } else {
+      const sample = normalize.scores[row.metric];
+      if (!Array.isArray(sample) || !sample.length) {
+        throw new TypeError(`Reference has no scores for "${row.metric}"`);
+      }
+      scale = (score) => percentile(score, sample);
+    }
+
+    const raw = { White: row.White, Black: row.Black };
+    const normalized = { ...row, raw };
+    for (const side of ["White", "Black"]) {
+      if (row[side] !== null) normalized[side] = scale(row[side], side);
+    }
+    return normalized;
+  });
+}
+
+/**
+ * startFen(start)
+ * -----------------------------------------
+ * The FEN of a starting position given as a FEN or as White's
+ * back-rank array (e.g. "bbqnnrkr" for Chess960 position 0, either
+ * case); the standard start when `start` is undefined.
+ *
+ * @throws {TypeError} If `start` is neither or chess.js rejects it.
+ */
+function startFen(start) {
+  if (start === undefined) return STANDARD_START;
+  if (typeof start === "string") {
+    const fen = /^[rnbqk]{8}$/i.test(start)
+      ? `${start.toLowerCase()}/pppppppp/8/8/8/8/PPPPPPPP/` +
+        `${start.toUpperCase()} w - - 0 1`
+      : start;
+    try {
+      loadGame(fen);
+      return fen;
+    } catch {
+      // reported below
+    }
+  }
+  throw new TypeError(
+    "normalize.start must be a FEN or a back-rank array such as " +
+      `"rnbqkbnr", got ${JSON.stringify(start)}`
+  );
+}
+
+/**
+ * getStartScores(evaluate, config, fen)
+ * -----------------------------------------
+ * The metric's scores in the starting position `fen`, computed once
+ * per configuration.
+ */
+function getStartScores(evaluate, config, fen) {
+  let byFen = startScores.get(config);
+  if (!byFen) {
+    byFen = new Map();
+    startScores.set(config, byFen);
+  }
+  if (!byFen.has(fen)) byFen.set(fen, new Map());
+  const byMetric = byFen.get(fen);
+
+  if (!byMetric.has(evaluate)) {
+    const ctx = createPositionContext(loadGame(fen));
+    byMetric.set(evaluate, {
+      White: evaluate(ctx, "w", config).score,
+      Black: evaluate(ctx, "b", config).score,
+    });
+  }
+  return byMetric.get(evaluate);
+}
+
+/**
+ * relativeToStart(score, start)
+ * -----------------------------------------
+ * Maps [0, start] onto [0, 0.5] and [start, 1] onto [0.5, 1].
+ */
+function relativeToStart(score, start) {
+  if (score === start) return 0.5;
+  if (score < start) return (0.5 * score) / start;
+  return 0.5 + (0.5 * (score - start)) / (1 - start);
+}
+
+/**
+ * percentile(score, sorted)
+ * -----------------------------------------
+ * Share of the sorted sample below `score`, counting equal scores
+ * half (so the sample's median maps to about 0.5).
+ */
+function percentile(score, sorted) {
+  let below = 0;
+  let equal = 0;
+  for (const value of sorted) {
+    if (value < score) below++;
+    else if (value === score) equal++;
+    else break;
+  }
+  return (below + equal / 2) / sorted.length;
+}
@@ -0,0 +1,312 @@
+// -------------------------------------------------------------
+// Parallel Evaluation (Node.js only)
+// -------------------------------------------------------------
+// Spreads positions or games across a pool of worker threads.
+// Results come back in input order and have exactly the shape of
+// computeKMAPS() / computeKMAPSForGame(), so switching a serial
+// loop to the pool changes nothing else.
+//
+// Import from "chess-kmaps/parallel"; the main entry stays free
+// of node:worker_threads so it keeps working in browsers.
+// -------------------------------------------------------------
+
+import { Worker } from "node:worker_threads";
+import os from "node:os";
+
+import { selectMetrics } from "./computeKMAPS.js";
+import { resolveConfig } from "./config.js";
+import { listMetrics } from "./metricRegistry.js";
+import { createInputError } from "./validateKMAPSInput.js";
+
+// Items per message: positions are cheap, so batch them to keep
+// messaging overhead low; games are long enough to send one by one
+const DEFAULT_CHUNK_SIZE = { position: 32, game: 1 };
+
+/**
+ * -----------------------------------------
+ * Function: createKMAPSWorkerPool(options)
+ * -----------------------------------------
+ * Starts a pool of worker threads that evaluate K-MAPS in parallel.
+ *
+ * Each call to `computeKMAPS` / `computeKMAPSForGame` splits its
+ * input into chunks and hands them to idle workers; several calls
+ * may run at once and share the pool. Idle workers do not keep the
+ * process alive, but call `terminate()` when done with the pool.
+ * If a worker crashes, the call it was working for is rejected and
+ * the worker is replaced; other calls carry on.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.workers] - Number of threads (default:
+ *   the number of available CPU cores).
+ * @param {Object} [options.config] - Partial configuration overriding
+ *   the defaults, validated once and shared by all workers.
+ * @throws {TypeError|RangeError} If `options.config` or
+ *   `options.workers` is invalid.
+ * @returns {{
+ *   size: number,
+ *   computeKMAPS: (fens: string[], options?: Object) => Promise<Array<Array<Object>>>,
+ *   computeKMAPSForGame: (pgns: string[], options?: Object) => Promise<Array<Object>>,
+ *   terminate: () => Promise<void>
+ * }}
+ *   Both evaluation methods accept the serial options (`detail`,
+ *   `metrics`, `config`) plus:
+ *     - `signal`     AbortSignal that cancels the call
+ *     - `onProgress` called as ({ done, total }) after each chunk
+ *     - `chunkSize`  items per worker message
+ *   and resolve to one result per input item, in input order.
+ *
+ * Example:
+ *   const pool = createKMAPSWorkerPool({ workers: 4 });
+ *   const rows = await pool.computeKMAPS(fens, {
+ *     onProgress: ({ done, total }) => console.log(`${done}/${total}`),
+ *   });
+ *   await pool.terminate();
+ */
+export function createKMAPSWorkerPool({ workers, config } = {}) {
+  const size = workers ?? defaultPoolSize();
+  if (!Number.isInteger(size) || size < 1) {
+    throw new RangeError("workers must be a positive integer");
+  }
+  const resolved = resolveConfig(config);
+
+  const queue = []; // chunks waiting for a worker
+  const idle = [];
+  const inFlight = new Map(); // message id → chunk
+  const pool = [];
+  let nextId = 0;
+  let terminated = false;
+  let broken = null; // set if a worker failed outside of a chunk
+
+  // --- Start the workers ---
+  function spawn() {
+    const worker = new Worker(
+      new URL("./parallelWorker.js", import.meta.url),
+      { workerData: { config: resolved } }
+    );
+    let crashed = false;
+    const crash = (err) => {
+      if (crashed || terminated) return;
+      crashed = true;
+      onCrash(worker, err);
+    };
+    worker.on("message", (msg) => onMessage(worker, msg));
+    worker.on("error", crash);
+    worker.on("exit", (code) =>
+      crash(new Error(`Worker thread stopped with exit code ${code}`))
+    );
+    worker.unref();
+    pool.push(worker);
+    idle.push(worker);
+  }
+  for (let i = 0; i < size; i++) spawn();
+
+  // Hand queued chunks to idle workers
+  function dispatch() {
+    while (idle.length && queue.length) {
+      const chunk = queue.shift();
+      const worker = idle.pop();
+      const id = nextId++;
+      inFlight.set(id, { ...chunk, worker });
+      worker.ref(); // keep the process alive while work is pending
+      worker.postMessage({
+        id,
+        kind: chunk.job.kind,
+        items: chunk.items,
+        options: chunk.job.options,
+      });
+    }
+  }
+
+  function onMessage(worker, { id, results, error }) {
+    const chunk = inFlight.get(id);
+    inFlight.delete(id);
+    worker.unref();
+    idle.push(worker);
+
+    const { job } = chunk;
+    if (!job.settled) {
+      if (error) {
+        settle(job, toError(error));
+      } else {
+        results.forEach((r, i) => (job.results[chunk.start + i] = r));
+        job.done += results.length;
+        job.onProgress?.({ done: job.done, total: job.results.length });
+        if (job.done === job.results.length) settle(job);
+      }
+    }
+    dispatch();
+  }
+
+  // A crashed worker cannot be trusted to finish its chunk: the call
+  // that sent it is rejected and a new worker takes the dead one's
+  // place. A worker that dies without a chunk (e.g. while starting)
+  // would only die again, so the pool stops accepting calls instead.
+  function onCrash(worker, err) {
+    pool.splice(pool.indexOf(worker), 1);
+    if (idle.includes(worker)) idle.splice(idle.indexOf(worker), 1);
+
+    const chunks = [...inFlight].filter(([, c]) => c.worker === worker);
+    if (!chunks.length) {
+      broken = new Error(
+        `Worker pool is broken (${err.message}); create a new pool`
+      );
+      failAll(broken);
+      return;
+    }
+    for (const [id, { job }] of chunks) {
+      inFlight.delete(id);
+      if (!job.settled) settle(job, err);
+    }
+    spawn();
+    dispatch();
+  }
+
+  // Resolve or reject a job and drop its queued chunks
+  function settle(job, err) {
+    job.settled = true;
+    job.signal?.removeEventListener("abort", job.onAbort);
+    for (let i = queue.length - 1; i >= 0; i--) {
+      if (queue[i].job === job) queue.splice(i, 1);
+    }
+    if (err) job.reject(err);
+    else job.resolve(job.results);
+  }
+
+  function failAll(err) {
+    for (const { job } of [...queue, ...inFlight.values()]) {
+      if (!job.settled) settle(job, err);
+    }
+  }
+
+  function run(kind, items, options = {}) {
+    const {
+      signal,
+      onProgress,
+      chunkSize = DEFAULT_CHUNK_SIZE[kind],
+      ...evalOptions
+    } = options;
+
+    return new Promise((resolve, reject) => {
+      if (terminated) throw new Error("Worker pool has been terminated");
+      if (broken) throw broken;
+      if (!Array.isArray(items)) throw new TypeError("Input must be an array");
+      if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+        throw new RangeError("chunkSize must be a positive integer");
+      }
+      // Caller errors are raised here, not once per item in the workers
+      if (evalOptions.config !== undefined) {
+        evalOptions.config = resolveConfig(evalOptions.config);
+      }
+      evalOptions.metrics = workerMetrics(evalOptions.metrics);
+      signal?.throwIfAborted();
+
+      const job = {
+        kind,
+        options: evalOptions,
+        results: new Array(items.length),
+        done: 0,
+        settled: false,
+        signal,
+        onProgress,
+        resolve,
+        reject,
+      };
+      if (!items.length) return resolve([]);
+
+      // Cancellation: reject at once and drop the remaining chunks;
+      // chunks already running finish and are discarded
+      job.onAbort = () => settle(job, signal.reason);
+      signal?.addEventListener("abort", job.onAbort, { once: true });
+
+      for (let start = 0; start < items.length; start += chunkSize) {
+        const chunk = items.slice(start, start + chunkSize);
+        queue.push({ job, start, items: chunk });
+      }
+      dispatch();
+    });
+  }
+
+  return {
+    size,
+    computeKMAPS: (fens, options) => run("position", fens, options),
+    computeKMAPSForGame: (pgns, options) => run("game", pgns, options),
+    async terminate() {
+      if (terminated) return;
+      terminated = true;
+      failAll(new Error("Worker pool has been terminated"));
+      await Promise.all(pool.map((w) => w.terminate()));
+    },
+  };
+}
+
+/**
+ * -----------------------------------------
+ * Function: computeKMAPSParallel(fens, options)
+ * -----------------------------------------
+ * One-shot helper: evaluates a list of FENs on a temporary worker
+ * pool and shuts the pool down afterwards.
+ *
+ * @param {string[]} fens - FEN strings.
+ * @param {Object} [options] - Pool options (`workers`, `config`) and
+ *   call options (`detail`, `metrics`, `signal`, `onProgress`,
+ *   `chunkSize`), as for createKMAPSWorkerPool().
+ * @returns {Promise<Array<Array<Object>>>} computeKMAPS() rows for each
+ *   FEN, in input order ([] for an invalid FEN).
+ */
+export async function computeKMAPSParallel(fens, options = {}) {
+  const { workers, config, ...callOptions } = options;
+  const pool = createKMAPSWorkerPool({ workers, config });
+  try {
+    return await pool.computeKMAPS(fens, callOptions);
+  } finally {
+    await pool.terminate();
+  }
+}
+
+/**
+ * defaultPoolSize()
+ * -----------------------------------------
+ * Number of CPU cores available to the process.
+ */
+function defaultPoolSize() {
+  return os.availableParallelism?.() ?? os.cpus().length;
+}
+
+/**
+ * toError(error)
+ * -----------------------------------------
+ * Rebuilds an error posted by a worker. A KMAPSInputError keeps its
+ * `code`, `field`, `value` and `fen`, as in the serial functions.
+ */
+function toError({ name, message, code, field, value, fen }) {
+  if (name === "KMAPSInputError") {
+    return createInputError(fen, code, field, value, message);
+  }
+  return new Error(message);
+}
+
+/**
+ * workerMetrics(names)
+ * -----------------------------------------
+ * Validates the `metrics` option for a pool call and returns the
+ * explicit list of names to send to the workers. Workers load their
+ * own copy of the registry, which only has the built-in metrics, so
+ * metrics registered (or replaced) in this thread are rejected, and
+ * built-ins unregistered here are left out of the default list.
+ *
+ * @throws {TypeError} On an unknown or registered (non-built-in) metric.
+ */
+function workerMetrics(names) {
+  const selected = selectMetrics(names).map(([name]) => name);
+  const custom = listMetrics().filter(
+    (m) => !m.builtIn && selected.includes(m.name)
+  );
+  if (custom.length) {
+    throw new TypeError(
+      `Registered metrics are not available in worker threads: ${custom
+        .map((m) => m.name)
+        .join(", ")}`
+    );
+  }
+  return selected;
+}
@@ -0,0 +1,43 @@
+// -------------------------------------------------------------
+// Worker Thread Entry Point
+// -------------------------------------------------------------
+// Runs inside each worker of a pool created by
+// createKMAPSWorkerPool() (see parallel.js). Receives chunks of
+// FENs or PGNs, evaluates them with the ordinary single-threaded
+// functions and posts the results back in the same order.
+// -------------------------------------------------------------
+
+import { parentPort, workerData } from "node:worker_threads";
+
+import { computeKMAPS } from "./computeKMAPS.js";
+import { computeKMAPSForGame } from "./computeKMAPSForGame.js";
+import { resolveConfig } from "./config.js";
+
+// Already validated by the pool — resolved once per worker
+const config = resolveConfig(workerData.config);
+
+const EVALUATORS = {
+  position: computeKMAPS,
+  game: computeKMAPSForGame,
+};
+
+parentPort.on("message", ({ id, kind, items, options }) => {
+  try {
+    const evaluate = EVALUATORS[kind];
+    // A per-call config (already validated) replaces the pool's one
+    const opts = {
+      ...options,
+      config: resolveConfig(options.config ?? config),
+    };
+    const results = items.map((item) => evaluate(item, opts));
+    parentPort.postMessage({ id, results });
+  } catch (err) {
+    // Keep the fields of a KMAPSInputError (strict mode) so the pool
+    // can rebuild it; an Error itself does not survive postMessage
+    const { name, message, code, field, value, fen } = err;
+    parentPort.postMessage({
+      id,
+      error: { name, message, code, field, value, fen },
+    });
+  }
+});
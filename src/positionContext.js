@@ -0,0 +1,299 @@
+// -------------------------------------------------------------
+// Position Context
+// -------------------------------------------------------------
+// Parses a position once into the data every metric needs —
+// board array, piece lists, pawn files, king squares, legal
+// moves per side and the control map — so a full K-MAPS
+// evaluation does not re-read the board or regenerate moves in
+// each metric module.
+//
+// Expensive parts (moves, control map) are built lazily on first
+// use and then reused. Diagrams that chess.js cannot load get a
+// context without legal moves (createDiagramContext()).
+// -------------------------------------------------------------
+
+import { Chess } from "chess.js";
+import { squareFromRF } from "./utils/boardUtils.js";
+import { buildControlGrid } from "./utils/attackUtils.js";
+
+// Marks objects built by createPositionContext()
+const IS_CONTEXT = Symbol("kmaps.positionContext");
+
+/**
+ * createPositionContext(game)
+ * -----------------------------------------
+ * Builds a shared, read-only view of a position.
+ *
+ * @param {Chess} game - A chess.js instance representing the position.
+ * @returns {{
+ *   game: Chess,
+ *   fen: string,
+ *   turn: "w"|"b",
+ *   board: Array<Array<Object|null>>,
+ *   get: (square: string) => Object|undefined,
+ *   pieces: { w: Array<Object>, b: Array<Object> },
+ *   pawns: { w: Array<Object>, b: Array<Object> },
+ *   pawnFiles: { w: number[], b: number[] },
+ *   kings: { w: Object|null, b: Object|null },
+ *   diagram: boolean,
+ *   pawnKey: string,
+ *   moves: (color: "w"|"b") => Array<Object>,
+ *   controlMap: () => Array<Array<Object>>
+ * }}
+ *   Piece entries are { type, color, file, rank, square }, with file
+ *   0–7 and rank 1–8. `pawnFiles` are sorted, de-duplicated files.
+ *   Move entries are { color, piece, from, to, captured?, promotion? }
+ *   (the fields of a chess.js verbose move that the metrics use).
+ *   `diagram` is false (see createDiagramContext()).
+ */
+export function createPositionContext(game) {
+  const fen = game.fen();
+  const board = game.board();
+  const movesByColor = {};
+
+  return buildContext({
+    game,
+    fen,
+    turn: game.turn(),
+    board,
+    diagram: false,
+
+    // Legal moves for `color`, generated once per side
+    moves(color, pieces) {
+      if (!movesByColor[color]) {
+        movesByColor[color] = generateMoves(game, fen, color, pieces[color]);
+      }
+      return movesByColor[color];
+    },
+  });
+}
+
+/**
+ * -----------------------------------------
+ * Function: createDiagramContext(fen)
+ * -----------------------------------------
+ * Builds a position context from the piece placement alone, for
+ * diagrams chess.js refuses to load (no kings, extra kings, pawns
+ * on the back rank, or a bare placement field).
+ *
+ * The context has `game: null` and `diagram: true`, and `moves()`
+ * throws, since legal moves need a legal position. Everything that
+ * only reads the board (piece lists, pawn files, the control map)
+ * works as usual. `kings[color]` is null unless that side has
+ * exactly one king. The side to move is read from the second field
+ * when it is "w" or "b", otherwise White is to move.
+ *
+ * @param {string} fen - A FEN or a bare piece-placement field.
+ * @returns {Object|null} A position context, or null if the piece
+ *   placement cannot be read (not 8 ranks of 8 squares, or a letter
+ *   that is not a piece).
+ *
+ * Example:
+ *   createDiagramContext("8/8/8/3P4/8/8/8/8").pieces.w
+ *   → [{ type: "p", color: "w", file: 3, rank: 5, square: "d5" }]
+ */
+export function createDiagramContext(fen) {
+  if (typeof fen !== "string") return null;
+
+  const [placement, side] = fen.trim().split(/\s+/);
+  const board = readPlacement(placement);
+  if (!board) return null;
+
+  const turn = side === "b" ? "b" : "w";
+  return buildContext({
+    game: null,
+    fen: `${placement} ${turn} - - 0 1`,
+    turn,
+    board,
+    diagram: true,
+    moves() {
+      throw new Error("Legal moves are not available for a diagram");
+    },
+  });
+}
+
+/**
+ * buildContext({ game, fen, turn, board, diagram, moves })
+ * -----------------------------------------
+ * The shared part of createPositionContext() and
+ * createDiagramContext(): indexes the board and adds the lazy
+ * control map. `moves(color, pieces)` supplies the legal moves.
+ */
+function buildContext({ game, fen, turn, board, diagram, moves }) {
+  const bySquare = new Map();
+  const pieces = { w: [], b: [] };
+  const kings = { w: null, b: null };
+
+  // --- Single pass over the board ---
+  board.forEach((row, rIdx) =>
+    row.forEach((sq, fIdx) => {
+      if (!sq) return;
+      const rank = 8 - rIdx;
+      const piece = {
+        type: sq.type,
+        color: sq.color,
+        file: fIdx,
+        rank,
+        square: squareFromRF(fIdx, rank),
+      };
+      bySquare.set(piece.square, sq);
+      pieces[sq.color].push(piece);
+      if (sq.type === "k" && !kings[sq.color]) kings[sq.color] = piece;
+    })
+  );
+
+  const pawns = {
+    w: pieces.w.filter((p) => p.type === "p"),
+    b: pieces.b.filter((p) => p.type === "p"),
+  };
+  const pawnFiles = {
+    w: [...new Set(pawns.w.map((p) => p.file))].sort((a, b) => a - b),
+    b: [...new Set(pawns.b.map((p) => p.file))].sort((a, b) => a - b),
+  };
+  const pawnKey = `P:${pawns.w
+    .map((p) => p.square)
+    .sort()
+    .join(",")}|${pawns.b
+    .map((p) => p.square)
+    .sort()
+    .join(",")}`;
+
+  // A diagram may have no king or several; only a single king counts
+  if (diagram) {
+    for (const color of ["w", "b"]) {
+      const count = pieces[color].filter((p) => p.type === "k").length;
+      if (count !== 1) kings[color] = null;
+    }
+  }
+
+  let controlMap = null;
+
+  return {
+    [IS_CONTEXT]: true,
+    game,
+    fen,
+    turn,
+    diagram,
+    board,
+    get: (square) => bySquare.get(square),
+    pieces,
+    pawns,
+    pawnFiles,
+    kings,
+    pawnKey,
+    moves: (color) => moves(color, pieces),
+
+    // Control map, built once (see controlMap.js)
+    controlMap() {
+      if (!controlMap) controlMap = buildControlGrid(board);
+      return controlMap;
+    },
+  };
+}
+
+/**
+ * getPositionContext(gameOrContext)
+ * -----------------------------------------
+ * Returns the argument if it already is a position context, or
+ * builds one from a chess.js instance. Lets every metric accept
+ * either form.
+ *
+ * @param {Chess|Object} gameOrContext
+ * @returns {Object} A position context.
+ */
+export function getPositionContext(gameOrContext) {
+  return gameOrContext?.[IS_CONTEXT]
+    ? gameOrContext
+    : createPositionContext(gameOrContext);
+}
+
+/**
+ * readPlacement(placement)
+ * -----------------------------------------
+ * Reads a piece-placement field into the board format of chess.js
+ * `game.board()` (row 0 is rank 8), or null if it cannot be read.
+ * Digits are read as chess.js reads them.
+ */
+function readPlacement(placement) {
+  const rows = placement.split("/");
+  if (rows.length !== 8) return null;
+
+  const board = [];
+  for (let i = 0; i < 8; i++) {
+    const row = [];
+    for (const char of rows[i]) {
+      if (/[0-9]/.test(char)) {
+        row.push(...Array(Number(char)).fill(null));
+      } else if (/^[prnbqkPRNBQK]$/.test(char)) {
+        row.push({
+          square: squareFromRF(row.length, 8 - i),
+          type: char.toLowerCase(),
+          color: char === char.toLowerCase() ? "b" : "w",
+        });
+      } else {
+        return null;
+      }
+    }
+    if (row.length !== 8) return null;
+    board.push(row);
+  }
+  return board;
+}
+
+/**
+ * generateMoves(game, fen, color, pieces)
+ * -----------------------------------------
+ * Generates the legal moves of `color`, as if it were that side's
+ * turn. The en passant square is cleared, since it is only valid
+ * for the side that actually has the move.
+ *
+ * Moves are listed square by square in SAN and read back into
+ * { color, piece, from, to, captured?, promotion? } entries. This
+ * is several times faster than chess.js verbose moves, which build
+ * a SAN string and two FENs for every move, and it matters when
+ * many positions are evaluated (e.g. ranking every legal move).
+ */
+function generateMoves(game, fen, color, pieces) {
+  const fenParts = fen.split(" ");
+
+  // Already that side's turn without an en passant square:
+  // the loaded game generates exactly the same moves
+  let mover = game;
+  if (fenParts[1] !== color || fenParts[3] !== "-") {
+    fenParts[1] = color;
+    fenParts[3] = "-"; // clear EP square when changing side-to-move
+    mover = new Chess(fenParts.join(" "));
+  }
+
+  const moves = [];
+  for (const { type, square } of pieces) {
+    for (const san of mover.moves({ square })) {
+      moves.push(readSan(mover, san, color, type, square));
+    }
+  }
+  return moves;
+}
+
+/**
+ * readSan(game, san, color, piece, from)
+ * -----------------------------------------
+ * Turns a SAN move of the piece on `from` into a move entry.
+ */
+function readSan(game, san, color, piece, from) {
+  const move = { color, piece, from };
+
+  if (san.startsWith("O-O")) {
+    // Castling: the king lands on the g- or c-file of its rank
+    move.to = `${san.startsWith("O-O-O") ? "c" : "g"}${from[1]}`;
+    return move;
+  }
+
+  const [, to, promotion] = san.match(/([a-h][1-8])(?:=([NBRQ]))?[+#]?$/);
+  move.to = to;
+  if (san.includes("x")) {
+    // An empty target square means an en passant capture
+    move.captured = game.get(to)?.type ?? "p";
+  }
+  if (promotion) move.promotion = promotion.toLowerCase();
+  return move;
+}
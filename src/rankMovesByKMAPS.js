@@ -0,0 +1,162 @@
+// -------------------------------------------------------------
+// Move Ranking
+// -------------------------------------------------------------
+// Plays every legal move of a position and ranks the moves by how
+// much they change one metric, or the combined K-MAPS advantage,
+// for a chosen side — e.g. "which move improves my pawn structure
+// most" or "which move hurts Black's king safety most".
+//
+// Moves are played and taken back on a single chess.js instance,
+// and only the metric being ranked is computed, so ranking all
+// moves of a typical position takes a few milliseconds. Chess960
+// castles, which chess.js cannot play, are loaded from their FEN.
+// -------------------------------------------------------------
+
+import {
+  loadGame,
+  toStandardFen,
+  getChess960Castles,
+  carryCastling,
+} from "./utils/fenUtils.js";
+
+import { evaluatePosition, selectMetrics } from "./computeKMAPS.js";
+import { resolveConfig } from "./config.js";
+import { summarizeKMAPS } from "./summarizeKMAPS.js";
+
+const SIDE_NAMES = { w: "White", b: "Black" };
+
+// Which moves to consider, by chess.js move flags
+const MOVE_FILTERS = {
+  all: () => true,
+  // Includes en passant ("e")
+  captures: (move) => move.captured !== undefined,
+  // Neither a capture nor a promotion
+  quiet: (move) => move.captured === undefined && !move.promotion,
+};
+
+const ORDERS = ["desc", "asc"];
+
+/**
+ * -----------------------------------------
+ * Function: rankMovesByKMAPS(fen, options)
+ * -----------------------------------------
+ * Evaluates the position after every legal move and sorts the moves
+ * by the change they make.
+ *
+ * @param {string} fen - A FEN string.
+ * @param {Object} [options]
+ * @param {string} [options.by="score"] - A metric name (e.g.
+ *   "Pawn Structure") to rank by that metric, or "score" to rank by
+ *   the combined advantage of summarizeKMAPS() (in pawns).
+ * @param {"w"|"b"} [options.side] - Whose value is measured (default:
+ *   the side to move). For "score", the advantage is taken from this
+ *   side's point of view.
+ * @param {"desc"|"asc"} [options.order="desc"] - "desc" lists the
+ *   moves that raise the value most first, "asc" those that lower it
+ *   most first (e.g. with side "b" and by "King Safety": the moves
+ *   that hurt Black's king safety most).
+ * @param {"all"|"captures"|"quiet"} [options.moves="all"] - Which
+ *   legal moves to consider; quiet moves are neither captures nor
+ *   promotions.
+ * @param {number} [options.limit] - Return at most this many moves.
+ * @param {Object} [options.config] - Partial or resolved configuration.
+ * @returns {Array<{ san: string, lan: string, from: string, to: string,
+ *                   fen: string, before: number, after: number,
+ *                   delta: number }>}
+ *   Ranked moves; delta = after − before. Moves with the same delta
+ *   keep chess.js's move order, with Chess960 castles (quiet moves,
+ *   `lan` as king square plus rook square) last. With Chess960
+ *   rights, `fen` keeps the rights that remain. Returns [] for an
+ *   invalid FEN or a position without legal moves.
+ * @throws {TypeError} On an unknown metric, side, order or move filter.
+ * @throws {RangeError} If `limit` is not a non-negative integer or
+ *   `options.config` is out of range.
+ *
+ * Example:
+ *   rankMovesByKMAPS(fen, { by: "Pawn Structure", limit: 3 })
+ *   → [{ san: "c4", delta: 0.05, … }, …]
+ */
+export function rankMovesByKMAPS(fen, options = {}) {
+  const {
+    by = "score",
+    order = "desc",
+    moves: filter = "all",
+    limit,
+  } = options;
+  const config = resolveConfig(options.config);
+
+  // --- Validate the options before touching the position ---
+  const metrics = by === "score" ? undefined : [by];
+  selectMetrics(metrics);
+  if (!ORDERS.includes(order)) {
+    throw new TypeError(`order must be one of: ${ORDERS.join(", ")}`);
+  }
+  if (!MOVE_FILTERS[filter]) {
+    throw new TypeError(
+      `moves must be one of: ${Object.keys(MOVE_FILTERS).join(", ")}`
+    );
+  }
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 0)) {
+    throw new RangeError("limit must be a non-negative integer");
+  }
+  if (options.side !== undefined && !SIDE_NAMES[options.side]) {
+    throw new TypeError('side must be "w" or "b"');
+  }
+
+  if (!fen || typeof fen !== "string") return [];
+
+  let game;
+  try {
+    game = loadGame(fen);
+  } catch {
+    return [];
+  }
+
+  const side = SIDE_NAMES[options.side ?? game.turn()];
+
+  // Value of the ranked metric (or combined advantage) for `side`
+  const measure = (position) => {
+    const rows = evaluatePosition(position, { config, metrics });
+    if (metrics) return rows[0][side];
+    const { advantage } = summarizeKMAPS(rows, { config });
+    return side === "White" ? advantage : -advantage;
+  };
+
+  const before = measure(game);
+  // chess.js drops Chess960 rights; carry them into each move's FEN
+  const chess960 = toStandardFen(fen) !== fen;
+
+  const entry = (move, reached, after) => ({
+    san: move.san,
+    lan: move.lan,
+    from: move.from,
+    to: move.to,
+    fen: chess960 ? carryCastling(fen, move, reached) : reached,
+    before,
+    after,
+    delta: after - before,
+  });
+
+  // --- Play, measure and take back each move ---
+  const ranked = game
+    .moves({ verbose: true })
+    .filter(MOVE_FILTERS[filter])
+    .map((move) => {
+      game.move(move);
+      const result = entry(move, game.fen(), measure(game));
+      game.undo();
+      return result;
+    });
+
+  // --- Chess960 castles are measured from the position they reach ---
+  for (const castle of getChess960Castles(fen)) {
+    if (!MOVE_FILTERS[filter](castle)) continue;
+    ranked.push(entry(castle, castle.after, measure(loadGame(castle.after))));
+  }
+
+  // Array.prototype.sort is stable, so ties keep the move order
+  const sign = order === "desc" ? -1 : 1;
+  ranked.sort((a, b) => sign * (a.delta - b.delta));
+
+  return limit === undefined ? ranked : ranked.slice(0, limit);
+}
@@ -0,0 +1,134 @@
+// -------------------------------------------------------------
+// Combined K-MAPS Score
+// -------------------------------------------------------------
+// Folds the five metric rows into a single signed advantage,
+// measured in pawns (positive = White is better):
+//
+//   advantage = Σ weight(metric) × (White − Black)
+//
+// and maps it onto an expected score with a logistic curve:
+//
+//   expected(White) = 1 / (1 + e^(−slope × advantage))
+//
+// The expected score counts a draw as half a point, so it reads
+// as a win probability with draws split evenly. The default slope
+// is the one commonly fitted to engine evaluations (about 0.37 per
+// pawn), so a one-pawn edge is worth roughly 59%.
+// -------------------------------------------------------------
+
+import { computeKMAPS } from "./computeKMAPS.js";
+import { resolveConfig } from "./config.js";
+
+// Metric row name → key of its weight in config.score.weights
+const SCORE_KEYS = {
+  Material: "material",
+  "King Safety": "kingSafety",
+  Activity: "activity",
+  "Pawn Structure": "pawnStructure",
+  Space: "space",
+};
+
+/**
+ * -----------------------------------------
+ * Function: summarizeKMAPS(rows, options)
+ * -----------------------------------------
+ * Combines computeKMAPS() rows into one advantage, an expected
+ * score for each side and the metrics that drove the verdict.
+ *
+ * Rows that are not one of the five metrics (e.g. the "Game Phase"
+ * or optional "Threats" row) are ignored, and only the metrics
+ * present are combined, so rows computed with the `metrics` option
+ * can be summarized too. Metrics a diagram could not score (a null
+ * White or Black, see computeKMAPS()'s `diagram` option) are left
+ * out as well. Normalized rows (computeKMAPS()'s `normalize`
+ * option) are combined from their raw scores.
+ *
+ * @param {Array<Object>} rows - Rows returned by computeKMAPS().
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Partial or resolved configuration;
+ *   the `score` section sets the weights, slope and equal margin.
+ * @returns {{
+ *   advantage: number,
+ *   expectedScore: { White: number, Black: number },
+ *   favored: "White"|"Black"|null,
+ *   drivers: Array<{ metric: string, difference: number,
+ *                    weight: number, contribution: number }>
+ * }|null}
+ *   `favored` is null when the advantage is within
+ *   `score.equalMargin`. `drivers` lists every combined metric,
+ *   largest contribution (in pawns, signed) first. Returns null if
+ *   there are no metric rows (e.g. for an invalid FEN).
+ * @throws {TypeError|RangeError} If `options.config` is invalid.
+ *
+ * Example:
+ *   summarizeKMAPS(computeKMAPS(fen))
+ *   → { advantage: 1.1, expectedScore: { White: 0.6, Black: 0.4 },
+ *       favored: "White", drivers: [{ metric: "Material", … }, …] }
+ */
+export function summarizeKMAPS(rows, options = {}) {
+  const { weights, slope, equalMargin } = resolveConfig(options.config).score;
+  if (!Array.isArray(rows)) return null;
+
+  // --- Weighted difference of each metric, in pawns ---
+  // The weights apply to raw scores, so normalized rows fall back on
+  // the originals they keep in `raw`
+  const drivers = rows
+    .map((row) => (row.raw ? { metric: row.metric, ...row.raw } : row))
+    .filter(
+      ({ metric, White, Black }) =>
+        metric in SCORE_KEYS && White !== null && Black !== null
+    )
+    .map(({ metric, White, Black }) => {
+      const weight = weights[SCORE_KEYS[metric]];
+      const difference = White - Black;
+      return { metric, difference, weight, contribution: weight * difference };
+    });
+  if (!drivers.length) return null;
+
+  const advantage = drivers.reduce((sum, d) => sum + d.contribution, 0);
+
+  // Biggest influence first, whichever side it favours
+  drivers.sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution));
+
+  // --- Expected score from the logistic curve ---
+  const white = 1 / (1 + Math.exp(-slope * advantage));
+
+  let favored = null;
+  if (Math.abs(advantage) > equalMargin) {
+    favored = advantage > 0 ? "White" : "Black";
+  }
+
+  return {
+    advantage,
+    expectedScore: { White: white, Black: 1 - white },
+    favored,
+    drivers,
+  };
+}
+
+/**
+ * -----------------------------------------
+ * Function: computeKMAPSScore(fen, options)
+ * -----------------------------------------
+ * Evaluates a position and summarizes it in one step:
+ * summarizeKMAPS(computeKMAPS(fen, options), options).
+ *
+ * @param {string} fen - A FEN string.
+ * @param {Object} [options] - computeKMAPS() options (`config`,
+ *   `metrics`, `diagram`); `config.score` controls the summary.
+ *   `normalize` is ignored: the weights are in pawns per raw score.
+ * @returns {Object|null} The summary, or null if the FEN is invalid.
+ * @throws {TypeError|RangeError} If `options.config` or
+ *   `options.metrics` is invalid.
+ */
+export function computeKMAPSScore(fen, options = {}) {
+  const config = resolveConfig(options.config);
+  // The weights apply to raw scores, never to normalized ones
+  const rows = computeKMAPS(fen, {
+    ...options,
+    detail: false,
+    normalize: undefined,
+    config,
+  });
+  return summarizeKMAPS(rows, { config });
+}
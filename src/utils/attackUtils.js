@@ -0,0 +1,195 @@
+// -------------------------------------------------------------
+// Attack Generation Utilities
+// -------------------------------------------------------------
+// Computes which squares each piece attacks directly from a
+// board array (the format returned by chess.js `game.board()`,
+// where row 0 is rank 8 and column 0 is the a-file).
+//
+// Attacks are pseudo-legal: pins and checks are ignored, sliding
+// pieces stop at the first occupied square (which is attacked),
+// and a piece also "attacks" squares held by its own side
+// (i.e. it defends them).
+// -------------------------------------------------------------
+
+import { squareFromRF, isOnBoard } from "./boardUtils.js";
+
+/**
+ * ATTACKER_ORDER
+ * -----------------------------------------
+ * Piece types from lowest to highest value, used to pick the
+ * lowest-value attacker of a square. The king ranks last: it
+ * can only capture on undefended squares.
+ */
+export const ATTACKER_ORDER = ["p", "n", "b", "r", "q", "k"];
+
+const KNIGHT_STEPS = [
+  [1, 2],
+  [2, 1],
+  [2, -1],
+  [1, -2],
+  [-1, -2],
+  [-2, -1],
+  [-2, 1],
+  [-1, 2],
+];
+const KING_STEPS = [
+  [1, 0],
+  [1, 1],
+  [0, 1],
+  [-1, 1],
+  [-1, 0],
+  [-1, -1],
+  [0, -1],
+  [1, -1],
+];
+const ROOK_DIRS = [
+  [1, 0],
+  [-1, 0],
+  [0, 1],
+  [0, -1],
+];
+const BISHOP_DIRS = [
+  [1, 1],
+  [1, -1],
+  [-1, 1],
+  [-1, -1],
+];
+
+/**
+ * attackedSquares(board, fileIdx, rank)
+ * -----------------------------------------
+ * Lists the squares attacked by the piece on (fileIdx, rank).
+ *
+ * @param {Array<Array<Object|null>>} board - Board array (chess.js format).
+ * @param {number} fileIdx - Zero-based file index (0–7).
+ * @param {number} rank - Rank number (1–8).
+ * @returns {Array<{ file: number, rank: number }>} Attacked coordinates
+ *   (empty if the square is empty).
+ */
+export function attackedSquares(board, fileIdx, rank) {
+  const piece = board[8 - rank][fileIdx];
+  if (!piece) return [];
+
+  const out = [];
+  const step = (df, dr) => {
+    const f = fileIdx + df;
+    const r = rank + dr;
+    if (isOnBoard(f, r)) out.push({ file: f, rank: r });
+  };
+  const slide = (dirs) => {
+    for (const [df, dr] of dirs) {
+      let f = fileIdx + df;
+      let r = rank + dr;
+      while (isOnBoard(f, r)) {
+        out.push({ file: f, rank: r });
+        if (board[8 - r][f]) break; // blocked after the first piece
+        f += df;
+        r += dr;
+      }
+    }
+  };
+
+  switch (piece.type) {
+    case "p": {
+      const dr = piece.color === "w" ? 1 : -1;
+      step(-1, dr);
+      step(1, dr);
+      break;
+    }
+    case "n":
+      KNIGHT_STEPS.forEach(([df, dr]) => step(df, dr));
+      break;
+    case "k":
+      KING_STEPS.forEach(([df, dr]) => step(df, dr));
+      break;
+    case "b":
+      slide(BISHOP_DIRS);
+      break;
+    case "r":
+      slide(ROOK_DIRS);
+      break;
+    case "q":
+      slide(BISHOP_DIRS);
+      slide(ROOK_DIRS);
+      break;
+  }
+  return out;
+}
+
+/**
+ * computeAttackers(board)
+ * -----------------------------------------
+ * Builds, for every square, the list of White and Black pieces
+ * attacking it.
+ *
+ * @param {Array<Array<Object|null>>} board - Board array (chess.js format).
+ * @returns {Array<Array<{ w: Array<{square: string, type: string}>,
+ *                         b: Array<{square: string, type: string}> }>>}
+ *   An 8×8 grid in the same orientation as `board`
+ *   (row 0 = rank 8, column 0 = a-file).
+ */
+export function computeAttackers(board) {
+  const grid = Array.from({ length: 8 }, () =>
+    Array.from({ length: 8 }, () => ({ w: [], b: [] }))
+  );
+
+  for (let row = 0; row < 8; row++) {
+    for (let f = 0; f < 8; f++) {
+      const piece = board[row][f];
+      if (!piece) continue;
+      const rank = 8 - row;
+      const from = squareFromRF(f, rank);
+      for (const t of attackedSquares(board, f, rank)) {
+        grid[8 - t.rank][t.file][piece.color].push({
+          square: from,
+          type: piece.type,
+        });
+      }
+    }
+  }
+  return grid;
+}
+
+/**
+ * lowestAttacker(attackers)
+ * -----------------------------------------
+ * Returns the type of the lowest-value piece in an attacker list.
+ *
+ * @param {Array<{ type: string }>} attackers
+ * @returns {string|null} Piece type ("p", "n", …) or null if none.
+ */
+export function lowestAttacker(attackers) {
+  let best = null;
+  for (const { type } of attackers) {
+    if (
+      best === null ||
+      ATTACKER_ORDER.indexOf(type) < ATTACKER_ORDER.indexOf(best)
+    )
+      best = type;
+  }
+  return best;
+}
+
+/**
+ * buildControlGrid(board)
+ * -----------------------------------------
+ * Summarizes computeAttackers() into per-square control cells:
+ * attacker counts per side, lowest-value attackers and net control.
+ *
+ * @param {Array<Array<Object|null>>} board - Board array (chess.js format).
+ * @returns {Array<Array<Object>>} 8×8 grid of
+ *   { square, white, black, net, lowestWhite, lowestBlack, attackers }.
+ */
+export function buildControlGrid(board) {
+  return computeAttackers(board).map((row, r) =>
+    row.map(({ w, b }, f) => ({
+      square: squareFromRF(f, 8 - r),
+      white: w.length,
+      black: b.length,
+      net: w.length - b.length,
+      lowestWhite: lowestAttacker(w),
+      lowestBlack: lowestAttacker(b),
+      attackers: { w, b },
+    }))
+  );
+}
@@ -0,0 +1,114 @@
+// -------------------------------------------------------------
+// EPD Utility Functions
+// -------------------------------------------------------------
+
+// Opcodes whose operands are lists of SAN moves
+const MOVE_LIST_OPCODES = new Set(["bm", "am"]);
+
+/**
+ * parseEpd(line)
+ * -----------------------------------------
+ * Splits an EPD record into a full FEN and its operations.
+ *
+ * An EPD record is the first four FEN fields (placement, side to
+ * move, castling, en passant) followed by `opcode operand…;`
+ * operations. Six-field FEN lines (optionally followed by
+ * operations) are accepted too, so FEN dumps and EPD suites can be
+ * read by the same code.
+ *
+ * The halfmove clock and fullmove number are taken from the `hmvc`
+ * and `fmvn` operations or the FEN counters when present, otherwise
+ * they default to 0 and 1.
+ *
+ * Operation values are the operand text (quotes removed, several
+ * operands joined by a space), except `bm` and `am`, which are
+ * arrays of SAN moves.
+ *
+ * Position legality is NOT checked here — the caller loads the
+ * returned FEN and reports any error.
+ *
+ * @param {string} line - One EPD or FEN record.
+ * @returns {{ fen: string, operations: Object<string, string|string[]> }}
+ * @throws {Error} If the record has fewer than four fields, an
+ *   operation is malformed, or `hmvc` / `fmvn` is not a number.
+ *
+ * Example:
+ *   parseEpd('r1b1k2r/… w kq - bm Qd1+; id "BK.01";')
+ *   → { fen: "r1b1k2r/… w kq - 0 1",
+ *       operations: { bm: ["Qd1+"], id: "BK.01" } }
+ */
+export function parseEpd(line) {
+  const text = line.trim();
+
+  // --- The four position fields ---
+  const fieldRe = /^(\S+)\s+(\S+)\s+(\S+)\s+(\S+)(?:\s+|$)/;
+  const m = text.match(fieldRe);
+  if (!m) throw new Error("EPD record needs at least 4 fields");
+  const position = m.slice(1, 5).join(" ");
+  let rest = text.slice(m[0].length);
+
+  // --- Full FEN: halfmove clock and fullmove number follow ---
+  const counters = rest.match(/^(\d+)\s+(\d+)(?:\s+|$)/);
+  if (counters) rest = rest.slice(counters[0].length);
+
+  const operations = parseOperations(rest);
+
+  // Move counters from the FEN or hmvc / fmvn, defaulting to a fresh position
+  const halfmove = operations.hmvc ?? counters?.[1] ?? "0";
+  const fullmove = operations.fmvn ?? counters?.[2] ?? "1";
+  if (!/^\d+$/.test(halfmove)) throw new Error(`Invalid hmvc: "${halfmove}"`);
+  if (!/^\d+$/.test(fullmove)) throw new Error(`Invalid fmvn: "${fullmove}"`);
+
+  return { fen: `${position} ${halfmove} ${fullmove}`, operations };
+}
+
+/**
+ * parseOperations(text)
+ * -----------------------------------------
+ * Reads `opcode operand…;` operations. Operands are bare tokens or
+ * double-quoted strings, which may contain spaces and semicolons.
+ * The final semicolon may be omitted.
+ */
+function parseOperations(text) {
+  const operations = {};
+  let i = 0;
+
+  while (i < text.length) {
+    // Skip whitespace between operations
+    if (/\s/.test(text[i])) {
+      i++;
+      continue;
+    }
+
+    // --- Opcode: a letter followed by letters, digits or "_" ---
+    const opcode = text.slice(i).match(/^[A-Za-z][A-Za-z0-9_]*/)?.[0];
+    if (!opcode) throw new Error(`Invalid EPD opcode at "${text.slice(i)}"`);
+    i += opcode.length;
+
+    // --- Operands up to the terminating semicolon ---
+    const operands = [];
+    while (i < text.length && text[i] !== ";") {
+      if (/\s/.test(text[i])) {
+        i++;
+      } else if (text[i] === '"') {
+        const end = text.indexOf('"', i + 1);
+        if (end === -1) {
+          throw new Error(`Unterminated string in operation "${opcode}"`);
+        }
+        operands.push(text.slice(i + 1, end));
+        i = end + 1;
+      } else {
+        const token = text.slice(i).match(/^[^\s;"]+/)[0];
+        operands.push(token);
+        i += token.length;
+      }
+    }
+    i++; // step over ";"
+
+    operations[opcode] = MOVE_LIST_OPCODES.has(opcode)
+      ? operands
+      : operands.join(" ");
+  }
+
+  return operations;
+}
@@ -0,0 +1,353 @@
+// -------------------------------------------------------------
+// FEN Utility Functions
+// -------------------------------------------------------------
+// Reads Chess960 castling rights so any of the 960 starting arrays
+// (and positions reached from them) can be evaluated.
+//
+// Two notations are accepted in the castling field:
+//   - Shredder-FEN: the file of each castling rook, uppercase for
+//     White ("HAha" is the standard KQkq).
+//   - X-FEN: K/Q/k/q for the outermost rook on that side of the
+//     king, with a file letter for any other rook.
+//
+// chess.js only knows the standard setup, so positions are loaded
+// with the rights it can play (king on e1/e8 and rook in the
+// corner) rewritten as KQkq and the other rights dropped. The
+// metrics never use castling rights, so the evaluation is the same.
+//
+// The castling moves of the dropped rights are generated here
+// (getChess960Castles), and carryCastling() keeps the full rights
+// from one FEN to the next, for the callers that play moves.
+// -------------------------------------------------------------
+
+import { Chess } from "chess.js";
+
+const FILES = "abcdefgh";
+
+// Where king and rook end up when castling on each side
+const CASTLE_TARGETS = {
+  k: { king: 6, rook: 5 },
+  q: { king: 2, rook: 3 },
+};
+
+/**
+ * -----------------------------------------
+ * Function: toStandardFen(fen)
+ * -----------------------------------------
+ * Rewrites the castling field of a Chess960 FEN for chess.js.
+ *
+ * Rights that chess.js can play are kept as K, Q, k, q; the others
+ * are dropped. FENs that cannot be read are returned unchanged so
+ * chess.js reports the problem.
+ *
+ * @param {string} fen - A FEN with standard, Shredder or X-FEN rights.
+ * @returns {string} The FEN with a castling field chess.js accepts.
+ * @throws {Error} If a Shredder/X-FEN file letter names no rook.
+ *
+ * Example:
+ *   toStandardFen("bqnbrkrn/…/BQNBRKRN w GEge - 0 1")
+ *   → "bqnbrkrn/…/BQNBRKRN w - - 0 1"
+ *   toStandardFen("rnbqkbnr/…/RNBQKBNR w HAha - 0 1")
+ *   → "rnbqkbnr/…/RNBQKBNR w KQkq - 0 1"
+ */
+export function toStandardFen(fen) {
+  if (typeof fen !== "string") return fen;
+
+  const tokens = fen.split(/\s+/);
+  if (tokens.length < 3) return fen;
+
+  if (!readBackRanks(tokens[0]) || /[^KQkqA-Ha-h-]/.test(tokens[2])) {
+    return fen;
+  }
+
+  const letters = parseCastling(tokens[0], tokens[2])
+    .filter(isStandardRight)
+    .map(({ color, side }) =>
+      color === "w" ? side.toUpperCase() : side.toLowerCase()
+    );
+  // chess.js reads the letters in any order; keep the usual one
+  const castling = "KQkq"
+    .split("")
+    .filter((letter) => letters.includes(letter))
+    .join("");
+
+  tokens[2] = castling || "-";
+  return tokens.join(" ");
+}
+
+/**
+ * -----------------------------------------
+ * Function: loadGame(fen)
+ * -----------------------------------------
+ * Loads a standard or Chess960 FEN into chess.js.
+ *
+ * @param {string} fen - The position to load.
+ * @returns {Chess} The loaded game.
+ * @throws {Error} If the FEN is invalid.
+ */
+export function loadGame(fen) {
+  return new Chess(toStandardFen(fen));
+}
+
+/**
+ * -----------------------------------------
+ * Function: getChess960Castles(fen)
+ * -----------------------------------------
+ * The castling moves chess.js cannot play: those of the side to move
+ * whose right is not standard (king off the e-file or rook off the
+ * corner).
+ *
+ * A castle is legal when the side is not in check, every square
+ * between the king and rook and their targets is empty, and no
+ * square on the king's path is attacked. The king ends on the g- or
+ * c-file, the rook beside it on the f- or d-file.
+ *
+ * @param {string} fen - A FEN with standard, Shredder or X-FEN rights.
+ * @returns {Array<{ color: "w"|"b", piece: "k", from: string,
+ *                   to: string, san: string, lan: string,
+ *                   flags: "k"|"q", rook: { from: string, to: string },
+ *                   before: string, after: string }>}
+ *   Moves shaped like chess.js verbose moves. `lan` is king square
+ *   plus rook square, as UCI_Chess960 writes castling; `after` keeps
+ *   the rights that remain. [] if the FEN cannot be loaded.
+ *
+ * Example:
+ *   getChess960Castles("…/BBQNN1KR w HFhf - 0 1")
+ *   → [{ san: "O-O", from: "g1", to: "g1", lan: "g1h1", … }]
+ */
+export function getChess960Castles(fen) {
+  let game;
+  try {
+    game = loadGame(fen);
+  } catch {
+    return [];
+  }
+  if (game.inCheck()) return [];
+
+  const [placement, , castling] = fen.split(/\s+/);
+  const color = game.turn();
+  const rights = parseCastling(placement, castling);
+
+  return rights
+    .filter((right) => right.color === color && !isStandardRight(right))
+    .map((right) => playCastle(game, fen, right, rights))
+    .filter(Boolean);
+}
+
+/**
+ * -----------------------------------------
+ * Function: carryCastling(before, move, after)
+ * -----------------------------------------
+ * Writes the castling rights of `before` that survive `move` into
+ * the castling field of `after`.
+ *
+ * A king move drops both rights of its side; a move from or to a
+ * castling rook's square drops that right.
+ *
+ * @param {string} before - The FEN the move was played from.
+ * @param {{ color: "w"|"b", piece: string, from: string, to: string }} move
+ *   A chess.js verbose move.
+ * @param {string} after - The FEN chess.js reached.
+ * @returns {string} `after` with the remaining rights.
+ */
+export function carryCastling(before, move, after) {
+  const [placement, , castling] = before.split(/\s+/);
+  const rights = parseCastling(placement, castling).filter(
+    (right) =>
+      !(right.color === move.color && move.piece === "k") &&
+      ![move.from, move.to].includes(squareOf(right.color, right.rookFile))
+  );
+
+  const tokens = after.split(/\s+/);
+  tokens[2] = formatCastling(rights);
+  return tokens.join(" ");
+}
+
+/**
+ * parseCastling(placement, castling)
+ * -----------------------------------------
+ * Resolves a castling field against the piece placement.
+ *
+ * K/Q/k/q keep chess.js' leniency: a right with no king on the back
+ * rank or no rook on that side is ignored. A file letter names a
+ * rook, so it must have a king and a rook of that color on the back
+ * rank.
+ *
+ * @param {string} placement - The piece-placement field.
+ * @param {string} castling - The castling field, e.g. "KQkq" or "HAha".
+ * @returns {Array<{ color: "w"|"b", side: "k"|"q", kingFile: number,
+ *                   rookFile: number }>}
+ *   Files are 0–7 (0 = a-file).
+ * @throws {Error} If a file letter names no rook.
+ *
+ * Example:
+ *   parseCastling("…/RNBQKBNR", "Ah") → [
+ *     { color: "w", side: "q", kingFile: 4, rookFile: 0 },
+ *     { color: "b", side: "k", kingFile: 4, rookFile: 7 } ]
+ */
+export function parseCastling(placement, castling) {
+  const backRanks = readBackRanks(placement);
+  if (!backRanks) return [];
+
+  const rights = [];
+  for (const letter of castling) {
+    if (letter === "-") continue;
+
+    const color = letter === letter.toUpperCase() ? "w" : "b";
+    const rank = backRanks[color];
+    const kingFile = rank.indexOf("k");
+    const name = letter.toLowerCase();
+
+    if (name === "k" || name === "q") {
+      // X-FEN / standard: the outermost rook on that side of the king
+      if (kingFile === -1) continue;
+      const rookFile =
+        name === "k" ? rank.lastIndexOf("r") : rank.indexOf("r");
+      if (rookFile === -1) continue;
+      if (name === "k" ? rookFile < kingFile : rookFile > kingFile) continue;
+      rights.push({ color, side: name, kingFile, rookFile });
+      continue;
+    }
+
+    // Shredder-FEN / X-FEN: the file of the castling rook
+    const rookFile = FILES.indexOf(name);
+    const where = `${name}${color === "w" ? 1 : 8}`;
+    if (kingFile === -1 || rank[rookFile] !== "r") {
+      throw new Error(
+        `Invalid FEN: castling right "${letter}" needs a king on the ` +
+          `back rank and a rook on ${where}`
+      );
+    }
+    rights.push({
+      color,
+      side: rookFile > kingFile ? "k" : "q",
+      kingFile,
+      rookFile,
+    });
+  }
+  return rights;
+}
+
+/**
+ * playCastle(game, fen, right, rights)
+ * -----------------------------------------
+ * The castling move for `right`, or null when it is not legal.
+ */
+function playCastle(game, fen, right, rights) {
+  const { color, side, kingFile, rookFile } = right;
+  const target = CASTLE_TARGETS[side];
+  const enemy = color === "w" ? "b" : "w";
+  const king = squareOf(color, kingFile);
+  const rook = squareOf(color, rookFile);
+
+  // Every square the king and rook cross must be empty
+  const files = [kingFile, rookFile, target.king, target.rook];
+  for (let file = Math.min(...files); file <= Math.max(...files); file++) {
+    if (file === kingFile || file === rookFile) continue;
+    if (game.get(squareOf(color, file))) return null;
+  }
+
+  // The king may not pass through check (the rook no longer shields)
+  const probe = new Chess(game.fen());
+  probe.remove(king);
+  probe.remove(rook);
+  const step = Math.sign(target.king - kingFile);
+  for (let file = kingFile; ; file += step) {
+    if (probe.isAttacked(squareOf(color, file), enemy)) return null;
+    if (file === target.king) break;
+  }
+
+  probe.put({ type: "k", color }, squareOf(color, target.king));
+  probe.put({ type: "r", color }, squareOf(color, target.rook));
+
+  const [, , , , halfmove, fullmove] = game.fen().split(" ");
+  const after = [
+    probe.fen().split(" ")[0],
+    enemy,
+    formatCastling(rights.filter((r) => r.color !== color)),
+    "-",
+    Number(halfmove) + 1,
+    Number(fullmove) + (color === "b" ? 1 : 0),
+  ].join(" ");
+
+  const reached = loadGame(after);
+  const suffix = reached.isCheckmate() ? "#" : reached.inCheck() ? "+" : "";
+
+  return {
+    color,
+    piece: "k",
+    from: king,
+    to: squareOf(color, target.king),
+    san: (side === "k" ? "O-O" : "O-O-O") + suffix,
+    lan: king + rook,
+    flags: side,
+    rook: { from: rook, to: squareOf(color, target.rook) },
+    before: fen,
+    after,
+  };
+}
+
+/**
+ * formatCastling(rights)
+ * -----------------------------------------
+ * Writes parsed rights as a castling field: K/Q/k/q for standard
+ * rights, the rook's file (uppercase for White) for the others.
+ */
+function formatCastling(rights) {
+  const letters = rights.map((right) => {
+    const letter = isStandardRight(right)
+      ? right.side
+      : FILES[right.rookFile];
+    return right.color === "w" ? letter.toUpperCase() : letter;
+  });
+  return letters.join("") || "-";
+}
+
+/**
+ * squareOf(color, file)
+ * -----------------------------------------
+ * The back-rank square of `color` on `file` (0 = a-file).
+ */
+function squareOf(color, file) {
+  return `${FILES[file]}${color === "w" ? 1 : 8}`;
+}
+
+/**
+ * isStandardRight(right)
+ * -----------------------------------------
+ * True for a right chess.js can play: king on the e-file and rook
+ * in the corner of its side.
+ */
+function isStandardRight({ side, kingFile, rookFile }) {
+  return kingFile === 4 && rookFile === (side === "k" ? 7 : 0);
+}
+
+/**
+ * readBackRanks(placement)
+ * -----------------------------------------
+ * The kings and rooks on each side's back rank as 8-letter strings
+ * ("k", "r" or "." per file), or null if a back rank cannot be read.
+ */
+function readBackRanks(placement) {
+  const rows = placement.split("/");
+  if (rows.length !== 8) return null;
+
+  const read = (row, color) => {
+    let squares = "";
+    for (const char of row) {
+      // Digits as chess.js reads them
+      if (/[0-9]/.test(char)) {
+        squares += ".".repeat(Number(char));
+      } else {
+        const type = char.toLowerCase();
+        const own = (char === type) === (color === "b");
+        squares += own && (type === "k" || type === "r") ? type : ".";
+      }
+    }
+    return squares.length === 8 ? squares : null;
+  };
+
+  const w = read(rows[7], "w");
+  const b = read(rows[0], "b");
+  return w && b ? { w, b } : null;
+}
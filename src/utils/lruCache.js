@@ -0,0 +1,77 @@
+// -------------------------------------------------------------
+// Size-Bounded LRU Cache
+// -------------------------------------------------------------
+
+/**
+ * createLRUCache(maxSize)
+ * -----------------------------------------
+ * Creates a least-recently-used cache holding at most `maxSize`
+ * entries. Reading or writing an entry marks it as most recently
+ * used; when the cache is full, the least recently used entry is
+ * evicted.
+ *
+ * Relies on Map preserving insertion order: the first key of the
+ * Map is always the least recently used one.
+ *
+ * @param {number} maxSize - Maximum number of entries (0 disables storage).
+ * @returns {{
+ *   get: (key: string) => any,
+ *   set: (key: string, value: any) => void,
+ *   clear: () => void,
+ *   resize: (maxSize: number) => void,
+ *   stats: () => { hits: number, misses: number, size: number, maxSize: number }
+ * }}
+ *
+ * Example:
+ *   const cache = createLRUCache(2);
+ *   cache.set("a", 1); cache.set("b", 2); cache.get("a"); cache.set("c", 3);
+ *   cache.get("b") → undefined   // "b" was least recently used
+ */
+export function createLRUCache(maxSize) {
+  const entries = new Map();
+  let hits = 0;
+  let misses = 0;
+
+  // Drop least recently used entries until the size limit holds
+  const evict = () => {
+    while (entries.size > maxSize) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  return {
+    get(key) {
+      if (!entries.has(key)) {
+        misses++;
+        return undefined;
+      }
+      hits++;
+      // Re-insert to mark as most recently used
+      const value = entries.get(key);
+      entries.delete(key);
+      entries.set(key, value);
+      return value;
+    },
+
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, value);
+      evict();
+    },
+
+    clear() {
+      entries.clear();
+      hits = 0;
+      misses = 0;
+    },
+
+    resize(size) {
+      maxSize = size;
+      evict();
+    },
+
+    stats() {
+      return { hits, misses, size: entries.size, maxSize };
+    },
+  };
+}
@@ -0,0 +1,89 @@
+// -------------------------------------------------------------
+// Shared Pawn-Placement Cache
+// -------------------------------------------------------------
+// A size-bounded LRU cache for results that depend ONLY on where
+// the pawns stand. Any metric may store values here under its own
+// namespace; entries are keyed by namespace + pawn placement, so
+// positions that differ only in piece placement share an entry.
+// -------------------------------------------------------------
+
+import { createLRUCache } from "./lruCache.js";
+import { getPositionContext } from "../positionContext.js";
+
+// Default number of cached entries (across all namespaces)
+const DEFAULT_MAX_SIZE = 4096;
+
+const cache = createLRUCache(DEFAULT_MAX_SIZE);
+let enabled = true;
+
+/**
+ * getPawnCached(game, namespace, compute)
+ * -----------------------------------------
+ * Returns the cached value for this pawn placement, computing and
+ * storing it on a miss. `compute` must depend only on pawn placement.
+ *
+ * @param {Chess|Object} game - A chess.js instance or position context.
+ * @param {string} namespace - Caller-specific prefix, e.g. "pawnStructure:w".
+ * @param {() => any} compute - Produces the value on a cache miss.
+ * @returns {any} The cached or freshly computed value.
+ */
+export function getPawnCached(game, namespace, compute) {
+  if (!enabled) return compute();
+
+  // Pawn placement key, e.g. "P:a2,b2,…|a7,b7,…"
+  const key = `${namespace}|${getPositionContext(game).pawnKey}`;
+  const hit = cache.get(key);
+  if (hit !== undefined) return hit;
+
+  const value = compute();
+  cache.set(key, value);
+  return value;
+}
+
+/**
+ * getPawnCacheStats()
+ * -----------------------------------------
+ * @returns {{ hits: number, misses: number, size: number,
+ *             maxSize: number, enabled: boolean }}
+ *   Counters since the last clearPawnCache() call.
+ */
+export function getPawnCacheStats() {
+  return { ...cache.stats(), enabled };
+}
+
+/**
+ * clearPawnCache()
+ * -----------------------------------------
+ * Removes every cached entry and resets the hit/miss counters.
+ */
+export function clearPawnCache() {
+  cache.clear();
+}
+
+/**
+ * configurePawnCache(options)
+ * -----------------------------------------
+ * Turns the cache on or off, or changes its size. Shrinking the
+ * cache evicts the least recently used entries; disabling it also
+ * clears it.
+ *
+ * @param {Object} options
+ * @param {boolean} [options.enabled] - Whether results are cached.
+ * @param {number} [options.maxSize] - Maximum number of entries (≥ 0).
+ * @throws {TypeError} On a non-boolean `enabled`.
+ * @throws {RangeError} On a negative or non-integer `maxSize`.
+ */
+export function configurePawnCache({ enabled: on, maxSize } = {}) {
+  if (on !== undefined && typeof on !== "boolean") {
+    throw new TypeError("enabled must be a boolean");
+  }
+  if (maxSize !== undefined && (!Number.isInteger(maxSize) || maxSize < 0)) {
+    throw new RangeError("maxSize must be a non-negative integer");
+  }
+
+  if (maxSize !== undefined) cache.resize(maxSize);
+  if (on !== undefined) {
+    enabled = on;
+    if (!on) cache.clear();
+  }
+}
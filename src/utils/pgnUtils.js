@@ -0,0 +1,130 @@
+// -------------------------------------------------------------
+// PGN Utility Functions
+// -------------------------------------------------------------
+
+/**
+ * parsePgn(pgn)
+ * -----------------------------------------
+ * Splits a PGN string into its header tags and the SAN moves
+ * of the main line.
+ *
+ * Everything that is not part of the main line is discarded:
+ *   - brace comments {…} and rest-of-line comments ;…
+ *   - recursive variations (…), including nested ones
+ *   - numeric annotation glyphs ($1) and suffix annotations (!, ?)
+ *   - move numbers (12. / 12...) and the game termination marker
+ *
+ * Move legality is NOT checked here — the caller replays the
+ * returned SAN list and reports the ply where it breaks.
+ *
+ * @param {string} pgn - A PGN string (one game).
+ * @returns {{ headers: Object<string,string>, moves: string[] }}
+ *
+ * Example:
+ *   parsePgn('[White "A"]\n1. e4 {best} e5 (1... c5) 2. Nf3 *')
+ *   → { headers: { White: "A" }, moves: ["e4", "e5", "Nf3"] }
+ */
+export function parsePgn(pgn) {
+  const headers = {};
+  const moves = [];
+
+  // --- Header tags: [Name "Value"] ---
+  const headerRe = /^\s*\[\s*([A-Za-z0-9_]+)\s+"((?:[^"\\]|\\.)*)"\s*\]\s*$/;
+  const bodyLines = [];
+  for (const line of pgn.split(/\r?\n/)) {
+    const m = line.match(headerRe);
+    if (m) headers[m[1]] = m[2].replace(/\\(.)/g, "$1");
+    else bodyLines.push(line);
+  }
+
+  // --- Movetext: walk character by character so comments and
+  // variations can be skipped regardless of nesting ---
+  const text = bodyLines.join("\n");
+  let depth = 0; // variation nesting level
+  let token = "";
+
+  const flush = () => {
+    if (depth === 0 && token) pushToken(token, moves);
+    token = "";
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (ch === "{") {
+      // Brace comment — skip to the closing brace
+      flush();
+      const end = text.indexOf("}", i + 1);
+      i = end === -1 ? text.length : end;
+    } else if (ch === ";") {
+      // Rest-of-line comment
+      flush();
+      const end = text.indexOf("\n", i + 1);
+      i = end === -1 ? text.length : end;
+    } else if (ch === "(") {
+      flush();
+      depth++;
+    } else if (ch === ")") {
+      flush();
+      depth = Math.max(0, depth - 1);
+    } else if (/\s/.test(ch)) {
+      flush();
+    } else {
+      token += ch;
+    }
+  }
+  flush();
+
+  return { headers, moves };
+}
+
+/**
+ * pushToken(token, moves)
+ * -----------------------------------------
+ * Cleans a single movetext token and appends it to the move list
+ * if it is a move (and not a number, NAG or result marker).
+ */
+function pushToken(token, moves) {
+  if (["1-0", "0-1", "1/2-1/2", "*"].includes(token)) return; // result
+
+  // Drop a leading move number, which may be glued to the move ("12.e4")
+  const san = token.replace(/^\d+\.+/, "").replace(/[!?]+$/, "");
+
+  if (!san || /^\d+$/.test(san)) return; // bare move number
+  if (san.startsWith("$")) return; // NAG
+
+  moves.push(san);
+}
+
+/**
+ * splitPgnGames(text)
+ * -----------------------------------------
+ * Splits a PGN file holding several games into one string per game.
+ * A new game starts at the first header tag that follows movetext.
+ *
+ * @param {string} text - The contents of a PGN file.
+ * @returns {string[]} One PGN string per game (blank games dropped).
+ *
+ * Example:
+ *   splitPgnGames('[Event "A"]\n1. e4 *\n\n[Event "B"]\n1. d4 *')
+ *   → ['[Event "A"]\n1. e4 *\n', '[Event "B"]\n1. d4 *']
+ */
+export function splitPgnGames(text) {
+  const games = [];
+  let current = [];
+  let inMovetext = false;
+
+  for (const line of text.split(/\r?\n/)) {
+    const isHeader = /^\s*\[/.test(line);
+    if (isHeader && inMovetext) {
+      games.push(current.join("\n"));
+      current = [];
+      inMovetext = false;
+    }
+    if (!isHeader && line.trim()) inMovetext = true;
+    current.push(line);
+  }
+  games.push(current.join("\n"));
+
+  return games.filter((g) => g.trim());
+}
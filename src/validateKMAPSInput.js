@@ -0,0 +1,320 @@
+// -------------------------------------------------------------
+// Input Validation
+// -------------------------------------------------------------
+// Explains why a FEN cannot be evaluated. computeKMAPS() returns []
+// for any unreadable input; validateKMAPSInput() (and computeKMAPS
+// with `strict: true`) reports a typed error instead: a code, the
+// FEN field at fault and a readable message.
+//
+// A FEN is accepted exactly when chess.js accepts it (including its
+// completion of FENs that stop after the side to move) once Chess960
+// castling rights are rewritten (see utils/fenUtils.js), so strict
+// and lenient callers agree on which positions are valid. The
+// fields are checked in FEN order, so the first faulty field is
+// the one reported.
+//
+// In diagram mode only the piece placement has to be readable: the
+// chess rules chess.js enforces (one king per side, no pawns on the
+// back ranks) and the other fields are not checked.
+// -------------------------------------------------------------
+
+import { loadGame, parseCastling } from "./utils/fenUtils.js";
+
+// FEN fields in order, as reported in `error.field`
+const FIELDS = [
+  "placement",
+  "sideToMove",
+  "castling",
+  "enPassant",
+  "halfmoveClock",
+  "fullmoveNumber",
+];
+
+// Defaults chess.js appends to a FEN with 2–5 fields
+const FIELD_DEFAULTS = ["-", "-", "0", "1"];
+
+const COLOR_NAMES = { w: "white", b: "black" };
+
+/**
+ * -----------------------------------------
+ * Function: validateKMAPSInput(fen, options)
+ * -----------------------------------------
+ * Checks that a FEN can be evaluated and explains the first problem.
+ *
+ * Error codes (with the field they concern):
+ *   NOT_A_STRING, FIELD_COUNT               – whole input (field null)
+ *   ROW_COUNT, INVALID_PIECE, CONSECUTIVE_DIGITS, ROW_LENGTH,
+ *   MISSING_KING, TOO_MANY_KINGS, PAWN_ON_BACK_RANK – "placement"
+ *   INVALID_SIDE_TO_MOVE                    – "sideToMove"
+ *   INVALID_CASTLING                        – "castling"
+ *   INVALID_EN_PASSANT, ILLEGAL_EN_PASSANT  – "enPassant"
+ *   INVALID_HALFMOVE_CLOCK                  – "halfmoveClock"
+ *   INVALID_FULLMOVE_NUMBER                 – "fullmoveNumber"
+ *   INVALID_FEN – rejected by chess.js for another reason (field null)
+ *
+ * @param {*} fen - The input to check.
+ * @param {Object} [options]
+ * @param {boolean} [options.diagram=false] - Check the input as
+ *   computeKMAPS() reads it in diagram mode: only ROW_COUNT,
+ *   INVALID_PIECE and ROW_LENGTH (and NOT_A_STRING) can occur.
+ * @returns {{ ok: true } | { ok: false, error: Error }}
+ *   `error` is an Error with name "KMAPSInputError", a `code`, the
+ *   failing `field` (null for the input as a whole), the offending
+ *   `value` and the `fen` that was checked.
+ *
+ * Example:
+ *   validateKMAPSInput("8/8/8/8/8/8/8/K7 x - - 0 1").error
+ *   → { code: "INVALID_SIDE_TO_MOVE", field: "sideToMove", value: "x",
+ *       message: 'Side to move must be "w" or "b", got "x"', … }
+ */
+export function validateKMAPSInput(fen, { diagram = false } = {}) {
+  const error = diagram ? findDiagramError(fen) : findError(fen);
+  return error ? { ok: false, error } : { ok: true };
+}
+
+/**
+ * createInputError(fen, code, field, value, message)
+ * -----------------------------------------
+ * Builds the typed error reported by validateKMAPSInput() and thrown
+ * by computeKMAPS() in strict mode.
+ */
+export function createInputError(fen, code, field, value, message) {
+  const error = new Error(message);
+  error.name = "KMAPSInputError";
+  error.code = code;
+  error.field = field;
+  error.value = value;
+  error.fen = fen;
+  return error;
+}
+
+/**
+ * findError(fen)
+ * -----------------------------------------
+ * The first problem with `fen` as a typed error, or null.
+ */
+function findError(fen) {
+  const fail = (code, field, value, message) =>
+    createInputError(fen, code, field, value, message);
+
+  if (typeof fen !== "string") {
+    return fail(
+      "NOT_A_STRING",
+      null,
+      fen,
+      `FEN must be a string, got ${fen === null ? "null" : typeof fen}`
+    );
+  }
+
+  // --- Field count (chess.js completes FENs with 2–5 fields) ---
+  let tokens = fen.split(/\s+/);
+  if (tokens.length >= 2 && tokens.length < 6) {
+    tokens = tokens.concat(FIELD_DEFAULTS.slice(-(6 - tokens.length)));
+  }
+  if (tokens.length !== 6) {
+    return fail(
+      "FIELD_COUNT",
+      null,
+      fen,
+      `FEN must have 6 space-separated fields, got ${tokens.length}`
+    );
+  }
+  const [placement, side, castling, enPassant, halfmove, fullmove] = tokens;
+
+  // --- Piece placement ---
+  const placementError = checkPlacement(placement, fail);
+  if (placementError) return placementError;
+
+  // --- Side to move, castling, en passant ---
+  if (!/^(w|b)$/.test(side)) {
+    return fail(
+      "INVALID_SIDE_TO_MOVE",
+      FIELDS[1],
+      side,
+      `Side to move must be "w" or "b", got "${side}"`
+    );
+  }
+  if (/[^KQkqA-Ha-h-]/.test(castling)) {
+    return fail(
+      "INVALID_CASTLING",
+      FIELDS[2],
+      castling,
+      "Castling rights must use K, Q, k, q, rook files (A–H, a–h) " +
+        `or "-", got "${castling}"`
+    );
+  }
+  try {
+    parseCastling(placement, castling);
+  } catch (err) {
+    return fail(
+      "INVALID_CASTLING",
+      FIELDS[2],
+      castling,
+      err.message.replace(/^Invalid FEN: c/, "C")
+    );
+  }
+  if (!/^(-|[a-h][36])$/.test(enPassant)) {
+    return fail(
+      "INVALID_EN_PASSANT",
+      FIELDS[3],
+      enPassant,
+      'En passant target must be "-" or a square on rank 3 or 6, ' +
+        `got "${enPassant}"`
+    );
+  }
+  if (
+    (enPassant[1] === "3" && side === "w") ||
+    (enPassant[1] === "6" && side === "b")
+  ) {
+    return fail(
+      "ILLEGAL_EN_PASSANT",
+      FIELDS[3],
+      enPassant,
+      `En passant target ${enPassant} cannot occur with ` +
+        `${COLOR_NAMES[side]} to move`
+    );
+  }
+
+  // --- Move counters (read like chess.js, with parseInt) ---
+  const halfmoves = parseInt(halfmove, 10);
+  if (isNaN(halfmoves) || halfmoves < 0) {
+    return fail(
+      "INVALID_HALFMOVE_CLOCK",
+      FIELDS[4],
+      halfmove,
+      `Halfmove clock must be a non-negative integer, got "${halfmove}"`
+    );
+  }
+  const moveNumber = parseInt(fullmove, 10);
+  if (isNaN(moveNumber) || moveNumber <= 0) {
+    return fail(
+      "INVALID_FULLMOVE_NUMBER",
+      FIELDS[5],
+      fullmove,
+      `Fullmove number must be a positive integer, got "${fullmove}"`
+    );
+  }
+
+  // --- Anything else chess.js refuses ---
+  try {
+    loadGame(fen);
+  } catch (err) {
+    return fail("INVALID_FEN", null, fen, err.message);
+  }
+  return null;
+}
+
+/**
+ * findDiagramError(fen)
+ * -----------------------------------------
+ * The first problem with `fen` read as a diagram (see
+ * createDiagramContext()), or null.
+ */
+function findDiagramError(fen) {
+  const fail = (code, field, value, message) =>
+    createInputError(fen, code, field, value, message);
+
+  if (typeof fen !== "string") {
+    return fail(
+      "NOT_A_STRING",
+      null,
+      fen,
+      `FEN must be a string, got ${fen === null ? "null" : typeof fen}`
+    );
+  }
+  const placement = fen.trim().split(/\s+/)[0];
+  return checkPlacement(placement, fail, true);
+}
+
+/**
+ * checkPlacement(placement, fail, diagram)
+ * -----------------------------------------
+ * Checks the piece-placement field: 8 ranks of 8 squares, valid
+ * piece letters, one king per side and no pawns on the back ranks.
+ * A diagram only needs the squares and letters to be readable.
+ */
+function checkPlacement(placement, fail, diagram = false) {
+  const field = FIELDS[0];
+  const rows = placement.split("/");
+  if (rows.length !== 8) {
+    return fail(
+      "ROW_COUNT",
+      field,
+      placement,
+      'Piece placement must have 8 ranks separated by "/", ' +
+        `got ${rows.length}`
+    );
+  }
+
+  for (let i = 0; i < rows.length; i++) {
+    const rank = 8 - i;
+    let squares = 0;
+    let previousWasDigit = false;
+
+    for (const char of rows[i]) {
+      // Digits as chess.js reads them (a "0" adds no squares)
+      if (/[0-9]/.test(char)) {
+        if (previousWasDigit && !diagram) {
+          return fail(
+            "CONSECUTIVE_DIGITS",
+            field,
+            rows[i],
+            `Rank ${rank} ("${rows[i]}") has two digits in a row`
+          );
+        }
+        squares += Number(char);
+        previousWasDigit = true;
+      } else if (/^[prnbqkPRNBQK]$/.test(char)) {
+        squares++;
+        previousWasDigit = false;
+      } else {
+        return fail(
+          "INVALID_PIECE",
+          field,
+          rows[i],
+          `Rank ${rank} ("${rows[i]}") contains "${char}", ` +
+            "which is not a piece"
+        );
+      }
+    }
+
+    if (squares !== 8) {
+      return fail(
+        "ROW_LENGTH",
+        field,
+        rows[i],
+        `Rank ${rank} ("${rows[i]}") covers ${squares} squares instead of 8`
+      );
+    }
+  }
+
+  if (diagram) return null;
+
+  for (const [letter, color] of [
+    ["K", "white"],
+    ["k", "black"],
+  ]) {
+    const kings = [...placement].filter((c) => c === letter).length;
+    if (kings === 0) {
+      return fail("MISSING_KING", field, placement, `Missing ${color} king`);
+    }
+    if (kings > 1) {
+      return fail(
+        "TOO_MANY_KINGS",
+        field,
+        placement,
+        `Too many ${color} kings (${kings})`
+      );
+    }
+  }
+
+  if (/[pP]/.test(rows[0] + rows[7])) {
+    return fail(
+      "PAWN_ON_BACK_RANK",
+      field,
+      placement,
+      "Pawns cannot stand on the 1st or 8th rank"
+    );
+  }
+  return null;
+}
@@ -0,0 +1,92 @@
+// Import the command-line entry point under test
+import { runCLI } from "../src/cli.js";
+
+// Import the single-position evaluator to cross-check the output
+import { computeKMAPS } from "../src/computeKMAPS.js";
+
+// ----------------------------
+// Helper — run the CLI in-process and capture its output
+// ----------------------------
+async function run(argv, stdinText) {
+  let stdout = "";
+  let stderr = "";
+  const code = await runCLI(argv, {
+    stdin: stdinText === undefined ? { isTTY: true } : [stdinText],
+    stdout: { write: (s) => (stdout += s) },
+    stderr: { write: (s) => (stderr += s) },
+  });
+  return { code, stdout, stderr };
+}
+
+// ----------------------------
+// Test Suite: kmaps CLI
+// ----------------------------
+// runCLI() backs the `kmaps` bin script. These tests check FEN
+// table output, EPD input from stdin in machine-readable formats,
+// per-ply PGN output and the exit status on errors.
+describe("kmaps CLI", () => {
+  const fen =
+    "r1bqkbnr/pppp1ppp/2n5/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq - 2 3";
+
+  // ----------------------------
+  // Test 1 — FEN Argument, Table Output
+  // ----------------------------
+  test("prints a table for an unquoted FEN argument", async () => {
+    const { code, stdout } = await run(fen.split(" "));
+
+    expect(code).toBe(0);
+    for (const r of computeKMAPS(fen)) {
+      expect(stdout).toContain(
+        `${r.metric.padEnd(15)} | White: ${r.White.toFixed(3)}`
+      );
+    }
+  });
+
+  // ----------------------------
+  // Test 2 — EPD From Stdin as NDJSON and CSV
+  // ----------------------------
+  test("reads EPD from stdin and reports bad lines", async () => {
+    const epd = `${fen} bm Bb5; id "t1";\nnot a position\n`;
+
+    const nd = await run(["-f", "ndjson", "-m", "material,space"], epd);
+    const records = nd.stdout.trim().split("\n").map(JSON.parse);
+    expect(nd.code).toBe(1); // one line failed
+    expect(records[0]).toMatchObject({ line: 1, id: "t1", error: null });
+    expect(records[0].metrics.map((r) => r.metric)).toEqual([
+      "Material",
+      "Space",
+    ]);
+    expect(records[1]).toMatchObject({ line: 2, metrics: [] });
+
+    const csv = await run(["--format", "csv", "--metrics", "Material"], epd);
+    expect(csv.stdout.split("\n")[0]).toBe(
+      "line,id,fen,stage,phase,Material White,Material Black,error"
+    );
+    expect(csv.stdout.split("\n")[1]).toBe(
+      `1,t1,${fen},opening,0.000,0.500,0.500,`
+    );
+  });
+
+  // ----------------------------
+  // Test 3 — PGN Games, Per-Ply Output and Usage Errors
+  // ----------------------------
+  test("evaluates each PGN game and rejects bad options", async () => {
+    const pgn =
+      '[Event "A"]\n\n1. e4 e5 2. Nf3 Nc6 *\n\n[Event "B"]\n\n1. d4 d5 *\n';
+
+    // Final position of each game by default, every ply with --plies
+    const last = await run(["-f", "json"], pgn);
+    expect(JSON.parse(last.stdout).map((r) => [r.game, r.ply])).toEqual([
+      [1, 4],
+      [2, 2],
+    ]);
+    const all = await run(["-f", "json", "--plies"], pgn);
+    expect(JSON.parse(all.stdout)).toHaveLength(8);
+    expect(JSON.parse(all.stdout)[3]).toMatchObject({ ply: 3, san: "Nf3" });
+
+    // Usage errors exit with status 2
+    expect((await run(["-f", "xml", fen])).code).toBe(2);
+    expect((await run(["-m", "tempo"], pgn)).code).toBe(2);
+    expect((await run([])).code).toBe(2);
+  });
+});
@@ -0,0 +1,109 @@
+// Import the comparison function under test
+import { compareKMAPS } from "../src/compareKMAPS.js";
+
+// Import the evaluator to check that the numbers match exactly
+import { computeKMAPS } from "../src/computeKMAPS.js";
+
+// Import the registry to replace the King Safety metric
+import { registerMetric, resetMetrics } from "../src/metricRegistry.js";
+
+// ----------------------------
+// Test Suite: Position Comparison
+// ----------------------------
+// compareKMAPS() reports what changed between two positions: metric
+// deltas, pawn-structure features and King Safety components.
+describe("Position comparison", () => {
+  const start = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+  const afterE4 = "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1";
+
+  // ----------------------------
+  // Test 1 — Metric Deltas Match computeKMAPS
+  // ----------------------------
+  test("reports before, after and delta for every metric", () => {
+    const { metrics } = compareKMAPS(start, afterE4);
+    const before = computeKMAPS(start);
+    const after = computeKMAPS(afterE4);
+
+    expect(metrics.map((m) => m.metric)).toEqual(before.map((r) => r.metric));
+    metrics.forEach((m, i) => {
+      for (const side of ["White", "Black"]) {
+        expect(m[side]).toEqual({
+          before: before[i][side],
+          after: after[i][side],
+          delta: after[i][side] - before[i][side],
+        });
+      }
+    });
+
+    expect(compareKMAPS(start, "invalid-fen")).toBeNull();
+  });
+
+  // ----------------------------
+  // Test 2 — Pawn-Structure Features
+  // ----------------------------
+  test("lists pawn-structure features that appeared or disappeared", () => {
+    // 1... cxd4: White's c3 pawn loses its chain partner and is isolated
+    const { pawnStructure } = compareKMAPS(
+      "4k3/4p3/8/2p5/3P4/2P5/8/4K3 b - - 0 1",
+      "4k3/4p3/8/8/3p4/2P5/8/4K3 w - - 0 2"
+    );
+
+    expect(pawnStructure.White.appeared).toContainEqual({
+      feature: "isolated",
+      squares: ["c3"],
+    });
+    expect(pawnStructure.White.disappeared).toContainEqual({
+      feature: "chains",
+      squares: ["d4", "c3"],
+    });
+    expect(pawnStructure.Black.appeared).toContainEqual({
+      feature: "passed",
+      squares: ["e7"],
+    });
+    expect(pawnStructure.Black.disappeared).toContainEqual({
+      feature: "isolated",
+      squares: ["c5"],
+    });
+  });
+
+  // ----------------------------
+  // Test 3 — King Safety Components
+  // ----------------------------
+  test("lists the King Safety components that moved", () => {
+    const { kingSafety } = compareKMAPS(start, afterE4);
+
+    // 1. e4 opens a hole in White's shield and a square for the king
+    const shield = kingSafety.White.find((c) => c.name === "pawnShield");
+    expect(shield.model).toBe("opening");
+    expect(shield.delta).toBeCloseTo(-0.15, 10);
+    expect(shield.before.raw).toBe(3);
+    expect(shield.after.raw).toBe(2);
+
+    // Unchanged components are left out
+    expect(kingSafety.White.map((c) => c.name)).not.toContain("placement");
+    expect(compareKMAPS(start, start).kingSafety).toEqual({
+      White: [],
+      Black: [],
+    });
+  });
+
+  // ----------------------------
+  // Test 4 — Replaced King Safety
+  // ----------------------------
+  test("compares positions with a replaced King Safety metric", () => {
+    registerMetric({
+      name: "King Safety",
+      compute: (ctx, color) => ({
+        score: color === "w" ? 0.6 : 0.4,
+        components: [{ name: "flat", score: 1, contribution: 0.1 }],
+      }),
+      replace: true,
+    });
+    try {
+      const { kingSafety } = compareKMAPS(start, afterE4);
+      expect(kingSafety).toEqual({ White: [], Black: [] });
+    } finally {
+      resetMetrics();
+    }
+  });
+});
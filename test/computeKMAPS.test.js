@@ -72,7 +72,42 @@ describe("Chess K-MAPS Evaluation", () => {
   });
 
   // ----------------------------
-  // Test 4 — Invalid FEN Handling
+  // Test 4 — Detailed Breakdown
+  // ----------------------------
+  test("detail mode explains each score", () => {
+    const fen = "r1bq1rk1/pppp1ppp/2n2n2/8/8/2N2N2/PPPP1PPP/R1BQ1RK1 w - - 0 8";
+
+    // Same scores with and without detail
+    const plain = computeKMAPS(fen);
+    const detailed = computeKMAPS(fen, { detail: true });
+    expect(detailed.map(({ detail, ...row }) => row)).toEqual(plain);
+
+    // King safety lists its six named components
+    const ks = detailed.find((r) => r.metric === "King Safety");
+    expect(ks.detail.White.components.map((c) => c.name)).toEqual([
+      "pawnShield",
+      "placement",
+      "mobility",
+      "kingZoneAttacks",
+      "openFiles",
+      "safeChecks",
+    ]);
+
+    // Space contributions add up to the reported score
+    const space = detailed.find((r) => r.metric === "Space");
+    const sum = space.detail.White.components.reduce(
+      (acc, c) => acc + c.contribution,
+      0
+    );
+    expect(sum).toBeCloseTo(space.White, 10);
+
+    // Pawn structure exposes all 19 detectors
+    const pawns = detailed.find((r) => r.metric === "Pawn Structure");
+    expect(pawns.detail.Black.components.length).toBe(19);
+  });
+
+  // ----------------------------
+  // Test 5 — Invalid FEN Handling
   // ----------------------------
   test("handles invalid FEN gracefully", () => {
     // An invalid FEN string should not cause crashes
@@ -81,4 +116,42 @@ describe("Chess K-MAPS Evaluation", () => {
     // The expected behavior is to return an empty array
     expect(results).toEqual([]);
   });
+
+  // ----------------------------
+  // Test 6 — Choosing Metrics
+  // ----------------------------
+  test("computes only the requested metrics", () => {
+    const fen = "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1";
+
+    // Rows keep the standard order regardless of the requested order
+    const rows = computeKMAPS(fen, { metrics: ["Space", "Material"] });
+    expect(rows.map((r) => r.metric)).toEqual(["Material", "Space"]);
+    expect(rows[1]).toEqual(computeKMAPS(fen)[4]);
+
+    // An unknown metric name is a caller error
+    expect(() => computeKMAPS(fen, { metrics: ["Tempo"] })).toThrow(TypeError);
+  });
+
+  // ----------------------------
+  // Test 7 — Diagram Mode
+  // ----------------------------
+  test("evaluates diagrams chess.js rejects in diagram mode", () => {
+    // A pawn ending without kings, given as a bare piece placement
+    const fen = "8/2p5/8/3P4/8/8/8/8";
+    expect(computeKMAPS(fen)).toEqual([]);
+
+    const rows = computeKMAPS(fen, { diagram: true, detail: true });
+    const row = (name) => rows.find((r) => r.metric === name);
+
+    // Board-only metrics are computed as for the legal position
+    const legal = computeKMAPS("4k3/2p5/8/3P4/8/8/8/4K3 w - - 0 1");
+    expect(row("Material").White).toBe(legal[0].White);
+    expect(row("Pawn Structure").White).toBe(legal[3].White);
+    expect(row("Space").White).toBeGreaterThan(0);
+
+    // Move- and king-dependent metrics are unavailable, not failed
+    expect(row("Activity")).toMatchObject({ White: null, Black: null });
+    expect(row("Activity").detail.White.unavailable).toMatch(/moves/);
+    expect(row("King Safety").White).toBeNull();
+  });
 });
@@ -0,0 +1,87 @@
+// Import the batch and streaming evaluators under test
+import {
+  computeKMAPSBatch,
+  computeKMAPSStream,
+} from "../src/computeKMAPSBatch.js";
+
+// Import the single-position evaluator to cross-check each result
+import { computeKMAPS } from "../src/computeKMAPS.js";
+
+// ----------------------------
+// Test Suite: Batch Evaluation
+// ----------------------------
+// computeKMAPSBatch() evaluates FEN/EPD collections line by line.
+// These tests check EPD operation parsing, that each result matches
+// a direct computeKMAPS() call, and that bad lines are reported.
+describe("computeKMAPSBatch", () => {
+  const epd = [
+    'r1bqkbnr/pppp1ppp/2n5/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq - bm Bb5 Bc4; id "open.01"; c0 "Ruy Lopez; or Italian";',
+    "",
+    "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1",
+    "not a position",
+    'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKQNR w KQkq - id "open.02";',
+    '8/8/8/8/8/8/8/8 w - - id "no-kings";',
+  ].join("\n");
+
+  // ----------------------------
+  // Test 1 — EPD Operations and Ids
+  // ----------------------------
+  test("parses EPD operations and keeps ids", () => {
+    const [first, second] = computeKMAPSBatch(epd);
+
+    expect(first).toMatchObject({
+      line: 1,
+      id: "open.01",
+      fen: "r1bqkbnr/pppp1ppp/2n5/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq - 0 1",
+      operations: { bm: ["Bb5", "Bc4"], c0: "Ruy Lopez; or Italian" },
+      error: null,
+    });
+    expect(first.metrics).toEqual(computeKMAPS(first.fen));
+
+    // Plain FEN lines keep their own move counters
+    expect(second).toMatchObject({ line: 3, id: null, error: null });
+    expect(second.metrics).toEqual(computeKMAPS(second.fen));
+  });
+
+  // ----------------------------
+  // Test 2 — Bad Lines Are Reported Individually
+  // ----------------------------
+  test("reports each bad line with its line number", () => {
+    const results = computeKMAPSBatch(epd);
+
+    // Blank line 2 is skipped; every other line yields a result
+    expect(results.map((r) => r.line)).toEqual([1, 3, 4, 5, 6]);
+
+    const bad = results.filter((r) => r.error);
+    expect(bad.map((r) => r.line)).toEqual([4, 6]);
+    expect(bad[0]).toMatchObject({ fen: null, metrics: [] });
+    expect(bad[1]).toMatchObject({ id: "no-kings", metrics: [] });
+    expect(typeof bad[1].error).toBe("string");
+  });
+
+  // ----------------------------
+  // Test 3 — Streaming From an Async Iterable
+  // ----------------------------
+  test("streams results from an async iterable of lines", async () => {
+    async function* lines() {
+      yield* epd.split("\n");
+    }
+
+    const streamed = [];
+    for await (const r of computeKMAPSStream(lines())) streamed.push(r);
+
+    expect(streamed).toEqual(computeKMAPSBatch(epd));
+  });
+
+  // ----------------------------
+  // Test 4 — Invalid Options Throw Once
+  // ----------------------------
+  test("rejects an invalid normalize option before reading any line", async () => {
+    expect(() => computeKMAPSBatch(epd, { normalize: "median" })).toThrow(
+      TypeError
+    );
+
+    const stream = computeKMAPSStream(epd.split("\n"), { normalize: 1 });
+    await expect(stream.next()).rejects.toThrow(TypeError);
+  });
+});
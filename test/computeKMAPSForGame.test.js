@@ -0,0 +1,84 @@
+// Import the whole-game K-MAPS timeline function under test
+import { computeKMAPSForGame } from "../src/computeKMAPSForGame.js";
+
+// Import the single-position evaluator to cross-check each ply
+import { computeKMAPS } from "../src/computeKMAPS.js";
+
+// ----------------------------
+// Test Suite: Whole-Game K-MAPS Timeline
+// ----------------------------
+// computeKMAPSForGame() replays a PGN and evaluates every ply.
+// These tests check the ply tagging, that each ply matches a direct
+// computeKMAPS() call, and that bad PGNs are reported, not thrown.
+describe("computeKMAPSForGame", () => {
+  // ----------------------------
+  // Test 1 — Simple Main Line
+  // ----------------------------
+  test("evaluates every ply of a short game", () => {
+    const pgn = '[White "A"]\n[Black "B"]\n\n1. e4 e5 2. Nf3 Nc6 *';
+
+    const { headers, plies, error } = computeKMAPSForGame(pgn);
+
+    // Starting position plus four moves
+    expect(error).toBeNull();
+    expect(headers.White).toBe("A");
+    expect(plies.length).toBe(5);
+
+    // Ply tagging: move number, SAN and side to move
+    expect(plies[0]).toMatchObject({ ply: 0, san: null, turn: "w" });
+    expect(plies[3]).toMatchObject({
+      ply: 3,
+      moveNumber: 2,
+      san: "Nf3",
+      color: "w",
+      turn: "b",
+    });
+
+    // Each ply matches a direct evaluation of its FEN
+    for (const p of plies) {
+      expect(p.metrics).toEqual(computeKMAPS(p.fen));
+    }
+  });
+
+  // ----------------------------
+  // Test 2 — Comments and Variations
+  // ----------------------------
+  test("ignores comments, variations and annotations", () => {
+    const pgn =
+      "1. e4 {King's pawn} e5 (1... c5 2. Nf3 (2. c3) d6) 2. Nf3! $1 ; note\n" +
+      "Nc6?! 3. Bb5 1-0";
+
+    const { plies, error } = computeKMAPSForGame(pgn);
+
+    expect(error).toBeNull();
+    expect(plies.map((p) => p.san)).toEqual([
+      null,
+      "e4",
+      "e5",
+      "Nf3",
+      "Nc6",
+      "Bb5",
+    ]);
+  });
+
+  // ----------------------------
+  // Test 3 — Illegal Move Reporting
+  // ----------------------------
+  test("reports the ply of an illegal move", () => {
+    const { plies, error } = computeKMAPSForGame("1. e4 e5 2. Ke3 Nc6");
+
+    // The first two plies (plus the start) are still returned
+    expect(plies.length).toBe(3);
+    expect(error).toMatchObject({ ply: 3, moveNumber: 2, san: "Ke3" });
+  });
+
+  // ----------------------------
+  // Test 4 — Invalid Input
+  // ----------------------------
+  test("handles non-string input gracefully", () => {
+    const { plies, error } = computeKMAPSForGame(null);
+
+    expect(plies).toEqual([]);
+    expect(error.ply).toBe(0);
+  });
+});
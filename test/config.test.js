@@ -0,0 +1,107 @@
+// Import the configuration helpers under test
+import { DEFAULT_CONFIG, resolveConfig } from "../src/config.js";
+
+// Import the entry points that accept a configuration
+import { computeKMAPS } from "../src/computeKMAPS.js";
+import { compareKMAPS } from "../src/compareKMAPS.js";
+import { createKMAPSEvaluator } from "../src/createKMAPSEvaluator.js";
+
+// ----------------------------
+// Test Suite: K-MAPS Configuration
+// ----------------------------
+// The configuration object exposes every weight and cap used by the
+// metric modules. These tests check merging, validation, and that a
+// custom configuration actually changes the evaluation.
+describe("K-MAPS configuration", () => {
+  const fen = "r1bqkbnr/pppp1ppp/2n5/1B2p3/4P3/5N2/PPPP1PPP/RNBQK2R w KQkq - 0 4";
+
+  // ----------------------------
+  // Test 1 — Merging Overrides
+  // ----------------------------
+  test("merges partial overrides onto the defaults", () => {
+    const config = resolveConfig({ kingSafety: { shieldWeight: 0.5 } });
+
+    // Overridden value is applied, everything else keeps its default
+    expect(config.kingSafety.shieldWeight).toBe(0.5);
+    expect(config.kingSafety.placementWeight).toBe(
+      DEFAULT_CONFIG.kingSafety.placementWeight
+    );
+    expect(config.activity).toEqual(DEFAULT_CONFIG.activity);
+
+    // No config means the (frozen) defaults
+    expect(resolveConfig()).toBe(DEFAULT_CONFIG);
+    expect(Object.isFrozen(config.kingSafety)).toBe(true);
+  });
+
+  // ----------------------------
+  // Test 2 — Validation
+  // ----------------------------
+  test("rejects unknown keys and invalid values", () => {
+    expect(() => resolveConfig({ activity: { mobiltyCap: 30 } })).toThrow(
+      TypeError
+    );
+    expect(() => resolveConfig({ space: { reachWeight: "0.5" } })).toThrow(
+      TypeError
+    );
+    expect(() => resolveConfig({ activity: { mobilityCap: 0 } })).toThrow(
+      RangeError
+    );
+    // Negative piece values would reverse the material balance
+    expect(() =>
+      resolveConfig({ material: { pieceValues: { q: -9 } } })
+    ).toThrow(RangeError);
+    expect(() =>
+      resolveConfig({ material: { endgame: { pieceValues: { r: -5 } } } })
+    ).toThrow(RangeError);
+    // The opening threshold cannot pass the endgame threshold
+    expect(() =>
+      resolveConfig({
+        phase: { openingThreshold: 0.9, endgameThreshold: 0.2 },
+      })
+    ).toThrow(RangeError);
+  });
+
+  // ----------------------------
+  // Test 3 — Default Config Matches Plain Evaluation
+  // ----------------------------
+  test("default configuration reproduces computeKMAPS", () => {
+    const evaluator = createKMAPSEvaluator();
+    expect(evaluator.computeKMAPS(fen)).toEqual(computeKMAPS(fen));
+  });
+
+  // ----------------------------
+  // Test 4 — Custom Config Changes Scores
+  // ----------------------------
+  test("custom caps and weights change the scores", () => {
+    const base = computeKMAPS(fen).find((r) => r.metric === "Activity");
+
+    // Halving the mobility cap raises activity for the same position
+    const evaluator = createKMAPSEvaluator({ activity: { mobilityCap: 20 } });
+    const tuned = evaluator
+      .computeKMAPS(fen)
+      .find((r) => r.metric === "Activity");
+    expect(tuned.White).toBeGreaterThan(base.White);
+
+    // The same config can be passed directly to computeKMAPS
+    const direct = computeKMAPS(fen, {
+      config: { activity: { mobilityCap: 20 } },
+    }).find((r) => r.metric === "Activity");
+    expect(direct).toEqual(tuned);
+  });
+
+  // ----------------------------
+  // Test 5 — Evaluator Keeps Its Config for Comparisons
+  // ----------------------------
+  test("compareKMAPS keeps the evaluator config over caller options", () => {
+    const config = { activity: { mobilityCap: 20 } };
+    const evaluator = createKMAPSEvaluator(config);
+    const after =
+      "r1bqkbnr/pppp1ppp/2n5/1B2p3/4P3/5N2/PPPP1PPP/RNBQ1RK1 b kq - 1 4";
+
+    // A config in the options does not override the evaluator's one
+    const compared = evaluator.compareKMAPS(fen, after, {
+      config: { activity: { mobilityCap: 60 } },
+    });
+    expect(compared).toEqual(compareKMAPS(fen, after, { config }));
+  });
+});
@@ -0,0 +1,63 @@
+// Import the control map function under test
+import { getControlMap } from "../src/controlMap.js";
+
+// Import the detailed evaluation to cross-check the Space reach
+import { computeKMAPS } from "../src/computeKMAPS.js";
+
+// ----------------------------
+// Test Suite: Control Map
+// ----------------------------
+// getControlMap() returns an 8×8 grid of per-square attacker counts.
+// These tests check the grid layout, attacker counts and lowest
+// attackers, and that Space reach is derived from the same grid.
+describe("Control map", () => {
+  // ----------------------------
+  // Test 1 — Grid Layout and Counts
+  // ----------------------------
+  test("counts attackers on each square", () => {
+    // Position after 1.e4
+    const fen = "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1";
+    const map = getControlMap(fen);
+
+    // Row 0 is rank 8, column 0 is the a-file
+    expect(map.length).toBe(8);
+    expect(map[0][0].square).toBe("a8");
+    expect(map[7][7].square).toBe("h1");
+
+    // d5 is attacked only by the e4 pawn
+    const d5 = map[3][3];
+    expect(d5).toMatchObject({ white: 1, black: 0, net: 1, lowestWhite: "p" });
+
+    // f3 is covered by the g1 knight, the g2 pawn and the queen
+    const f3 = map[5][5];
+    expect(f3.white).toBe(3);
+    expect(f3.lowestWhite).toBe("p");
+  });
+
+  // ----------------------------
+  // Test 2 — Space Reach Matches the Grid
+  // ----------------------------
+  test("space reach counts the grid's enemy-half squares", () => {
+    const fen = "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1";
+    const map = getControlMap(fen);
+
+    // Squares in ranks 5–8 attacked by a White piece other than the king
+    const expected = map
+      .slice(0, 4)
+      .flat()
+      .filter((c) => c.attackers.w.some((a) => a.type !== "k")).length;
+
+    const space = computeKMAPS(fen, { detail: true }).find(
+      (r) => r.metric === "Space"
+    );
+    const reach = space.detail.White.components.find((c) => c.name === "reach");
+    expect(reach.raw).toBe(expected);
+  });
+
+  // ----------------------------
+  // Test 3 — Invalid FEN Handling
+  // ----------------------------
+  test("returns null for an invalid FEN", () => {
+    expect(getControlMap("invalid-fen")).toBeNull();
+  });
+});
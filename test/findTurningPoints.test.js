@@ -0,0 +1,105 @@
+// Import the turning-point analysis under test
+import { findTurningPoints } from "../src/findTurningPoints.js";
+
+// Import the evaluators to cross-check events
+import { computeKMAPS } from "../src/computeKMAPS.js";
+import { computeKMAPSForGame } from "../src/computeKMAPSForGame.js";
+
+// ----------------------------
+// Test Suite: Turning Points
+// ----------------------------
+// findTurningPoints() reports the plies where a metric's margin
+// swung past a threshold or the leading side on a metric changed.
+describe("Turning points", () => {
+  const pgn =
+    "1. e4 e5 2. Nf3 Nc6 3. Bc4 Nd4 4. Nxe5 Qg5 5. Nxf7 Qxg2 6. Rf1 Qxe4+ 7. Be2 Nf3# 0-1";
+
+  // ----------------------------
+  // Test 1 — Swings and Lead Changes in a PGN
+  // ----------------------------
+  test("names the metric, the move and the size of each swing", () => {
+    const { events, error } = findTurningPoints(pgn, {
+      threshold: { Material: 0.02 },
+    });
+    expect(error).toBeNull();
+
+    // 4. Nxe5 wins a pawn (2 / 78 of the Material margin)
+    const pawn = events.find(
+      (e) => e.metric === "Material" && e.san === "Nxe5"
+    );
+    expect(pawn).toMatchObject({ ply: 7, moveNumber: 4, color: "w" });
+    expect(pawn.swing).toBeCloseTo(2 / 78, 2);
+    expect(pawn.reasons).toEqual(["swing"]);
+
+    // 5... Qxg2 lands next to White's king: Black takes the lead
+    const king = events.find(
+      (e) => e.metric === "King Safety" && e.san === "Qxg2"
+    );
+    expect(king.leader).toEqual({ before: "White", after: "Black" });
+    expect(king.reasons).toEqual(["swing", "leadChange"]);
+
+    // Each swing is the change in the White − Black margin
+    for (const e of events) {
+      const margin = (r) => r.White - r.Black;
+      expect(e.swing).toBeCloseTo(margin(e.after) - margin(e.before), 10);
+    }
+  });
+
+  // ----------------------------
+  // Test 2 — A List of FENs
+  // ----------------------------
+  test("accepts FENs and recovers the moves between them", () => {
+    const { plies } = computeKMAPSForGame(pgn);
+    const fens = plies.map((p) => p.fen);
+
+    const fromFens = findTurningPoints(fens);
+    expect(fromFens).toEqual(findTurningPoints(pgn));
+
+    // Metric values are the plain computeKMAPS() rows
+    const first = fromFens.events[0];
+    const row = computeKMAPS(first.fen).find((r) => r.metric === first.metric);
+    expect(first.after).toEqual({ White: row.White, Black: row.Black });
+
+    // Positions that are not one move apart have no move
+    const jump = findTurningPoints([fens[0], fens[7]], { threshold: 0 });
+    expect(jump.events[0]).toMatchObject({ san: null, moveNumber: null });
+  });
+
+  // ----------------------------
+  // Test 3 — Timelines, Errors and Options
+  // ----------------------------
+  test("reuses game results and reports unreadable input", () => {
+    const game = computeKMAPSForGame(pgn);
+    expect(findTurningPoints(game, { metrics: ["Space"] }).events).toEqual(
+      findTurningPoints(pgn).events.filter((e) => e.metric === "Space")
+    );
+
+    const broken = findTurningPoints(["invalid-fen"]);
+    expect(broken.events).toEqual([]);
+    expect(broken.error).toMatchObject({ ply: 0 });
+
+    expect(() => findTurningPoints(pgn, { threshold: -1 })).toThrow(
+      RangeError
+    );
+    expect(() => findTurningPoints(pgn, { threshold: { Tempo: 1 } })).toThrow(
+      TypeError
+    );
+    expect(() => findTurningPoints(42)).toThrow(TypeError);
+  });
+
+  // ----------------------------
+  // Test 4 — Chess960 FENs
+  // ----------------------------
+  test("reports Chess960 FENs with their castling rights", () => {
+    const fens = [
+      "bqnbrkrn/pppppppp/8/8/8/8/PPPPPPPP/BQNBRKRN w GEge - 0 1",
+      "bqnbrkrn/pppppppp/8/8/4P3/8/PPPP1PPP/BQNBRKRN b GEge - 0 1",
+    ];
+    const { events } = findTurningPoints(fens, { threshold: 0 });
+
+    expect(events.length).toBeGreaterThan(0);
+    for (const event of events) {
+      expect(event).toMatchObject({ san: "e4", fen: fens[1] });
+    }
+  });
+});
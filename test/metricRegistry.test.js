@@ -0,0 +1,143 @@
+// Import the registry functions under test
+import {
+  registerMetric,
+  unregisterMetric,
+  resetMetrics,
+  listMetrics,
+} from "../src/metricRegistry.js";
+
+// Import the evaluator the registered metrics plug into
+import { computeKMAPS } from "../src/computeKMAPS.js";
+
+// Import the worker pool, which only knows the built-in metrics
+import { createKMAPSWorkerPool } from "../src/parallel.js";
+
+// ----------------------------
+// Test Suite: Metric Registry
+// ----------------------------
+// Custom metrics are registered next to the built-ins and come out
+// of computeKMAPS() with the same validation, clamping and shape.
+describe("Metric registry", () => {
+  const fen = "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1";
+
+  // Every test starts from the built-in metrics
+  afterEach(() => resetMetrics());
+
+  // ----------------------------
+  // Test 1 — Registering a Custom Metric
+  // ----------------------------
+  test("adds a custom metric at its order with a clamped score", () => {
+    registerMetric({
+      name: "Pawn Count",
+      // Out of range on purpose: 8 pawns / 4 = 2 is clamped to 1
+      compute: (game, color) =>
+        game
+          .board()
+          .flat()
+          .filter((sq) => sq?.type === "p" && sq.color === color).length / 4,
+      order: 35,
+    });
+
+    const rows = computeKMAPS(fen, { detail: true });
+    expect(rows.map((r) => r.metric)).toEqual([
+      "Material",
+      "King Safety",
+      "Activity",
+      "Pawn Count",
+      "Pawn Structure",
+      "Space",
+    ]);
+
+    const custom = rows[3];
+    expect(custom.White).toBe(1);
+    expect(custom.detail.White).toEqual({ score: 1, phase: 0, components: [] });
+
+    // Selectable by name, like the built-ins
+    expect(computeKMAPS(fen, { metrics: ["Pawn Count"] })).toEqual([
+      { metric: "Pawn Count", White: 1, Black: 1 },
+    ]);
+  });
+
+  // ----------------------------
+  // Test 2 — Replacing and Removing Built-ins
+  // ----------------------------
+  test("replaces or unregisters built-in metrics", () => {
+    registerMetric({
+      name: "Space",
+      compute: () => ({ score: 0.25, components: [{ name: "flat" }] }),
+      replace: true,
+    });
+    expect(unregisterMetric("Material")).toBe(true);
+    expect(unregisterMetric("Material")).toBe(false);
+
+    const rows = computeKMAPS(fen, { detail: true });
+    expect(rows.map((r) => r.metric)).toEqual([
+      "King Safety",
+      "Activity",
+      "Pawn Structure",
+      "Space",
+    ]);
+    expect(rows[3].White).toBe(0.25);
+    expect(rows[3].detail.Black.components).toEqual([{ name: "flat" }]);
+
+    // The replacement keeps the built-in's place
+    const space = listMetrics().find((m) => m.name === "Space");
+    expect(space).toEqual({
+      name: "Space",
+      order: 50,
+      optional: false,
+      builtIn: false,
+    });
+
+    resetMetrics();
+    expect(computeKMAPS(fen)).toHaveLength(5);
+  });
+
+  // ----------------------------
+  // Test 3 — Validation
+  // ----------------------------
+  test("rejects invalid definitions and results", async () => {
+    expect(() => registerMetric({ name: "Space", compute: () => 0 })).toThrow(
+      /already registered/
+    );
+    expect(() => registerMetric({ name: "X" })).toThrow(TypeError);
+    expect(() =>
+      registerMetric({ name: "Game Phase", compute: () => 0 })
+    ).toThrow(TypeError);
+
+    // A non-numeric score fails loudly instead of producing NaN rows
+    registerMetric({ name: "Broken", compute: () => ({ score: NaN }) });
+    expect(() => computeKMAPS(fen)).toThrow(/Broken/);
+
+    // Worker threads cannot see metrics registered here
+    const pool = createKMAPSWorkerPool({ workers: 1 });
+    try {
+      await expect(
+        pool.computeKMAPS([fen], { metrics: ["Broken"] })
+      ).rejects.toThrow(/not available in worker threads/);
+    } finally {
+      await pool.terminate();
+    }
+  });
+
+  // ----------------------------
+  // Test 4 — Replacing an Optional Metric
+  // ----------------------------
+  test("a replacement keeps the optional flag unless it sets one", () => {
+    const compute = () => 0.5;
+    registerMetric({ name: "Threats", compute, replace: true });
+    expect(computeKMAPS(fen).map((r) => r.metric)).not.toContain("Threats");
+    expect(listMetrics().find((m) => m.name === "Threats").optional).toBe(
+      true
+    );
+
+    // An explicit flag wins
+    registerMetric({
+      name: "Threats",
+      compute,
+      optional: false,
+      replace: true,
+    });
+    expect(computeKMAPS(fen).map((r) => r.metric)).toContain("Threats");
+  });
+});
@@ -2,7 +2,10 @@
 import { Chess } from "chess.js";
 
 // Import the specific K-MAPS submetric under test — piece activity
-import { getPieceActivity } from "../../src/metrics/activity.js";
+import {
+  getPieceActivity,
+  getPieceActivityDetail,
+} from "../../src/metrics/activity.js";
 
 // ----------------------------
 // Test Suite: Piece Activity Metric
@@ -49,4 +52,42 @@ describe("Piece Activity metric", () => {
     // Expect higher activity than the closed start (pieces are developed)
     expect(act).toBeGreaterThan(0.3);
   });
+
+  // ----------------------------
+  // Test 3 — Per-Piece Breakdown
+  // ----------------------------
+  test("rewards outposts and active rooks and penalizes bad bishops", () => {
+    // Knight on d5 that no black pawn can chase away, defended by e4
+    const outpost = getPieceActivityDetail(
+      new Chess("6k1/pp3pp1/8/3N4/4P3/8/PP4PP/6K1 w - - 0 1"),
+      "w"
+    );
+    const knight = outpost.pieces.find((p) => p.square === "d5");
+    expect(knight.contributions).toHaveProperty("outposts");
+    expect(knight.contributions).toHaveProperty("supportedOutposts");
+
+    // Piece shares add up to the component contributions
+    const shares = outpost.pieces.reduce((sum, p) => sum + p.total, 0);
+    const parts = outpost.components.reduce((s, c) => s + c.contribution, 0);
+    expect(shares).toBeCloseTo(parts, 10);
+
+    // Rook on the open b-file and the 7th rank
+    const rook = getPieceActivityDetail(
+      new Chess("6k1/1R3ppp/8/8/8/8/5PPP/6K1 w - - 0 1"),
+      "w"
+    ).pieces[0];
+    expect(Object.keys(rook.contributions)).toEqual([
+      "mobility",
+      "rookOpenFiles",
+      "rookSeventh",
+    ]);
+
+    // Every white pawn on the bishop's dark squares
+    const bishop = getPieceActivityDetail(
+      new Chess("6k1/8/8/8/8/8/1P1P1P1P/2B3K1 w - - 0 1"),
+      "w"
+    ).components.find((c) => c.name === "badBishops");
+    expect(bishop.score).toBe(1);
+    expect(bishop.contribution).toBeLessThan(0);
+  });
 });
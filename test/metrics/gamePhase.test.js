@@ -0,0 +1,72 @@
+// Import chess.js for creating and analyzing positions
+import { Chess } from "chess.js";
+
+// Import the game-phase helpers under test
+import { getGamePhase, taper } from "../../src/metrics/gamePhase.js";
+
+// Import the configuration and entry point to check tapering
+import { resolveConfig } from "../../src/config.js";
+import { computeKMAPS } from "../../src/computeKMAPS.js";
+
+// ----------------------------
+// Test Suite: Game Phase
+// ----------------------------
+// The game phase runs from 0 (all pieces on the board) to 1 (only
+// kings and pawns). These tests check the value and stage labels,
+// the interpolation of endgame settings, and the optional phase row.
+describe("Game phase", () => {
+  // ----------------------------
+  // Test 1 — Value and Stage
+  // ----------------------------
+  test("labels opening, middlegame and endgame positions", () => {
+    expect(getGamePhase(new Chess())).toEqual({ value: 0, stage: "opening" });
+
+    // Queens off at move 20: 16 of 24 phase points left
+    const middlegame = getGamePhase(
+      "r1b1k2r/ppp2ppp/2n2n2/2b1p3/4P3/2NB1N2/PPP2PPP/R1B1K2R w KQkq - 0 20"
+    );
+    expect(middlegame.value).toBeCloseTo(1 / 3, 10);
+    expect(middlegame.stage).toBe("middlegame");
+
+    // Rook ending: 4 of 24 phase points left
+    const rookEnding = getGamePhase("4k3/pp3r2/8/8/8/8/PP3R2/4K3 w - - 0 40");
+    expect(rookEnding).toEqual({ value: 5 / 6, stage: "endgame" });
+
+    expect(getGamePhase("invalid-fen")).toBeNull();
+  });
+
+  // ----------------------------
+  // Test 2 — Tapered Settings
+  // ----------------------------
+  test("interpolates settings that have an endgame value", () => {
+    const section = { mobilityCap: 40, other: 7, endgame: { mobilityCap: 30 } };
+
+    expect(taper(section, 0)).toBe(section);
+    expect(taper(section, 0.5)).toMatchObject({ mobilityCap: 35, other: 7 });
+    expect(taper(section, 1).mobilityCap).toBe(30);
+
+    // Endgame values follow the validation rules of the opening value
+    expect(() =>
+      resolveConfig({ activity: { endgame: { mobilityCap: 0 } } })
+    ).toThrow(RangeError);
+  });
+
+  // ----------------------------
+  // Test 3 — Optional Phase Row
+  // ----------------------------
+  test("adds a game-phase row on request", () => {
+    const fen = "4k3/pp3r2/8/8/8/8/PP3R2/4K3 w - - 0 40";
+
+    const rows = computeKMAPS(fen, { phase: true });
+    expect(rows).toHaveLength(6);
+    expect(rows[5]).toEqual({
+      metric: "Game Phase",
+      White: 5 / 6,
+      Black: 5 / 6,
+      stage: "endgame",
+    });
+
+    // The other rows are the same with or without it
+    expect(rows.slice(0, 5)).toEqual(computeKMAPS(fen));
+  });
+});
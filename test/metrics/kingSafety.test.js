@@ -2,7 +2,11 @@
 import { Chess } from "chess.js";
 
 // Import the King Safety metric from the K-MAPS system
-import { getKingSafety } from "../../src/metrics/kingSafety.js";
+import {
+  getKingSafety,
+  getKingSafetyDetail,
+} from "../../src/metrics/kingSafety.js";
+import { resolveConfig } from "../../src/config.js";
 
 // ----------------------------
 // 👑 Test Suite: King Safety Metric
@@ -45,4 +49,89 @@ describe("King Safety metric", () => {
     // Expect a low score since the king is exposed in the center
     expect(safety).toBeLessThan(0.4);
   });
+
+  // ----------------------------
+  // Test 3 — Centralized King in the Endgame
+  // ----------------------------
+  test("rewards a centralized king in a pawn ending", () => {
+    // Same king-and-pawn ending with White's king on e1 or on d4
+    const backRank = new Chess("4k3/8/8/8/8/8/3P4/4K3 w - - 0 50");
+    const central = new Chess("4k3/8/8/8/3K4/8/3P4/8 w - - 0 50");
+
+    // With only kings and pawns left, the centre is the safe place
+    expect(getKingSafety(central, "w")).toBeGreaterThan(
+      getKingSafety(backRank, "w") + 0.5
+    );
+  });
+
+  // ----------------------------
+  // Test 4 — Real Attacks, Not Proximity
+  // ----------------------------
+  test("counts pieces that actually reach the king zone", () => {
+    // Black's king on g8, White attacking (or not) from the kingside
+    const component = (fen, name) =>
+      getKingSafetyDetail(new Chess(fen), "b").components.find(
+        (c) => c.name === name
+      );
+
+    // A queen facing a wall of pawns attacks nothing near the king
+    const walled = component(
+      "6k1/8/8/5ppp/6Q1/8/5PPP/6K1 w - - 0 1",
+      "kingZoneAttacks"
+    );
+    expect(walled.raw.attackers).toBe(0);
+
+    // White's queen and knight aimed at h7 and g7 do
+    const attacked = component(
+      "6k1/5ppp/8/6NQ/8/8/5PPP/6K1 w - - 0 1",
+      "kingZoneAttacks"
+    );
+    expect(attacked.raw.attackers).toBe(2);
+    expect(attacked.contribution).toBeLessThan(0);
+
+    // A distant rook on an open file next to the king, with a safe
+    // check on the back rank
+    const fen = "6k1/5pp1/8/8/8/8/5PP1/R5K1 w - - 0 1";
+    expect(component(fen, "openFiles").raw).toEqual({
+      open: 1,
+      halfOpen: 0,
+      enemyMajors: true,
+    });
+    expect(component(fen, "safeChecks").raw.r).toBeGreaterThan(0);
+  });
+
+  // ----------------------------
+  // Test 5 — Castled Kings Have No Rook Towards the Corner
+  // ----------------------------
+  test("counts a king as castled unless its rook is still in the corner", () => {
+    const castled = (fen) =>
+      getKingSafetyDetail(new Chess(fen), "w").components.find(
+        (c) => c.name === "placement"
+      ).raw.castled;
+
+    // After O-O and O-O-O
+    expect(
+      castled("rnbqkbnr/pppppppp/8/8/8/5N2/PPPPPPPP/RNBQ1RK1 w kq - 0 1")
+    ).toBe(true);
+    expect(
+      castled("rnbqkbnr/pppppppp/8/8/8/2NQB3/PPPPPPPP/2KR1BNR w kq - 0 1")
+    ).toBe(true);
+
+    // The king stays castled once its rook moves on to e1
+    const italian = new Chess();
+    for (const san of "e4 e5 Nf3 Nc6 Bc4 Bc5 O-O Nf6 Re1".split(" ")) {
+      italian.move(san);
+    }
+    expect(castled(italian.fen())).toBe(true);
+
+    // A king walked to g1 with its rook still on h1
+    const walked = "rnbqkbnr/pppppppp/8/8/8/5N2/PPPPPPPP/RNBQ1BKR w kq - 0 1";
+    expect(castled(walked)).toBe(false);
+
+    // The walked king gets the uncastled score: the castled bonus
+    // does not apply, so changing it changes nothing
+    const game = new Chess(walked);
+    const bigBonus = resolveConfig({ kingSafety: { castledBonus: 0.6 } });
+    expect(getKingSafety(game, "w", bigBonus)).toBe(getKingSafety(game, "w"));
+  });
 });
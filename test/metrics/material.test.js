@@ -2,7 +2,11 @@
 import { Chess } from "chess.js";
 
 // Import the Material metric function from the K-MAPS system
-import { getMaterialBoth } from "../../src/metrics/material.js";
+import {
+  getMaterialBoth,
+  getMaterialDetail,
+} from "../../src/metrics/material.js";
+import { resolveConfig } from "../../src/config.js";
 
 // ----------------------------
 // Test Suite: Material Metric
@@ -40,4 +44,47 @@ describe("Material metric", () => {
     // Expect White's score to be higher since Black is down material
     expect(whiteMaterialScore).toBeGreaterThan(blackMaterialScore);
   });
+
+  // ----------------------------
+  // Test 3 — Bishop Pair and Imbalances
+  // ----------------------------
+  test("weighs the bishop pair and a minor piece against three pawns", () => {
+    // Bishop pair against bishop and knight, everything else equal
+    const pair = getMaterialDetail(
+      new Chess("2b1kn2/pppppppp/8/8/8/8/PPPPPPPP/2B1KB2 w - - 0 1"),
+      "w"
+    );
+    expect(pair.counts.own.b).toBe(2);
+    expect(pair.counts.opponent).toEqual({ p: 8, n: 1, b: 1, r: 0, q: 0 });
+    expect(pair.pawnUnits).toBeGreaterThan(0);
+    expect(pair.score).toBeGreaterThan(0.5);
+
+    // A knight for three pawns with the queens still on: the piece
+    // outweighs the pawns, although both count 3
+    const minor = getMaterialDetail(
+      new Chess("r1bqkbnr/pppppppp/8/8/8/8/PPPPP3/RNBQKBNR w KQkq - 0 1"),
+      "w"
+    );
+    expect(minor.pawnUnits).toBeGreaterThan(0.5);
+
+    // Raw totals are in pawns; the scaled difference is pawnUnits
+    const { raw } = minor.components[0];
+    expect(raw.diff).toBe(minor.pawnUnits);
+    expect(raw.diff).toBeCloseTo((raw.own - raw.opponent) * raw.scale, 10);
+  });
+
+  // ----------------------------
+  // Test 4 — Zero Piece Values
+  // ----------------------------
+  test("stays finite when every piece is valued at 0", () => {
+    const zero = { p: 0, n: 0, b: 0, r: 0, q: 0, k: 0 };
+    const config = resolveConfig({
+      material: { pieceValues: zero, endgame: { pieceValues: zero } },
+    });
+    const game = new Chess("4k3/8/8/8/8/8/8/R3K3 w - - 0 1");
+
+    const detail = getMaterialDetail(game, "w", config);
+    expect(Number.isFinite(detail.score)).toBe(true);
+    expect(detail.components[0].raw.scale).toBe(1);
+  });
 });
@@ -2,7 +2,10 @@
 import { Chess } from "chess.js";
 
 // Import the Pawn Structure metric from the K-MAPS system
-import { getPawnStructureForColor } from "../../src/metrics/pawnStructure.js";
+import {
+  getPawnStructureForColor,
+  getPawnStructureReport,
+} from "../../src/metrics/pawnStructure.js";
 
 // ----------------------------
 // Test Suite: Pawn Structure Metric
@@ -40,4 +43,57 @@ describe("Pawn Structure metric", () => {
     // Expect Black's score to be lower due to pawn weaknesses
     expect(scoreB).toBeLessThan(scoreW);
   });
+
+  // ----------------------------
+  // Test 3 — Feature Report Squares
+  // ----------------------------
+  test("report lists the squares of each feature", () => {
+    // White: c2-d3-e4 chain and an isolated h-pawn; Black: e6-f7 chain
+    const fen = "4k3/5p2/4p3/8/4P3/3P4/2P4P/4K3 w - - 0 1";
+
+    const white = getPawnStructureReport(fen, "w");
+    expect(white.chains).toEqual([["e4", "d3", "c2"]]);
+    expect(white.chainBases).toEqual(["c2"]);
+    expect(white.isolated).toEqual(["h2"]);
+    expect(white.islands).toEqual([["c2", "d3", "e4"], ["h2"]]);
+
+    const black = getPawnStructureReport(fen, "b");
+    expect(black.chains).toEqual([["e6", "f7"]]);
+  });
+
+  // ----------------------------
+  // Test 4 — Report Matches the Score
+  // ----------------------------
+  test("report features drive the score", () => {
+    // Black's doubled f-pawns and isolated pawns show up in the report
+    const fen = "rnbqkbnr/pppp1ppp/5p2/8/8/8/PPP1PPPP/RNBQKBNR w KQkq - 0 1";
+
+    const report = getPawnStructureReport(fen, "b");
+    expect(report.doubled).toEqual([["f7", "f6"]]);
+
+    // Invalid input yields null instead of throwing
+    expect(getPawnStructureReport("invalid-fen", "w")).toBeNull();
+    expect(getPawnStructureReport(fen, "x")).toBeNull();
+  });
+
+  // ----------------------------
+  // Test 5 — White Chains Are Scored
+  // ----------------------------
+  test("finds and scores White's pawn chains like Black's", () => {
+    // White's a2-b3 chain, and the same structure with colors swapped
+    const fen = "4k3/pp6/8/8/8/1P6/P7/4K3 w - - 0 1";
+    const mirrored = "4k3/p7/1p6/8/8/8/PP6/4K3 b - - 0 1";
+
+    const white = getPawnStructureReport(fen, "w");
+    expect(white.chains).toEqual([["b3", "a2"]]);
+    expect(white.chainBases).toEqual(["a2"]);
+
+    const black = getPawnStructureReport(mirrored, "b");
+    expect(black.chains).toEqual([["b6", "a7"]]);
+    expect(black.chainBases).toEqual(["a7"]);
+
+    expect(getPawnStructureForColor(new Chess(fen), "w")).toBe(
+      getPawnStructureForColor(new Chess(mirrored), "b")
+    );
+  });
 });
@@ -2,7 +2,13 @@
 import { Chess } from "chess.js";
 
 // Import the Space metric from the K-MAPS system
-import { getSpaceForColor } from "../../src/metrics/space.js";
+import {
+  getSpaceForColor,
+  getSpaceDetail,
+} from "../../src/metrics/space.js";
+
+// Import the config resolver to use safe space on its own
+import { resolveConfig } from "../../src/config.js";
 
 // ----------------------------
 // Test Suite: Space Metric
@@ -41,4 +47,36 @@ describe("Space metric", () => {
     // Expect White to have gained a measurable space advantage
     expect(white).toBeGreaterThan(black);
   });
+
+  // ----------------------------
+  // Test 3 — Safe Space Behind the Pawns
+  // ----------------------------
+  test("counts safe central squares behind the pawn front", () => {
+    // At the start both sides own c3–f4, so space is no longer 0
+    const start = getSpaceDetail(new Chess(), "w");
+    const safe = start.components.find((c) => c.name === "safeSpace");
+    expect(safe.raw).toEqual({ squares: 8, behind: 0, pieces: 7 });
+    expect(start.score).toBeGreaterThan(0);
+
+    // French Advance: the e5/d4 chain shelters more room for White,
+    // and d4/e5 take squares away from Black
+    const game = new Chess(
+      "rnbqkbnr/pp3ppp/4p3/2ppP3/3P4/8/PPP2PPP/RNBQKBNR w KQkq - 0 4"
+    );
+    const onlySafe = resolveConfig({
+      space: {
+        reachWeight: 0,
+        presenceWeight: 0,
+        footholdWeight: 0,
+        safeSpaceWeight: 1,
+      },
+    });
+    const white = getSpaceForColor(game, "w", onlySafe);
+    const black = getSpaceForColor(game, "b", onlySafe);
+    expect(white).toBeGreaterThan(black);
+
+    // Used on its own, the score is just the safe-space sub-score
+    const detail = getSpaceDetail(game, "w", onlySafe);
+    expect(white).toBeCloseTo(detail.components[3].score, 10);
+  });
 });
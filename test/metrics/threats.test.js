@@ -0,0 +1,111 @@
+// Import chess.js for position creation
+import { Chess } from "chess.js";
+
+// Import the optional Threats metric under test
+import { getThreatsDetail } from "../../src/metrics/threats.js";
+
+// Import the evaluator to check that Threats stays opt-in
+import { computeKMAPS } from "../../src/computeKMAPS.js";
+import { createDiagramContext } from "../../src/positionContext.js";
+
+// ----------------------------
+// Test Suite: Threats Metric
+// ----------------------------
+// The "Threats" metric scores the tactical pressure a side puts on
+// the enemy pieces and lists each threat with the squares involved.
+describe("Threats metric", () => {
+  // ----------------------------
+  // Test 1 — Off by Default
+  // ----------------------------
+  test("is only computed when requested", () => {
+    const fen = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+
+    // The default output keeps its five rows
+    expect(computeKMAPS(fen).map((r) => r.metric)).toEqual([
+      "Material",
+      "King Safety",
+      "Activity",
+      "Pawn Structure",
+      "Space",
+    ]);
+
+    // Named explicitly, Threats follows the five metrics
+    const rows = computeKMAPS(fen, { metrics: ["Space", "Threats"] });
+    expect(rows.map((r) => r.metric)).toEqual(["Space", "Threats"]);
+    expect(rows[1]).toEqual({ metric: "Threats", White: 0, Black: 0 });
+  });
+
+  // ----------------------------
+  // Test 2 — Hanging Pieces and Pins
+  // ----------------------------
+  test("finds a hanging rook and a pin against the king", () => {
+    // White's e1 rook pins the e7 rook, which attacks the undefended e1
+    const game = new Chess("4k3/4r3/8/8/8/8/8/4R1K1 w - - 0 1");
+
+    const white = getThreatsDetail(game, "w");
+    expect(white.threats).toEqual([
+      { type: "pins", squares: ["e1", "e7", "e8"], value: 5 },
+    ]);
+
+    const black = getThreatsDetail(game, "b");
+    expect(black.threats).toEqual([
+      { type: "hanging", squares: ["e1", "e7"], value: 5 },
+    ]);
+    expect(black.score).toBeGreaterThan(0);
+  });
+
+  // ----------------------------
+  // Test 3 — Double Attacks
+  // ----------------------------
+  test("detects a knight fork and attacks by a cheaper piece", () => {
+    // Knight on e4 forks the d6 rook and the f6 queen
+    const game = new Chess("4k3/8/3r1q2/8/4N3/8/8/4K3 w - - 0 1");
+    const { threats, components } = getThreatsDetail(game, "w");
+
+    const fork = threats.find((t) => t.type === "doubleAttacks");
+    expect(fork.squares).toEqual(["e4", "d6", "f6"]);
+    // The rook is the piece Black cannot save
+    expect(fork.value).toBe(5);
+
+    const lower = threats.filter((t) => t.type === "attackedByLower");
+    expect(lower.map((t) => t.squares[0])).toEqual(["d6", "f6"]);
+
+    // Components count the threats of each kind
+    const raw = Object.fromEntries(components.map((c) => [c.name, c.raw]));
+    expect(raw).toEqual({
+      hanging: 0,
+      underDefended: 0,
+      attackedByLower: 2,
+      pins: 0,
+      doubleAttacks: 1,
+    });
+  });
+
+  // ----------------------------
+  // Test 4 — Forking Two Kings
+  // ----------------------------
+  test("caps the stake of a fork on two kings in a diagram", () => {
+    // Knight on e6 attacks both black kings, on d8 and f8
+    const ctx = createDiagramContext("3k1k2/8/4N3/8/8/8/8/4K3 w - - 0 1");
+    const { threats, components } = getThreatsDetail(ctx, "w");
+
+    const fork = threats.find((t) => t.type === "doubleAttacks");
+    expect(fork.squares).toEqual(["e6", "d8", "f8"]);
+    expect(fork.value).toBe(9);
+
+    const double = components.find((c) => c.name === "doubleAttacks");
+    expect(double.score).toBe(1);
+    expect(JSON.parse(JSON.stringify(fork)).value).toBe(9);
+  });
+
+  // ----------------------------
+  // Test 5 — King Next to Defended Pieces
+  // ----------------------------
+  test("does not count a king attacking two defended pieces as a fork", () => {
+    // The e4 king touches the d5 and f5 knights, which e6 defends
+    const game = new Chess("4k3/8/4p3/3n1n2/4K3/8/8/8 w - - 0 1");
+    const { threats } = getThreatsDetail(game, "w");
+
+    expect(threats.some((t) => t.type === "doubleAttacks")).toBe(false);
+  });
+});
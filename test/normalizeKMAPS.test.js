@@ -0,0 +1,107 @@
+// Import the reference builder under test
+import { createKMAPSReference } from "../src/normalizeKMAPS.js";
+
+// Import the evaluator whose `normalize` option applies it
+import { computeKMAPS } from "../src/computeKMAPS.js";
+
+// ----------------------------
+// Test Suite: Normalization
+// ----------------------------
+// Normalized rows put every metric on a scale where 0.5 is typical:
+// the starting position, or the median of a reference sample.
+describe("Normalization", () => {
+  const start = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+  const italian =
+    "r1bqkbnr/pppp1ppp/2n5/4p3/2B1P3/5N2/PPPP1PPP/RNBQK2R b KQkq - 3 3";
+
+  // ----------------------------
+  // Test 1 — Relative to the Starting Position
+  // ----------------------------
+  test("maps the starting position to 0.5 on every axis", () => {
+    const rows = computeKMAPS(start, { normalize: "start", phase: true });
+    const raw = computeKMAPS(start);
+
+    for (const [i, row] of raw.entries()) {
+      expect(rows[i]).toEqual({
+        metric: row.metric,
+        White: 0.5,
+        Black: 0.5,
+        raw: { White: row.White, Black: row.Black },
+      });
+    }
+    // The phase row is not a metric and keeps its value
+    expect(rows[5]).toMatchObject({ metric: "Game Phase", White: 0 });
+
+    // Developed pieces are more active than at the start
+    const activity = computeKMAPS(italian, {
+      normalize: "start",
+      metrics: ["Activity"],
+    });
+    expect(activity[0].White).toBeGreaterThan(0.5);
+  });
+
+  // ----------------------------
+  // Test 2 — Percentiles of a Reference Sample
+  // ----------------------------
+  test("reports percentiles against a reference sample", () => {
+    const reference = createKMAPSReference([start, italian, "not a fen"], {
+      metrics: ["Activity"],
+    });
+    expect(reference.size).toBe(2);
+    expect(reference.scores.Activity).toHaveLength(4);
+
+    // Both start scores are the two lowest of four: ties count half
+    const [row] = computeKMAPS(start, {
+      normalize: reference,
+      metrics: ["Activity"],
+    });
+    expect(row.White).toBe(0.25);
+    // A reference survives a JSON round trip
+    expect(
+      computeKMAPS(start, {
+        normalize: JSON.parse(JSON.stringify(reference)),
+        metrics: ["Activity"],
+      })
+    ).toEqual([row]);
+  });
+
+  // ----------------------------
+  // Test 3 — Invalid Options
+  // ----------------------------
+  test("rejects an unknown mode or an incomplete reference", () => {
+    expect(() => computeKMAPS(start, { normalize: "median" })).toThrow(
+      TypeError
+    );
+    // There is no bundled sample: percentiles need a reference
+    expect(() => computeKMAPS(start, { normalize: "percentile" })).toThrow(
+      TypeError
+    );
+
+    const reference = createKMAPSReference([start], { metrics: ["Space"] });
+    expect(() => computeKMAPS(start, { normalize: reference })).toThrow(
+      /no scores for "Material"/
+    );
+  });
+
+  // ----------------------------
+  // Test 4 — Chess960 Starting Positions
+  // ----------------------------
+  test("normalizes a Chess960 start to 0.5 given its array", () => {
+    // Knights in the corners: fewer moves than in the standard start
+    const array = "nrbqkbrn";
+    const fen = `${array}/pppppppp/8/8/8/8/PPPPPPPP/NRBQKBRN w - - 0 1`;
+
+    const activity = (normalize) =>
+      computeKMAPS(fen, { normalize }).find((r) => r.metric === "Activity");
+    expect(activity("start").White).toBeLessThan(0.5);
+
+    for (const start of [array, fen]) {
+      for (const row of computeKMAPS(fen, { normalize: { start } })) {
+        expect([row.White, row.Black]).toEqual([0.5, 0.5]);
+      }
+    }
+    expect(() => computeKMAPS(fen, { normalize: { start: "rnb" } })).toThrow(
+      /back-rank array/
+    );
+  });
+});
@@ -0,0 +1,107 @@
+// Import the worker-pool evaluator under test
+import {
+  createKMAPSWorkerPool,
+  computeKMAPSParallel,
+} from "../src/parallel.js";
+
+// Import the serial evaluators to cross-check the results
+import { computeKMAPS } from "../src/computeKMAPS.js";
+import { computeKMAPSForGame } from "../src/computeKMAPSForGame.js";
+
+// ----------------------------
+// Test Suite: Parallel Evaluation
+// ----------------------------
+// The worker pool spreads positions and games across threads.
+// These tests check that results match the serial functions in
+// input order, that progress is reported and that calls can be
+// cancelled.
+describe("Parallel evaluation", () => {
+  const fens = [
+    "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1",
+    "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1",
+    "invalid-fen",
+    "r1bqkbnr/pppp1ppp/2n5/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq - 2 3",
+    "8/8/8/4k3/8/8/3QK3/8 w - - 0 1",
+  ];
+
+  // ----------------------------
+  // Test 1 — Same Rows, Same Order
+  // ----------------------------
+  test("returns computeKMAPS rows in input order", async () => {
+    const progress = [];
+    const results = await computeKMAPSParallel(fens, {
+      workers: 2,
+      chunkSize: 2,
+      onProgress: (p) => progress.push(p),
+    });
+
+    expect(results).toEqual(fens.map((f) => computeKMAPS(f)));
+    expect(progress.at(-1)).toEqual({ done: 5, total: 5 });
+  });
+
+  // ----------------------------
+  // Test 2 — Games on a Shared Pool
+  // ----------------------------
+  test("evaluates games like computeKMAPSForGame", async () => {
+    const pgns = ["1. e4 e5 2. Nf3 Nc6 *", "1. d4 Ke7 *"];
+    const pool = createKMAPSWorkerPool({ workers: 2 });
+    try {
+      const games = await pool.computeKMAPSForGame(pgns, { detail: true });
+      expect(games).toEqual(
+        pgns.map((p) => computeKMAPSForGame(p, { detail: true }))
+      );
+    } finally {
+      await pool.terminate();
+    }
+  });
+
+  // ----------------------------
+  // Test 3 — Cancellation
+  // ----------------------------
+  test("rejects with the abort reason when cancelled", async () => {
+    const pool = createKMAPSWorkerPool({ workers: 1 });
+    const controller = new AbortController();
+    try {
+      const run = pool.computeKMAPS(fens, {
+        chunkSize: 1,
+        signal: controller.signal,
+        onProgress: () => controller.abort(),
+      });
+      await expect(run).rejects.toMatchObject({ name: "AbortError" });
+
+      // The pool stays usable after a cancelled call
+      expect(await pool.computeKMAPS(fens.slice(0, 1))).toEqual([
+        computeKMAPS(fens[0]),
+      ]);
+    } finally {
+      await pool.terminate();
+    }
+  });
+
+  // ----------------------------
+  // Test 4 — Strict Mode Errors
+  // ----------------------------
+  test("rejects with the typed input error in strict mode", async () => {
+    const pool = createKMAPSWorkerPool({ workers: 1 });
+    try {
+      let expected;
+      try {
+        computeKMAPS(fens[2], { strict: true });
+      } catch (err) {
+        expected = err;
+      }
+
+      const run = pool.computeKMAPS(fens, { strict: true });
+      await expect(run).rejects.toMatchObject({
+        name: "KMAPSInputError",
+        message: expected.message,
+        code: expected.code,
+        field: expected.field,
+        value: expected.value,
+        fen: "invalid-fen",
+      });
+    } finally {
+      await pool.terminate();
+    }
+  });
+});
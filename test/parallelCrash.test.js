@@ -0,0 +1,107 @@
+// Jest's ESM module mocks replace node:worker_threads for this file
+import { jest } from "@jest/globals";
+import { EventEmitter } from "node:events";
+
+// Import the serial evaluator the stand-in workers run
+import { computeKMAPS } from "../src/computeKMAPS.js";
+
+// Stand-in worker: crashes on the item "crash", evaluates the rest
+const started = [];
+class CrashingWorker extends EventEmitter {
+  constructor() {
+    super();
+    started.push(this);
+  }
+  postMessage({ id, items }) {
+    setImmediate(() => {
+      if (items.includes("crash")) {
+        this.emit("error", new Error("worker crashed"));
+        this.emit("exit", 1);
+      } else {
+        const results = items.map((fen) => computeKMAPS(fen));
+        this.emit("message", { id, results });
+      }
+    });
+  }
+  ref() {}
+  unref() {}
+  async terminate() {}
+}
+
+jest.unstable_mockModule("node:worker_threads", () => ({
+  Worker: CrashingWorker,
+}));
+
+// Import the pool under test once the mock is in place
+const { createKMAPSWorkerPool } = await import("../src/parallel.js");
+
+// ----------------------------
+// Test Suite: Crashed Workers
+// ----------------------------
+// A worker thread that dies takes its chunk with it. These tests
+// check that only the call it was working for fails and that the
+// pool replaces the worker.
+describe("Crashed workers", () => {
+  const fens = [
+    "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1",
+    "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1",
+  ];
+
+  beforeEach(() => {
+    started.length = 0;
+  });
+
+  // ----------------------------
+  // Test 1 — The Pool Recovers
+  // ----------------------------
+  test("replaces a crashed worker and keeps the pool usable", async () => {
+    const pool = createKMAPSWorkerPool({ workers: 1 });
+    try {
+      await expect(pool.computeKMAPS(["crash"])).rejects.toThrow(
+        "worker crashed"
+      );
+      expect(started).toHaveLength(2);
+
+      // The replacement serves later calls
+      expect(await pool.computeKMAPS(fens)).toEqual(
+        fens.map((fen) => computeKMAPS(fen))
+      );
+    } finally {
+      await pool.terminate();
+    }
+  });
+
+  // ----------------------------
+  // Test 2 — Other Calls Carry On
+  // ----------------------------
+  test("only rejects the call the crashed worker was running", async () => {
+    const pool = createKMAPSWorkerPool({ workers: 2 });
+    try {
+      const [crashed, ok] = await Promise.allSettled([
+        pool.computeKMAPS(["crash"]),
+        pool.computeKMAPS(fens, { chunkSize: 1 }),
+      ]);
+      expect(crashed.status).toBe("rejected");
+      expect(ok.value).toEqual(fens.map((fen) => computeKMAPS(fen)));
+    } finally {
+      await pool.terminate();
+    }
+  });
+
+  // ----------------------------
+  // Test 3 — Workers That Die Idle
+  // ----------------------------
+  test("asks for a new pool when an idle worker dies", async () => {
+    const pool = createKMAPSWorkerPool({ workers: 1 });
+    try {
+      // No chunk was running, so a replacement would fail the same way
+      started[0].emit("exit", 1);
+      await expect(pool.computeKMAPS(fens)).rejects.toThrow(
+        /exit code 1\); create a new pool/
+      );
+      expect(started).toHaveLength(1);
+    } finally {
+      await pool.terminate();
+    }
+  });
+});
@@ -0,0 +1,113 @@
+// Import chess.js to load test positions
+import { Chess } from "chess.js";
+
+// Import the context builder under test
+import {
+  createPositionContext,
+  createDiagramContext,
+  getPositionContext,
+} from "../src/positionContext.js";
+
+// Import metrics to check they read the context and a game alike
+import { getPieceActivityDetail } from "../src/metrics/activity.js";
+import { getKingSafetyDetail } from "../src/metrics/kingSafety.js";
+import { getSpaceDetail } from "../src/metrics/space.js";
+
+// ----------------------------
+// Test Suite: Position Context
+// ----------------------------
+// The position context parses a position once for all metrics.
+// These tests check its contents, that derived data is built only
+// once, and that metrics give the same result from either input.
+describe("Position context", () => {
+  // Italian Game, Black to move
+  const fen =
+    "r1bqkbnr/pppp1ppp/2n5/4p3/2B1P3/5N2/PPPP1PPP/RNBQK2R b KQkq - 3 3";
+
+  // ----------------------------
+  // Test 1 — Piece Lists, Pawn Files and Kings
+  // ----------------------------
+  test("lists pieces, pawn files and kings", () => {
+    const ctx = createPositionContext(new Chess(fen));
+
+    expect(ctx.turn).toBe("b");
+    expect(ctx.pieces.w).toHaveLength(16);
+    expect(ctx.pawns.b.map((p) => p.square)).toEqual([
+      "a7",
+      "b7",
+      "c7",
+      "d7",
+      "f7",
+      "g7",
+      "h7",
+      "e5",
+    ]);
+    expect(ctx.pawnFiles.w).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+    expect(ctx.kings.w).toMatchObject({ square: "e1", file: 4, rank: 1 });
+    expect(ctx.get("c4")).toMatchObject({ type: "b", color: "w" });
+    expect(ctx.get("e4")).toMatchObject({ type: "p", color: "w" });
+    expect(ctx.get("e3")).toBeUndefined();
+  });
+
+  // ----------------------------
+  // Test 2 — Moves and Control Map Are Built Once
+  // ----------------------------
+  test("generates moves for either side and reuses them", () => {
+    const ctx = createPositionContext(new Chess(fen));
+
+    // White's moves are generated even though Black is to move
+    const white = ctx.moves("w");
+    expect(white.every((m) => m.color === "w")).toBe(true);
+    expect(white).toContainEqual({
+      color: "w",
+      piece: "k",
+      from: "e1",
+      to: "g1",
+    });
+    expect(ctx.moves("w")).toBe(white);
+    expect(ctx.moves("b")).toHaveLength(new Chess(fen).moves().length);
+
+    expect(ctx.controlMap()).toBe(ctx.controlMap());
+    expect(getPositionContext(ctx)).toBe(ctx);
+  });
+
+  // ----------------------------
+  // Test 3 — Metrics Accept a Game or a Context
+  // ----------------------------
+  test("metrics match whether given a game or a context", () => {
+    const game = new Chess(fen);
+    const ctx = createPositionContext(game);
+
+    for (const metric of [
+      getPieceActivityDetail,
+      getKingSafetyDetail,
+      getSpaceDetail,
+    ]) {
+      for (const color of ["w", "b"]) {
+        expect(metric(ctx, color)).toEqual(metric(game, color));
+      }
+    }
+  });
+
+  // ----------------------------
+  // Test 4 — Diagram Contexts
+  // ----------------------------
+  test("reads a diagram from its piece placement", () => {
+    // Same board as a loaded game, without the legal moves
+    const diagram = createDiagramContext(fen);
+    const ctx = createPositionContext(new Chess(fen));
+    expect(diagram.diagram).toBe(true);
+    expect(diagram.game).toBeNull();
+    expect(diagram.pieces).toEqual(ctx.pieces);
+    expect(diagram.controlMap()).toEqual(ctx.controlMap());
+    expect(() => diagram.moves("w")).toThrow(/diagram/);
+
+    // No white king and two black kings: neither side has a king
+    const kings = createDiagramContext("k6k/8/8/8/8/8/8/P7");
+    expect(kings.kings).toEqual({ w: null, b: null });
+    expect(kings.pawns.w[0].square).toBe("a1");
+
+    // An unreadable placement gives no context
+    expect(createDiagramContext("8/8/8")).toBeNull();
+  });
+});
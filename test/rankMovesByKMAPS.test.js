@@ -0,0 +1,73 @@
+// Import the move-ranking function under test
+import { rankMovesByKMAPS } from "../src/rankMovesByKMAPS.js";
+
+// Import chess.js and the evaluators to cross-check the ranking
+import { Chess } from "chess.js";
+import { computeKMAPS } from "../src/computeKMAPS.js";
+import { computeKMAPSScore } from "../src/summarizeKMAPS.js";
+
+// ----------------------------
+// Test Suite: Move Ranking
+// ----------------------------
+// rankMovesByKMAPS() plays every legal move and sorts the moves by
+// the change in one metric or in the combined advantage.
+describe("Move ranking", () => {
+  // Italian Game: White can castle, take on e5 or sacrifice on f7
+  const fen =
+    "r1bqkb1r/pppp1ppp/2n2n2/4p3/2B1P3/5N2/PPPP1PPP/RNBQK2R w KQkq - 4 4";
+
+  // ----------------------------
+  // Test 1 — Combined Advantage
+  // ----------------------------
+  test("ranks every legal move by the combined advantage", () => {
+    const ranked = rankMovesByKMAPS(fen);
+    expect(ranked).toHaveLength(new Chess(fen).moves().length);
+
+    // Sorted by delta, each matching a fresh evaluation
+    for (let i = 1; i < ranked.length; i++) {
+      expect(ranked[i - 1].delta).toBeGreaterThanOrEqual(ranked[i].delta);
+    }
+    const castle = ranked.find((m) => m.san === "O-O");
+    expect(castle).toMatchObject({ from: "e1", to: "g1", lan: "e1g1" });
+    expect(castle.before).toBe(computeKMAPSScore(fen).advantage);
+    expect(castle.after).toBe(computeKMAPSScore(castle.fen).advantage);
+
+    expect(rankMovesByKMAPS("invalid-fen")).toEqual([]);
+  });
+
+  // ----------------------------
+  // Test 2 — One Metric, Either Side
+  // ----------------------------
+  test("ranks by one metric for a chosen side and order", () => {
+    const ranked = rankMovesByKMAPS(fen, {
+      by: "King Safety",
+      side: "b",
+      order: "asc",
+      limit: 3,
+    });
+    expect(ranked).toHaveLength(3);
+
+    // Bxf7+ strips Black's king of a shield pawn
+    expect(ranked[0].san).toBe("Bxf7+");
+    const black = (f) =>
+      computeKMAPS(f).find((r) => r.metric === "King Safety").Black;
+    expect(ranked[0].before).toBe(black(fen));
+    expect(ranked[0].after).toBe(black(ranked[0].fen));
+    expect(ranked[0].delta).toBeLessThan(ranked[1].delta);
+
+    expect(() => rankMovesByKMAPS(fen, { by: "Tempo" })).toThrow(TypeError);
+    expect(() => rankMovesByKMAPS(fen, { limit: -1 })).toThrow(RangeError);
+  });
+
+  // ----------------------------
+  // Test 3 — Captures and Quiet Moves
+  // ----------------------------
+  test("limits the ranking to captures or quiet moves", () => {
+    const captures = rankMovesByKMAPS(fen, { moves: "captures" });
+    expect(captures.map((m) => m.san).sort()).toEqual(["Bxf7+", "Nxe5"]);
+
+    const quiet = rankMovesByKMAPS(fen, { moves: "quiet" });
+    expect(quiet).toHaveLength(new Chess(fen).moves().length - 2);
+    expect(quiet.some((m) => m.san.includes("x"))).toBe(false);
+  });
+});
@@ -0,0 +1,135 @@
+// Import the combined-score functions under test
+import { summarizeKMAPS, computeKMAPSScore } from "../src/summarizeKMAPS.js";
+
+// Import the evaluator to produce rows for known positions
+import { computeKMAPS } from "../src/computeKMAPS.js";
+import { createKMAPSReference } from "../src/normalizeKMAPS.js";
+
+// ----------------------------
+// Test Suite: Combined K-MAPS Score
+// ----------------------------
+// The summary folds the metric rows into one advantage in pawns,
+// an expected score for each side and the metrics behind it.
+describe("Combined K-MAPS score", () => {
+  // ----------------------------
+  // Test 1 — Weighted Advantage and Expected Score
+  // ----------------------------
+  test("weights metric differences and maps them to an expected score", () => {
+    const rows = [
+      { metric: "Material", White: 0.5 + 1 / 78, Black: 0.5 - 1 / 78 },
+      { metric: "Space", White: 0.4, Black: 0.5 },
+      { metric: "Game Phase", White: 0.2, Black: 0.2, stage: "middlegame" },
+    ];
+    const summary = summarizeKMAPS(rows);
+
+    // One pawn of material (39 × 2/78) minus 0.1 of Space (3 × 0.1)
+    expect(summary.advantage).toBeCloseTo(0.7, 10);
+    expect(summary.favored).toBe("White");
+    expect(summary.expectedScore.White).toBeCloseTo(
+      1 / (1 + Math.exp(-0.368 * 0.7)),
+      10
+    );
+    expect(summary.expectedScore.Black).toBeCloseTo(
+      1 - summary.expectedScore.White,
+      10
+    );
+
+    // Drivers: largest contribution first, phase row ignored
+    expect(summary.drivers.map((d) => d.metric)).toEqual(["Material", "Space"]);
+    expect(summary.drivers[1].contribution).toBeCloseTo(-0.3, 10);
+  });
+
+  // ----------------------------
+  // Test 2 — Symmetric and Lopsided Positions
+  // ----------------------------
+  test("calls the start position equal and a queen up winning", () => {
+    const start = computeKMAPSScore(
+      "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1"
+    );
+    expect(start.advantage).toBeCloseTo(0, 10);
+    expect(start.favored).toBeNull();
+    expect(start.expectedScore.White).toBeCloseTo(0.5, 10);
+
+    const queenUp = computeKMAPSScore(
+      "rnb1kbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1"
+    );
+    expect(queenUp.favored).toBe("White");
+    expect(queenUp.expectedScore.White).toBeGreaterThan(0.9);
+    expect(queenUp.drivers[0].metric).toBe("Material");
+
+    expect(computeKMAPSScore("invalid-fen")).toBeNull();
+  });
+
+  // ----------------------------
+  // Test 3 — Configurable Weights
+  // ----------------------------
+  test("uses the score section of the configuration", () => {
+    const fen = "rnbqkbnr/pppp1ppp/8/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R b KQkq - 1 2";
+    const rows = computeKMAPS(fen);
+
+    // Only Activity counts, on a much steeper curve
+    const config = {
+      score: {
+        weights: { material: 0, kingSafety: 0, pawnStructure: 0, space: 0 },
+        slope: 10,
+      },
+    };
+    const summary = summarizeKMAPS(rows, { config });
+    const activity = rows.find((r) => r.metric === "Activity");
+    expect(summary.advantage).toBeCloseTo(
+      2 * (activity.White - activity.Black),
+      10
+    );
+    expect(computeKMAPSScore(fen, { config })).toEqual(summary);
+
+    expect(() =>
+      summarizeKMAPS(rows, { config: { score: { slope: 0 } } })
+    ).toThrow(RangeError);
+  });
+
+  // ----------------------------
+  // Test 4 — Diagrams
+  // ----------------------------
+  test("leaves out the metrics a diagram cannot score", () => {
+    const diagram = "8/2p5/8/3P4/8/8/8/8";
+    const summary = computeKMAPSScore(diagram, { diagram: true });
+
+    // No kings and no legal moves: King Safety and Activity are null
+    expect(summary.drivers.map((d) => d.metric).sort()).toEqual([
+      "Material",
+      "Pawn Structure",
+      "Space",
+    ]);
+    expect(Number.isFinite(summary.advantage)).toBe(true);
+    expect(summary.favored).toBe("White");
+  });
+
+  // ----------------------------
+  // Test 5 — Raw Scores Only
+  // ----------------------------
+  test("summarizes raw scores even when normalize is passed", () => {
+    const fen = "rnbqkbnr/pppp1ppp/8/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R b KQkq - 1 2";
+    expect(computeKMAPSScore(fen, { normalize: "start" })).toEqual(
+      computeKMAPSScore(fen)
+    );
+  });
+
+  // ----------------------------
+  // Test 6 — Normalized Rows
+  // ----------------------------
+  test("summarizes normalized rows from their raw scores", () => {
+    // White is missing the b1 knight
+    const fen = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/R1BQKBNR w KQkq - 0 1";
+    const raw = summarizeKMAPS(computeKMAPS(fen));
+
+    const start = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+    const reference = createKMAPSReference([start, fen]);
+
+    for (const normalize of ["start", reference]) {
+      const summary = summarizeKMAPS(computeKMAPS(fen, { normalize }));
+      expect(summary).toEqual(raw);
+    }
+    expect(raw.advantage).toBeLessThan(-2);
+    expect(raw.advantage).toBeGreaterThan(-5);
+  });
+});
@@ -0,0 +1,152 @@
+// Import the Chess960 FEN helpers under test
+import {
+  toStandardFen,
+  parseCastling,
+  loadGame,
+  getChess960Castles,
+  carryCastling,
+} from "../../src/utils/fenUtils.js";
+
+// Import the evaluator and validator that load FENs through them
+import { computeKMAPS } from "../../src/computeKMAPS.js";
+import { validateKMAPSInput } from "../../src/validateKMAPSInput.js";
+import { getKingSafetyDetail } from "../../src/metrics/kingSafety.js";
+
+// Import the functions that play Chess960 moves
+import { rankMovesByKMAPS } from "../../src/rankMovesByKMAPS.js";
+import { computeKMAPSForGame } from "../../src/computeKMAPSForGame.js";
+import { findTurningPoints } from "../../src/findTurningPoints.js";
+
+// ----------------------------
+// Test Suite: Chess960 FENs
+// ----------------------------
+// Shredder-FEN and X-FEN castling rights are read against the piece
+// placement, so any Chess960 starting array can be evaluated.
+describe("Chess960 FENs", () => {
+  const start = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+  // King on g1 between the f1 and h1 rooks
+  const array = "bbqnnrkr/pppppppp/8/8/8/8/PPPPPPPP/BBQNNRKR w HFhf - 0 1";
+
+  // ----------------------------
+  // Test 1 — Shredder-FEN and X-FEN
+  // ----------------------------
+  test("reads rook files and keeps the rights chess.js can play", () => {
+    expect(toStandardFen(start.replace("KQkq", "HAha"))).toBe(start);
+    expect(toStandardFen(start)).toBe(start);
+
+    // Chess960 rights are dropped, the position is unchanged
+    expect(toStandardFen(array)).toBe(array.replace("HFhf", "-"));
+
+    // X-FEN: K is the outermost rook, a file letter the inner one
+    expect(parseCastling(array.split(" ")[0], "Kf")).toEqual([
+      { color: "w", side: "k", kingFile: 6, rookFile: 7 },
+      { color: "b", side: "q", kingFile: 6, rookFile: 5 },
+    ]);
+  });
+
+  // ----------------------------
+  // Test 2 — Invalid Rook Files
+  // ----------------------------
+  test("rejects a file letter without a rook", () => {
+    const bad = array.replace("HFhf", "HGhf");
+    const { ok, error } = validateKMAPSInput(bad);
+
+    expect(ok).toBe(false);
+    expect(error).toMatchObject({
+      code: "INVALID_CASTLING",
+      field: "castling",
+      value: "HGhf",
+    });
+    expect(error.message).toMatch(/rook on g1/);
+    expect(computeKMAPS(bad)).toEqual([]);
+  });
+
+  // ----------------------------
+  // Test 3 — Starting Arrays
+  // ----------------------------
+  test("scores a starting array evenly and not as castled", () => {
+    const rows = computeKMAPS(array);
+    expect(rows).toHaveLength(5);
+    for (const row of rows) expect(row.White).toBe(row.Black);
+
+    // Space at the start does not depend on the array
+    const space = (fen) =>
+      computeKMAPS(fen, { metrics: ["Space"] })[0].White;
+    expect(space(array)).toBe(space(start));
+
+    // The king starts on g1, but its rook is on h1, not inside it
+    const { components } = getKingSafetyDetail(loadGame(array), "w");
+    const placement = components.find((c) => c.name === "placement");
+    expect(placement.raw.castled).toBe(false);
+  });
+
+  // ----------------------------
+  // Test 4 — Chess960 Castling Moves
+  // ----------------------------
+  test("generates the castles chess.js cannot play", () => {
+    // The f1 rook has left: O-O keeps the king on g1, the rook goes f1
+    const [castle] = getChess960Castles(
+      array.replace("BBQNNRKR", "BBQNN1KR").replace("HFhf", "Hh")
+    );
+    expect(castle).toMatchObject({
+      san: "O-O",
+      lan: "g1h1",
+      from: "g1",
+      to: "g1",
+      rook: { from: "h1", to: "f1" },
+    });
+    expect(castle.after).toBe(
+      "bbqnnrkr/pppppppp/8/8/8/8/PPPPPPPP/BBQNNRK1 b h - 1 1"
+    );
+
+    // Blocked, in check or passing an attacked square: no castle
+    expect(getChess960Castles(array)).toEqual([]);
+    expect(getChess960Castles("2r1k3/8/8/8/8/8/8/1RK4R w HB - 0 1"))
+      .toEqual([]);
+    const [long] = getChess960Castles("4k3/8/8/8/8/8/8/rRK4R w HB - 0 1");
+    expect(long.san).toBe("O-O");
+
+    // Standard rights are left to chess.js
+    expect(getChess960Castles(start)).toEqual([]);
+
+    // A rook move drops its right, a king move both
+    const rights = (fen) => fen.split(" ")[2];
+    const rook = { color: "w", piece: "r", from: "f1", to: "f2" };
+    const king = { color: "w", piece: "k", from: "g1", to: "f2" };
+    expect(rights(carryCastling(array, rook, start))).toBe("Hhf");
+    expect(rights(carryCastling(array, king, start))).toBe("hf");
+  });
+
+  // ----------------------------
+  // Test 5 — Playing Chess960 Games
+  // ----------------------------
+  test("ranks, replays and recognizes Chess960 castles", () => {
+    const pgn =
+      `[FEN "${array}"]\n[SetUp "1"]\n[Variant "Chess960"]\n\n` +
+      "1. f4 f5 2. Rf3 Rf6 3. O-O O-O *";
+    const { plies, error } = computeKMAPSForGame(pgn);
+    expect(error).toBeNull();
+    expect(plies).toHaveLength(7);
+
+    // Each ply's FEN keeps the rights that are left
+    expect(plies.map((p) => p.fen.split(" ")[2])).toEqual([
+      "HFhf", "HFhf", "HFhf", "Hhf", "Hh", "h", "-",
+    ]);
+    expect(plies[5].san).toBe("O-O");
+    expect(plies[5].fen.split(" ")[0]).toMatch(/BBQNNRK1$/);
+
+    // rankMovesByKMAPS offers the castle as a quiet move
+    const quiet = rankMovesByKMAPS(plies[4].fen, { moves: "quiet" });
+    const ranked = quiet.find((m) => m.san === "O-O");
+    expect(ranked.fen).toBe(plies[5].fen);
+    expect(rankMovesByKMAPS(plies[4].fen, { moves: "captures" }))
+      .toEqual([]);
+
+    // A FEN list finds the castle that connects two positions
+    const { events } = findTurningPoints(
+      plies.map((p) => p.fen),
+      { metrics: ["King Safety"], threshold: 0 }
+    );
+    expect(events.find((e) => e.ply === 5).san).toBe("O-O");
+  });
+});
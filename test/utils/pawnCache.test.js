@@ -0,0 +1,83 @@
+// Import chess.js for board setup and FEN parsing
+import { Chess } from "chess.js";
+
+// Import the shared pawn cache and the LRU cache it is built on
+import {
+  getPawnCacheStats,
+  clearPawnCache,
+  configurePawnCache,
+} from "../../src/utils/pawnCache.js";
+import { createLRUCache } from "../../src/utils/lruCache.js";
+
+// Import the Pawn Structure metric, the main user of the cache
+import { getPawnStructureForColor } from "../../src/metrics/pawnStructure.js";
+
+// ----------------------------
+// Test Suite: Pawn Cache
+// ----------------------------
+// Pawn-structure results are cached by pawn placement in a bounded
+// LRU cache. These tests check eviction, hit/miss accounting, and
+// that the cache can be resized or turned off.
+describe("Pawn cache", () => {
+  afterEach(() => {
+    // Restore the default settings for other tests
+    configurePawnCache({ enabled: true, maxSize: 4096 });
+    clearPawnCache();
+  });
+
+  // ----------------------------
+  // Test 1 — LRU Eviction
+  // ----------------------------
+  test("evicts the least recently used entry", () => {
+    const cache = createLRUCache(2);
+    cache.set("a", 1);
+    cache.set("b", 2);
+
+    // Touch "a" so "b" becomes the least recently used entry
+    cache.get("a");
+    cache.set("c", 3);
+
+    expect(cache.get("b")).toBeUndefined();
+    expect(cache.get("a")).toBe(1);
+    expect(cache.stats().size).toBe(2);
+  });
+
+  // ----------------------------
+  // Test 2 — Hits and Misses
+  // ----------------------------
+  test("same pawn placement is a cache hit", () => {
+    clearPawnCache();
+
+    // Two positions that differ only in piece placement
+    const a = new Chess();
+    const b = new Chess(
+      "rnbqkb1r/pppppppp/5n2/8/8/5N2/PPPPPPPP/RNBQKB1R w KQkq - 2 2"
+    );
+
+    const scoreA = getPawnStructureForColor(a, "w");
+    const scoreB = getPawnStructureForColor(b, "w");
+
+    expect(scoreB).toBe(scoreA);
+    expect(getPawnCacheStats()).toMatchObject({ hits: 1, misses: 1, size: 1 });
+  });
+
+  // ----------------------------
+  // Test 3 — Resizing and Disabling
+  // ----------------------------
+  test("can be resized or turned off", () => {
+    const game = new Chess();
+
+    // A size of 1 keeps only the most recent entry
+    configurePawnCache({ maxSize: 1 });
+    getPawnStructureForColor(game, "w");
+    getPawnStructureForColor(game, "b");
+    expect(getPawnCacheStats().size).toBe(1);
+
+    // Disabled: nothing is stored, results are still computed
+    configurePawnCache({ enabled: false });
+    expect(getPawnStructureForColor(game, "w")).toBeGreaterThan(0.5);
+    expect(getPawnCacheStats()).toMatchObject({ size: 0, enabled: false });
+
+    expect(() => configurePawnCache({ maxSize: -1 })).toThrow(RangeError);
+  });
+});
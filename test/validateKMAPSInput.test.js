@@ -0,0 +1,82 @@
+// Import the validator under test
+import { validateKMAPSInput } from "../src/validateKMAPSInput.js";
+
+// Import the evaluator to check strict and lenient modes
+import { computeKMAPS } from "../src/computeKMAPS.js";
+
+// ----------------------------
+// Test Suite: Input Validation
+// ----------------------------
+// Invalid FENs are explained with a code, the failing field and a
+// message, while computeKMAPS() keeps returning [] unless strict.
+describe("Input validation", () => {
+  const start = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+
+  // ----------------------------
+  // Test 1 — Valid Input
+  // ----------------------------
+  test("accepts what chess.js accepts", () => {
+    expect(validateKMAPSInput(start)).toEqual({ ok: true });
+
+    // chess.js completes a FEN that stops after the side to move
+    expect(validateKMAPSInput("4k3/8/8/8/8/8/8/4K3 b").ok).toBe(true);
+  });
+
+  // ----------------------------
+  // Test 2 — Codes and Fields
+  // ----------------------------
+  test("tells the failing field apart", () => {
+    const check = (fen) => {
+      const { ok, error } = validateKMAPSInput(fen);
+      expect(ok).toBe(false);
+      expect(error).toBeInstanceOf(Error);
+      expect(error.name).toBe("KMAPSInputError");
+      return [error.code, error.field];
+    };
+
+    // Bad side to move
+    expect(check(start.replace(" w ", " x "))).toEqual([
+      "INVALID_SIDE_TO_MOVE",
+      "sideToMove",
+    ]);
+    // Missing king
+    expect(check(start.replace("RNBQKBNR", "RNBQ1BNR"))).toEqual([
+      "MISSING_KING",
+      "placement",
+    ]);
+    // Typo in the piece placement
+    expect(check(start.replace("pppppppp", "ppppxppp"))).toEqual([
+      "INVALID_PIECE",
+      "placement",
+    ]);
+    // Whole-input problems have no field
+    expect(check(42)).toEqual(["NOT_A_STRING", null]);
+    expect(check("rnbqkbnr/pppppppp")).toEqual(["FIELD_COUNT", null]);
+
+    const { error } = validateKMAPSInput(start.replace(" - 0 1", " e3 0 1"));
+    expect(error).toMatchObject({
+      code: "ILLEGAL_EN_PASSANT",
+      field: "enPassant",
+      value: "e3",
+    });
+    expect(error.message).toMatch(/white to move/);
+  });
+
+  // ----------------------------
+  // Test 3 — Strict and Lenient Modes
+  // ----------------------------
+  test("throws in strict mode and returns [] otherwise", () => {
+    const bad = start.replace(" 0 1", " 0 0");
+
+    expect(computeKMAPS(bad)).toEqual([]);
+    expect(() => computeKMAPS(bad, { strict: true })).toThrow(
+      expect.objectContaining({
+        code: "INVALID_FULLMOVE_NUMBER",
+        field: "fullmoveNumber",
+      })
+    );
+
+    // Valid input gives the same rows in both modes
+    expect(computeKMAPS(start, { strict: true })).toEqual(computeKMAPS(start));
+  });
+});